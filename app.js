@@ -1,682 +1,2643 @@
-import { pipeline, env } from "@xenova/transformers";
+import {
+  encodeEmbeddingStore,
+  decodeEmbeddingStore,
+  isEmbeddingStore,
+} from "./lib/embedding-store.js";
+import { VagueIndex } from "./lib/vague-index.js";
+import { HnswIndex, measureRecall } from "./lib/hnsw.js";
+import { QuantizedIndex, measureQuantizedRecall } from "./lib/quantization.js";
+import { normalizeKeys, getKeyTexts } from "./lib/key-paths.js";
+import { applyHybridScores } from "./lib/hybrid.js";
+import { splitIntoPassages, aggregateScores } from "./lib/chunking.js";
+import { groupNearDuplicates } from "./lib/dedupe.js";
+import { clusterVectors } from "./lib/cluster.js";
+import { assignPairs } from "./lib/matching.js";
+import { normalizeDiversity, diversifyResults } from "./lib/diversity.js";
+import {
+  scoreQuery,
+  suggestThreshold,
+  averageScores,
+  compareEvaluations,
+} from "./lib/evaluation.js";
+import {
+  assertMetric,
+  calculateSimilarity,
+  calibrateScores,
+  fitCalibration,
+} from "./lib/metrics.js";
+import { TopK } from "./lib/top-k.js";
+import {
+  createCrossEncoderScorer,
+  normalizeRerank,
+  rerankResults,
+} from "./lib/rerank.js";
+import { isStreamSource, readItems } from "./lib/streaming.js";
+import { createWorkerFinder } from "./lib/worker.js";
+import { EmbeddingCache } from "./lib/embedding-cache.js";
+import { createPreprocessor, describePreprocessing } from "./lib/preprocess.js";
+import {
+  createProgressTracker,
+  createProgressEmitter,
+} from "./lib/progress.js";
+import {
+  AbortError,
+  TimeoutError,
+  isAbortError,
+  throwIfAborted,
+  withAbort,
+  latestQuery,
+} from "./lib/abort.js";
+
+const PIPELINE_TASK = "feature-extraction";
+const RERANKER_TASK = "text-classification";
+const DEFAULT_MODEL = "Supabase/gte-small";
+const DEFAULT_RERANKER = "Xenova/ms-marco-MiniLM-L-6-v2";
 
-// Since we will download the model from the Hugging Face Hub, we can skip the local model check
-env.allowLocalModels = false;
-
-// Due to a bug in onnxruntime-web, we must disable multithreading for now.
-// See https://github.com/microsoft/onnxruntime/issues/14445 for more information.
-// env.backends.onnx.wasm.numThreads = 1;
-
- class PipelineSingleton {
-   static task = "feature-extraction";
-   static model = "Supabase/gte-small";
-   static instance = null;
+/**
+ * The default options used by `loadModel`. Any option passed to `loadModel` overrides the matching default.
+ *
+ * @type {{model: string, quantized: boolean, cacheDir: string|null, allowRemoteModels: boolean, pooling: string, normalize: boolean, embedder: function|null, embedderId: string|null, onProgress: function|null, batchSize: number, concurrency: number, embeddingCache: {maxEntries: number, maxBytes: number}|false, preprocess: boolean|Array<string|function|Object>|null, queryPrefix: string, documentPrefix: string}}
+ */
 
-  static async getInstance(progress_callback = null) {
-    if (this.instance === null) {
-      this.instance = pipeline(this.task, this.model, { progress_callback });
-    }
+const defaultModelOptions = {
+  model: DEFAULT_MODEL,
+  quantized: true,
+  cacheDir: null,
+  allowRemoteModels: true,
+  pooling: "mean",
+  normalize: true,
+  embedder: null,
+  embedderId: null,
+  onProgress: null,
+  batchSize: 32,
+  concurrency: 1,
+  embeddingCache: { maxEntries: 1000 },
+  preprocess: null,
+  queryPrefix: "",
+  documentPrefix: "",
+};
 
-    return this.instance;
-  }
-}
+/**
+ * The ids given to custom embedders, so that the embedding cache never mixes up two embedders, even with the same name.
+ * They are only valid in the current process.
+ *
+ * @type {WeakMap<function, number>}
+ */
 
-let model = null;
-let progress = null;
+const embedderIds = new WeakMap();
+let nextEmbedderId = 1;
 
 /**
- * Asynchronously loads the model.
+ * Returns the id of a custom embedder, giving it one the first time it's seen.
  *
- * This function gets the pipeline instance which will load and build the model when run for the first time.
- * It also provides a way to track the progress of the pipeline creation, which can be used to update a UI element like a progress bar.
- *
- * @async
  * @function
- * @throws {Error} If the model cannot be loaded, an error is thrown with a message detailing the reason.
- *
- * @example
- * try {
- *   await loadModel();
- * } catch (error) {
- *   console.error(error);
- * }
+ * @param {function} embedder - The embedder.
+ * @returns {number} The id.
  */
 
-async function loadModel() {
-  try {
-    // Get the pipeline instance. This will load and build the model when run for the first time.
-    model = await PipelineSingleton.getInstance((data) => {
-      // You can track the progress of the pipeline creation here.
-      // e.g., you can send `data` back to the UI to indicate a progress bar
-      // can be accessed via vagueFinder.getProgress()
-      progress = data;
-    });
-  } catch (error) {
-    throw new Error(`Unable to load Model due to ${error}`);
+function getEmbedderId(embedder) {
+  if (!embedderIds.has(embedder)) {
+    embedderIds.set(embedder, nextEmbedderId++);
   }
+  return embedderIds.get(embedder);
 }
 
 /**
- * Throws an error indicating that the model has not been loaded.
- *
+ * Checks whether a model reference points to a folder on disk rather than a Hugging Face Hub id.
  *
  * @function
- * @throws {Error} Always throws an error indicating that the model has not been loaded.
+ * @param {string} modelName - The model id or path passed to `loadModel`.
+ * @returns {boolean} `true` if the reference is an absolute or relative path.
  */
 
-function modelNotLoadedErrorMessage() {
-  throw new Error("Model has not been loaded, use vagueFinder.loadModel()");
+function isLocalModelPath(modelName) {
+  return /^(\.{1,2}[\\/]|\/|[a-zA-Z]:[\\/]|file:\/\/)/.test(modelName);
 }
 
 /**
- * Asynchronously classifies the similarity between two sentences.
- *
- * This function takes two sentences and their respective embeddings and cache flags as input.
- * It calculates the embeddings for the sentences if they are not cached.
- * Then, it calculates the cosine similarity between the two embeddings.
- * It returns an object containing the two sentences, their similarity score, and the embedding of the first sentence.
+ * The pipeline loads of every finder, chained, so that only one of them changes the transformers.js `env` at a time.
  *
- * @async
- * @function
- * @param {string} sentenceOne - The first sentence to be compared.
- * @param {string} sentenceTwo - The second sentence to be compared.
- * @param {Array<number>} embedding1Cache - The cached embedding for the first sentence.
- * @param {boolean} doesCache1Exist - Flag indicating whether the embedding for the first sentence is cached.
- * @param {Array<number>} embedding2Cache - The cached embedding for the second sentence.
- * @param {boolean} doesCache2Exist - Flag indicating whether the embedding for the second sentence is cached.
- * @throws {Error} If the model is not loaded, an error is thrown.
- * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number, embedding1Cache: Array<number>}>} A Promise that resolves to an object containing the two sentences, their similarity score, and the embedding of the first sentence.
- *
- * @example
- * try {
- *   const result = await classify(sentence1, sentence2, embedding1Cache, true, embedding2Cache, false);
- *   console.log(result);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @type {Promise<void>}
  */
 
-const classify = async (
-  sentenceOne,
-  sentenceTwo,
-  embedding1Cache,
-  doesCache1Exist,
-  embedding2Cache,
-  doesCache2Exist,
-) => {
-  if (!doesCache2Exist && !model) {
-    modelNotLoadedErrorMessage();
-    return;
-  }
-
-  let embedding1 = null;
-  let embedding2 = null;
-
-  if (doesCache1Exist) {
-    embedding1 = embedding1Cache;
-  } else {
-    embedding1 = await model(sentenceOne, {
-      pooling: "mean",
-      normalize: true,
-    });
-  }
-
-  if (doesCache2Exist) {
-    embedding2 = embedding2Cache;
-  } else {
-    embedding2 = await model(sentenceTwo, {
-      pooling: "mean",
-      normalize: true,
-    });
-  }
-
-  if (!doesCache1Exist) {
-    embedding1 = Array.from(embedding1.data);
-  }
-  if (!doesCache2Exist) {
-    embedding2 = Array.from(embedding2.data);
-  }
-
-  const similarity = calculateCosineSimilarity(embedding1, embedding2);
-
-  let result = similarity;
-
-  function calculateCosineSimilarity(embedding1, embedding2) {
-    // Calculate dot product and magnitudes
-    let dotProduct = 0;
-    let magnitude1 = 0;
-    let magnitude2 = 0;
-    for (let i = 0; i < embedding1.length; i++) {
-      dotProduct += embedding1[i] * embedding2[i];
-      magnitude1 += embedding1[i] * embedding1[i];
-      magnitude2 += embedding2[i] * embedding2[i];
-    }
-    magnitude1 = Math.sqrt(magnitude1);
-    magnitude2 = Math.sqrt(magnitude2);
-
-    // Calculate cosine similarity
-    const similarity = dotProduct / (magnitude1 * magnitude2);
-    return similarity;
-  }
-
-  return {
-    sentenceOne: sentenceOne,
-    sentenceTwo: sentenceTwo,
-    alike: result,
-    embedding1Cache: embedding1,
-  };
-};
+let pipelineQueue = Promise.resolve();
 
 /**
- * Asynchronously compares a sentence to an array of sentences.
+ * Asynchronously creates a transformers.js pipeline for the given model options.
  *
- * This function takes a sentence and an array of sentences, and a cache flag as input.
- * It calculates the similarity between the input sentence and each sentence in the array.
- * It returns an object containing the input sentence and the array of sentences with their similarity scores.
+ * transformers.js only reads where local models are and whether local and remote files are allowed from its global `env`
+ * object, so these settings are applied right before the pipeline is created and restored once it's loaded. The cache
+ * folder is passed to the pipeline itself. Since `env` is shared by every finder, pipelines are loaded one at a time:
+ * a load waits for the ones started before it.
  *
  * @async
  * @function
- * @param {string} sentence - The sentence to be compared.
- * @param {Array<string|{sentenceTwo: string, embedding: Array<number>}>} array - The array of sentences to be compared. Each element can be a string or an object with `sentenceTwo` and `embedding` properties.
- * @param {boolean} doesCache2Exist - Flag indicating whether the embeddings for the sentences in the array are cached.
- * @throws {Error} If the model is not loaded, an error is thrown.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and the array of sentences with their similarity scores.
- *
- * @example
- * try {
- *   const result = await compareSentenceToArray(sentence, array, true);
- *   console.log(result);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @param {Object} options - The model options, see {@link loadModel}.
+ * @param {function} progress_callback - Called by transformers.js with the progress of every file it loads.
+ * @param {string} [task="feature-extraction"] - The pipeline task, `"text-classification"` for a reranker.
+ * @returns {Promise<function>} A Promise that resolves to the pipeline.
  */
 
-const compareSentenceToArray = async (
-  sentence,
-  array,
-  doesCache2Exist = false,
-) => {
-  if (!doesCache2Exist && !model) {
-    modelNotLoadedErrorMessage();
-    return;
-  }
-  let cache = null;
-  array = [...array]; //Creating a copy, so that we don't alter the original;
-  for (let i = 0; i < array.length; i++) {
-    const { sentenceTwo, alike, embedding1Cache } = await classify(
-      sentence,
-      array[i].sentenceTwo ? array[i].sentenceTwo : array[i],
-      cache,
-      i !== 0,
-      array[i].embedding ? array[i].embedding : null,
-      doesCache2Exist,
-    );
-    if (i === 0) {
-      cache = embedding1Cache;
-    }
-    array[i] = { sentenceTwo: sentenceTwo, alike: alike };
-  }
-
-  return {
-    sentenceOne: sentence,
-    array: array,
-  };
-};
+function loadPipeline(options, progress_callback, task = PIPELINE_TASK) {
+  const loading = pipelineQueue.then(() =>
+    createPipeline(options, progress_callback, task),
+  );
+  // A failed load doesn't stop the next ones.
+  pipelineQueue = loading.then(
+    () => {},
+    () => {},
+  );
+  return loading;
+}
 
 /**
- * Asynchronously compares a sentence to an array of sentences and returns the results in order of similarity.
- *
- * This function takes a sentence and an array of sentences as input. It uses the `compareSentenceToArray` function to calculate the cosine similarity between the input sentence and each sentence in the array.
- * The function then sorts the results in descending order of similarity and returns an object containing the input sentence and the sorted array of comparison results.
+ * Asynchronously creates a transformers.js pipeline, with the `env` settings of the model. See {@link loadPipeline}.
  *
  * @async
  * @function
- * @param {string} sentence - The sentence to compare to the array of sentences.
- * @param {Array<string>} array - The array of sentences to compare to the input sentence.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and an array of objects. Each object in the array contains:
- *   - `sentenceTwo`: A sentence from the input array.
- *   - `alike`: The cosine similarity score between the input sentence and `sentenceTwo`.
- *   The array is sorted in descending order of similarity score.
- * @throws {Error} If the model has not been loaded.
- *
- * @example
- * try {
- *   const result = await arrayInOrder("This is a sentence.", ["This is another sentence.", "Yet another sentence."]);
- *   console.log(result);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @param {Object} options - The model options, see {@link loadModel}.
+ * @param {function} progress_callback - Called by transformers.js with the progress of every file it loads.
+ * @param {string} task - The pipeline task.
+ * @returns {Promise<function>} A Promise that resolves to the pipeline.
  */
 
-const arrayInOrder = async (sentence, array) => {
-  if (!model) {
-    modelNotLoadedErrorMessage();
-    return;
-  }
-  array = [...array]; //Creating a copy, so that we don't alter the original;
-  const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
-    sentence,
-    array,
-    false,
-  );
+async function createPipeline(options, progress_callback, task) {
+  // transformers.js is only imported when it's actually needed, so a custom embedder never pulls it in.
+  const { pipeline, env } = await import("@xenova/transformers");
 
-  returnedArray.sort((a, b) => b.alike - a.alike);
+  // Due to a bug in onnxruntime-web, we must disable multithreading for now.
+  // See https://github.com/microsoft/onnxruntime/issues/14445 for more information.
+  // env.backends.onnx.wasm.numThreads = 1;
 
-  return {
-    sentenceOne: sentenceOne,
-    array: returnedArray,
+  const previousEnv = {
+    localModelPath: env.localModelPath,
+    allowLocalModels: env.allowLocalModels,
+    allowRemoteModels: env.allowRemoteModels,
   };
-};
+  let modelName = options.model.replace(/^file:\/\//, "");
+  if (isLocalModelPath(options.model)) {
+    // transformers.js resolves local models as `localModelPath/modelName`, so split the folder from its name.
+    const separator = Math.max(
+      modelName.lastIndexOf("/"),
+      modelName.lastIndexOf("\\"),
+    );
+    env.localModelPath = modelName.slice(0, separator + 1);
+    modelName = modelName.slice(separator + 1);
+    env.allowLocalModels = true;
+    env.allowRemoteModels = false;
+  } else {
+    // The model comes from the Hugging Face Hub (or the cache), so we can skip the local model check
+    env.allowLocalModels = false;
+    env.allowRemoteModels = options.allowRemoteModels;
+  }
+
+  try {
+    return await pipeline(task, modelName, {
+      quantized: options.quantized,
+      cache_dir: options.cacheDir,
+      progress_callback,
+    });
+  } finally {
+    Object.assign(env, previousEnv);
+  }
+}
 
 /**
- * Returns the progress of the model loading process.
+ * Throws an error indicating that the model has not been loaded.
  *
- * If the model is loading, it returns an Object that represents the progress of the model loading process.
  *
  * @function
- * @returns {Object} The progress of the model loading process.
- *
- * @example
- * try {
- *   const progress = getProgress();
- *   console.log(progress);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @throws {Error} Always throws an error indicating that the model has not been loaded.
  */
 
-function getProgress() {
-  return progress;
+function modelNotLoadedErrorMessage() {
+  throw new Error("Model has not been loaded, use vagueFinder.loadModel()");
 }
 
 /**
- * Compares two sentences using the loaded model.
- *
- * This function takes two sentences as input and uses the `classify` function to calculate the cosine similarity between them. If the model has not been loaded, it throws an error.
+ * Checks that an option is a positive integer.
  *
- * @async
  * @function
- * @param {string} sentenceOne - The first sentence to compare.
- * @param {string} sentenceTwo - The second sentence to compare.
- * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number}>} A Promise that resolves to an object containing:
- *   - `sentenceOne`: The first input sentence.
- *   - `sentenceTwo`: The second input sentence.
- *   - `alike`: The cosine similarity score between `sentenceOne` and `sentenceTwo`.
- * @throws {Error} If the model has not been loaded.
- *
- * @example
- * try {
- *   const result = await compareTwoSentences("This is a sentence.", "This is another sentence.");
- *   console.log(result);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @param {string} name - The name of the option, used in the error message.
+ * @param {number} value - The value of the option.
+ * @throws {Error} If the value is not a positive integer.
  */
 
-async function compareTwoSentences(sentenceOne, sentenceTwo) {
-  if (!model) {
-    modelNotLoadedErrorMessage();
-    return;
+function assertPositiveInteger(name, value) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`${name} must be a positive integer`);
   }
-
-  const { alike } = await classify(
-    sentenceOne,
-    sentenceTwo,
-    null,
-    false,
-    null,
-    false,
-  );
-
-  return { sentenceOne, sentenceTwo, alike };
 }
 
 /**
- * Asynchronously generates embeddings for an array of sentences.
+ * Converts the `embeddingCache` model option into the limits of an {@link EmbeddingCache}.
  *
- * This function takes an array of sentences as input.
- * It generates embeddings for each sentence in the array using the model.
- * It returns an array of objects, each containing a sentence and its corresponding embedding.
- *
- * Note: This function creates a copy of the input array to avoid altering the original.
- *
- * @async
  * @function
- * @param {Array<string>} array - The array of sentences for which embeddings are to be generated.
- * @throws {Error} If the model is not loaded, an error is thrown.
- * @returns {Promise<Array<{sentenceTwo: string, embedding: Array<number>}>>} A Promise that resolves to an array of objects, each containing a sentence and its corresponding embedding.
- *
- * @example
- * try {
- *   const result = await getCached(array);
- *   console.log(result);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @param {{maxEntries: number, maxBytes: number}|false|null} option - The option. `false` or `null` disables the cache.
+ * @returns {{maxEntries: number, maxBytes: number}} The limits.
  */
 
-async function getCached(array) {
-  if (!model) {
-    modelNotLoadedErrorMessage();
-    return;
-  }
-  array = [...array]; //Creating a copy, so that we don't alter the original;
-  let returnedArray = [];
-  for (let i = 0; i < array.length; i++) {
-    let embedding = await model(array[i], {
-      pooling: "mean",
-      normalize: true,
-    });
-    embedding = Array.from(embedding.data);
-    returnedArray[i] = { sentenceTwo: array[i], embedding: embedding };
-  }
-
-  return returnedArray;
+function embeddingCacheLimits(option) {
+  return option ? option : { maxEntries: 0 };
 }
 
 /**
- * Compares a sentence to an array of cached sentences.
+ * Wraps an async finder method so that it accepts the `signal` and `timeout` options. See {@link withAbort}.
  *
- * @async
  * @function
- * @param {string} sentence - The sentence to compare.
- * @param {Array<{sentenceTwo: string, embedding: Array<number>}>} cachedArray - The array of cached sentences to compare against.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} An object containing the original sentence and an array of comparison results.
- *
- * @example
- * const result = await cachedCompareSentenceToArray('Hello world', cachedSentences);
- * console.log(result);
+ * @param {function} method - The method.
+ * @param {number} optionsIndex - The position of the options argument of the method.
+ * @returns {function} The wrapped method.
  */
 
-async function cachedCompareSentenceToArray(sentence, cachedArray) {
-  cachedArray.map((item) => {
-    if (!item.sentenceTwo) {
-      throw new Error(
-        "Each item in the cachedArray must have a sentenceTwo property",
-      );
-    }
-    return {
-      sentenceTwo: item.sentenceTwo,
-      embedding: [...item.embedding],
-    };
-  });
-  const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
-    sentence,
-    cachedArray,
-    true,
-  );
-
-  return {
-    sentenceOne: sentenceOne,
-    array: returnedArray,
-  };
+function abortable(method, optionsIndex) {
+  return (...args) =>
+    withAbort(args[optionsIndex], (options) => {
+      const nextArgs = [...args];
+      nextArgs[optionsIndex] = options;
+      return method(...nextArgs);
+    });
 }
 
 /**
- * Asynchronously sorts an array of sentences based on their similarity to a given sentence.
- *
- * This function takes a sentence and an array of sentences as input.
- * It calculates the similarity between the input sentence and each sentence in the array.
- * It then sorts the array based on the similarity scores in descending order.
- * It returns an object containing the input sentence and the sorted array of sentences with their similarity scores.
+ * Creates an independent finder.
  *
- * This function differs from `arrayInOrder` in that it expects the array of sentences to already have cached embeddings.
- * This function is useful when you have a large array of sentences and you want to cache their embeddings to avoid recalculating them each time you compare a new sentence to the array.
+ * Every finder has its own model, progress state and settings, so several models (e.g. an English and a multilingual one)
+ * can be used side by side in the same process, and tests can each use their own finder.
  *
- * @async
  * @function
- * @param {string} sentence - The sentence to be compared.
- * @param {Array<string|{sentenceTwo: string, embedding: Array<number>}>} cachedArray - The array of sentences to be compared. Each element is a object with `sentenceTwo` and `embedding` properties.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and the sorted array of sentences with their similarity scores.
+ * @param {Object} [config] - The default model options of this finder. They are used by its `loadModel` unless overridden there. See {@link loadModel}.
+ * @returns {Object} A finder with the same methods as {@link vagueFinder}.
  *
  * @example
- * try {
- *   const result = await cachedArrayInOrder(sentence, array);
- *   console.log(result);
- * } catch (error) {
- *   console.error(error);
- * }
+ * const english = createVagueFinder({ model: "Supabase/gte-small" });
+ * const multilingual = createVagueFinder({ model: "Xenova/multilingual-e5-small" });
+ * await Promise.all([english.loadModel(), multilingual.loadModel()]);
  */
 
-async function cachedArrayInOrder(sentence, cachedArray) {
-  cachedArray.map((item) => {
-    if (!item.sentenceTwo) {
+function createVagueFinder(config = {}) {
+  const instanceOptions = { ...defaultModelOptions, ...config };
+
+  let model = null;
+  let progress = null;
+  let modelOptions = { ...instanceOptions };
+  let pipelinePromise = null;
+  let pipelineKey = null;
+  let status = "idle";
+  let reranker = null;
+  let rerankerPromise = null;
+  let rerankerKey = null;
+  let rerankerStatus = "idle";
+  const progressTracker = createProgressTracker();
+  const rerankerProgressTracker = createProgressTracker("reranker");
+  const progressEmitter = createProgressEmitter(
+    () => status === "loading" || rerankerStatus === "loading",
+  );
+  const embeddingCache = new EmbeddingCache(
+    embeddingCacheLimits(instanceOptions.embeddingCache),
+  );
+  let preprocessText = createPreprocessor(instanceOptions.preprocess);
+
+  /**
+   * Asynchronously loads the model.
+   *
+   * This function gets the pipeline instance which will load and build the model when run for the first time.
+   * It also provides a way to track the progress of the pipeline creation, which can be used to update a UI element like a progress bar.
+   *
+   * By default the quantized `Supabase/gte-small` model is downloaded from the Hugging Face Hub. Pass `model` to use another
+   * feature-extraction model, either as a Hub id or as a path to a local model folder (which never touches the network).
+   * Pass `embedder` to skip transformers.js entirely and compute embeddings with your own function.
+   *
+   * While it runs, the status is `"loading"` and structured progress events are emitted (see {@link subscribeProgress}).
+   * If the model fails to load, the status is `"failed"` and the next call tries again. Aborting `signal` only stops waiting:
+   * the model keeps loading in the background.
+   *
+   * @async
+   * @function
+   * @param {Object} [options] - The model options.
+   * @param {string} [options.model="Supabase/gte-small"] - A Hugging Face Hub model id, or a path (`/`, `./`, `../`, `C:\\` or `file://`) to a local model folder.
+   * @param {boolean} [options.quantized=true] - Whether to load the quantized ONNX weights.
+   * @param {string} [options.cacheDir] - The directory where downloaded model files are cached.
+   * @param {boolean} [options.allowRemoteModels=true] - Set to `false` to only use files already in the cache, e.g. in air-gapped environments.
+   * @param {string} [options.pooling="mean"] - The pooling strategy passed to the pipeline (`"mean"`, `"cls"` or `"none"`).
+   * @param {boolean} [options.normalize=true] - Whether the pipeline should normalize the embeddings.
+   * @param {function(string, {pooling: string, normalize: boolean}): (Array<number>|Float32Array|Promise<Array<number>|Float32Array>)} [options.embedder] - A custom function that returns the embedding of a sentence. When given, no model is downloaded.
+   * @param {string} [options.embedderId] - A stable name of the custom embedder, e.g. `"my-embedder@2"`, recorded in embedding stores and used as its key in the embedding cache. Without it, stores only record the function name, and cached embeddings aren't reused after a restart.
+   * @param {number} [options.batchSize=32] - The default number of sentences passed to the model at once. See {@link embedMany}.
+   * @param {number} [options.concurrency=1] - The default number of batches that are embedded at the same time. See {@link embedMany}.
+   * @param {{maxEntries: number, maxBytes: number}|false} [options.embeddingCache={maxEntries: 1000}] - The limits of the cache of recently computed embeddings, or `false` to disable it. See {@link EmbeddingCache}.
+   * @param {boolean|Array<string|function(string): string|Object>} [options.preprocess] - The steps applied to every text before it's embedded, e.g. `["stripHtml", "lowercase", "collapseWhitespace"]`. The results still hold the original texts. See {@link createPreprocessor}.
+   * @param {string} [options.queryPrefix=""] - Prepended to the queries after preprocessing, for models trained with instructions, e.g. `"query: "` for E5 models.
+   * @param {string} [options.documentPrefix=""] - Prepended to the compared and cached sentences after preprocessing, e.g. `"passage: "` for E5 models.
+   * @param {function(Object): void} [options.onProgress] - Called with every progress payload while the model loads, besides being available from `getProgress`.
+   * @param {AbortSignal} [options.signal] - Stops waiting for the model. See {@link withAbort}.
+   * @param {number} [options.timeout] - Stops waiting for the model after this many milliseconds.
+   * @throws {Error} If the model cannot be loaded, an error is thrown with a message detailing the reason.
+   *
+   * @example
+   * try {
+   *   await loadModel({ model: "./models/gte-small", quantized: false });
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
+
+  async function loadModel(options = {}) {
+    // The abort options only apply to this call, they aren't model options.
+    const loadOptions = { ...options };
+    delete loadOptions.signal;
+    delete loadOptions.timeout;
+    const nextOptions = { ...instanceOptions, ...loadOptions };
+    if (
+      nextOptions.embedder !== null &&
+      typeof nextOptions.embedder !== "function"
+    ) {
+      throw new Error("embedder must be a function");
+    }
+    if (
+      nextOptions.embedderId !== null &&
+      (typeof nextOptions.embedderId !== "string" ||
+        nextOptions.embedderId === "")
+    ) {
+      throw new Error("embedderId must be a non-empty string");
+    }
+    assertPositiveInteger("batchSize", nextOptions.batchSize);
+    assertPositiveInteger("concurrency", nextOptions.concurrency);
+    if (
+      typeof nextOptions.queryPrefix !== "string" ||
+      typeof nextOptions.documentPrefix !== "string"
+    ) {
+      throw new Error("queryPrefix and documentPrefix must be strings");
+    }
+    const nextPreprocessText = createPreprocessor(nextOptions.preprocess);
+
+    status = "loading";
+    try {
+      if (nextOptions.embedder) {
+        model = nextOptions.embedder;
+      } else {
+        // Get the pipeline instance. This will load and build the model when run for the first time,
+        // and is reused as long as the model options don't change.
+        const key = JSON.stringify([
+          nextOptions.model,
+          nextOptions.quantized,
+          nextOptions.cacheDir,
+          nextOptions.allowRemoteModels,
+        ]);
+        if (pipelinePromise === null || pipelineKey !== key) {
+          pipelineKey = key;
+          progressTracker.reset();
+          pipelinePromise = loadPipeline(nextOptions, (data) => {
+            // You can track the progress of the pipeline creation here.
+            // e.g., you can send `data` back to the UI to indicate a progress bar
+            // can be accessed via vagueFinder.getProgress()
+            progress = data;
+            if (nextOptions.onProgress) {
+              nextOptions.onProgress(data);
+            }
+            const event = progressTracker.update(data);
+            if (event) {
+              progressEmitter.emit(event);
+            }
+          });
+        }
+        const loading = pipelinePromise;
+        try {
+          model = await loading;
+        } catch (error) {
+          // Don't keep the rejected pipeline, so the next call can try again.
+          if (pipelinePromise === loading) {
+            pipelinePromise = null;
+            pipelineKey = null;
+          }
+          throw error;
+        }
+      }
+      modelOptions = nextOptions;
+      preprocessText = nextPreprocessText;
+      embeddingCache.resize(embeddingCacheLimits(modelOptions.embeddingCache));
+      status = "ready";
+      progressEmitter.emit(progressTracker.ready());
+    } catch (error) {
+      const message = `Unable to load Model due to ${error}`;
+      status = "failed";
+      progressEmitter.emit(progressTracker.fail(message));
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Asynchronously loads the reranker used by the `rerank` option of {@link arrayInOrder}, {@link cachedArrayInOrder} and {@link getTop}.
+   *
+   * The reranker is a cross-encoder: a text-classification model that reads the query and a candidate together and
+   * scores their relevance. By default the quantized `Xenova/ms-marco-MiniLM-L-6-v2` model is downloaded from the Hugging Face
+   * Hub. Like in {@link loadModel}, `model` can be a path to a local model folder, and `reranker` replaces transformers.js
+   * with your own function.
+   *
+   * The progress is reported like the progress of `loadModel`: raw payloads through `onProgress` and {@link getProgress}, and
+   * structured events (with `target: "reranker"`) through {@link subscribeProgress} and {@link progressEvents}.
+   * The status of the model is unchanged.
+   *
+   * @async
+   * @function
+   * @param {Object} [options] - The reranker options.
+   * @param {string} [options.model="Xenova/ms-marco-MiniLM-L-6-v2"] - A Hugging Face Hub model id, or a path to a local model folder.
+   * @param {boolean} [options.quantized=true] - Whether to load the quantized ONNX weights.
+   * @param {string} [options.cacheDir] - The directory where downloaded model files are cached. Defaults to the one of the finder.
+   * @param {boolean} [options.allowRemoteModels] - Set to `false` to only use files already in the cache. Defaults to the one of the finder.
+   * @param {function(string, Array<string>): (Array<number>|Promise<Array<number>>)} [options.reranker] - A custom function that returns the score of every text for a query. When given, no model is downloaded.
+   * @param {function(Object): void} [options.onProgress] - Called with every progress payload while the reranker loads.
+   * @param {AbortSignal} [options.signal] - Stops waiting for the reranker. See {@link withAbort}.
+   * @param {number} [options.timeout] - Stops waiting for the reranker after this many milliseconds.
+   * @throws {Error} If the reranker cannot be loaded, an error is thrown with a message detailing the reason.
+   *
+   * @example
+   * await loadReranker({ model: "./models/ms-marco-MiniLM-L-6-v2" });
+   * const { array } = await getTop(query, sentences, 5, { rerank: { topN: 50 } });
+   */
+
+  async function loadReranker(options = {}) {
+    const {
+      model: rerankerModel = DEFAULT_RERANKER,
+      quantized = true,
+      cacheDir = instanceOptions.cacheDir,
+      allowRemoteModels = instanceOptions.allowRemoteModels,
+      reranker: custom = null,
+      onProgress = null,
+    } = options;
+    if (custom !== null && typeof custom !== "function") {
+      throw new Error("reranker must be a function");
+    }
+
+    rerankerStatus = "loading";
+    try {
+      if (custom) {
+        reranker = custom;
+      } else {
+        // The pipeline is reused as long as the reranker options don't change.
+        const key = JSON.stringify([
+          rerankerModel,
+          quantized,
+          cacheDir,
+          allowRemoteModels,
+        ]);
+        if (rerankerPromise === null || rerankerKey !== key) {
+          rerankerKey = key;
+          rerankerProgressTracker.reset();
+          rerankerPromise = loadPipeline(
+            { model: rerankerModel, quantized, cacheDir, allowRemoteModels },
+            (data) => {
+              progress = data;
+              if (onProgress) {
+                onProgress(data);
+              }
+              const event = rerankerProgressTracker.update(data);
+              if (event) {
+                progressEmitter.emit(event);
+              }
+            },
+            RERANKER_TASK,
+          );
+        }
+        const loading = rerankerPromise;
+        try {
+          reranker = createCrossEncoderScorer(await loading);
+        } catch (error) {
+          // Don't keep the rejected pipeline, so the next call can try again.
+          if (rerankerPromise === loading) {
+            rerankerPromise = null;
+            rerankerKey = null;
+          }
+          throw error;
+        }
+      }
+      rerankerStatus = "ready";
+      progressEmitter.emit(rerankerProgressTracker.ready());
+    } catch (error) {
+      const message = `Unable to load Reranker due to ${error}`;
+      rerankerStatus = "failed";
+      progressEmitter.emit(rerankerProgressTracker.fail(message));
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Asynchronously reranks sorted results with the reranker, if the `rerank` option is set.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The query.
+   * @param {Array<{sentenceTwo: string, alike: number}>} results - The results, in descending order of similarity.
+   * @param {boolean|{topN: number}} [option] - The `rerank` option. See {@link rerankResults}.
+   * @throws {Error} If the option is set but no reranker is loaded.
+   * @returns {Promise<Array<Object>>} The reranked results, or `results` without the option.
+   */
+
+  async function applyRerank(sentence, results, option) {
+    if (!option) {
+      return results;
+    }
+    const { topN } = normalizeRerank(option);
+    if (!reranker) {
       throw new Error(
-        "Each item in the cachedArray must have a sentenceTwo property",
+        "Reranker has not been loaded, use vagueFinder.loadReranker()",
       );
     }
-    return {
-      sentenceTwo: item.sentenceTwo,
-      embedding: [...item.embedding],
-    };
-  });
-  const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
-    sentence,
-    cachedArray,
-    true,
-  );
+    return rerankResults(sentence, results, reranker, topN);
+  }
 
-  returnedArray.sort((a, b) => b.alike - a.alike);
+  /**
+   * Returns the status of the model.
+   *
+   * @function
+   * @returns {"idle"|"loading"|"ready"|"failed"} `"idle"` before the first `loadModel` call, `"loading"` while it runs,
+   *   then `"ready"` or `"failed"`. After a failed reload, the previously loaded model is still used.
+   */
 
-  return {
-    sentenceOne: sentenceOne,
-    array: returnedArray,
-  };
-}
+  function getLoadStatus() {
+    return status;
+  }
 
-/**
- * Asynchronously gets the top results from a list of sentences based on their similarity to a given sentence.
- * This function is different from `getArrayInOrder` as it limits the results to the top 'numberOfResults' items.
- *
- * @async
- * @param {string} sentence - The sentence to compare against.
- * @param {Array<string>} array - The array of sentences to compare.
- * @param {number} numberOfResults - The number of top results to return. This parameter constrains the size of the returned array.
- * @throws {Error} Will throw an error if the model is not loaded or if numberOfResults is less than or equal to 0.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A promise that resolves to an object containing the original sentence and an array of the top results.
- * The top results array contains objects with the properties 'sentenceTwo' and 'alike', where 'sentenceTwo' is a sentence from the input array and 'alike' is its similarity score to the original sentence.
- */
+  /**
+   * Adds a listener of the structured model loading progress events.
+   *
+   * Unlike the raw payloads of {@link getProgress}, every event has the status of every file, the overall bytes and
+   * percentage, and its phase: `"initiate"`, `"download"`, then `"ready"` or `"error"`. See {@link ProgressEvent}.
+   *
+   * @function
+   * @param {function(ProgressEvent): void} listener - Called with every event.
+   * @returns {function(): void} A function that removes the listener.
+   *
+   * @example
+   * const unsubscribe = subscribeProgress(({ phase, progress, loaded, total }) => {
+   *   console.log(phase, `${progress.toFixed(1)}%`, `${loaded}/${total} bytes`);
+   * });
+   * await loadModel();
+   * unsubscribe();
+   */
 
-async function getTop(sentence, array, numberOfResults) {
-  if (!model) {
-    modelNotLoadedErrorMessage();
-    return;
+  function subscribeProgress(listener) {
+    if (typeof listener !== "function") {
+      throw new Error("listener must be a function");
+    }
+    return progressEmitter.subscribe(listener);
   }
 
-  if (numberOfResults <= 0) {
-    throw new Error("numberOfResults is either 0 or less than 0");
+  /**
+   * Iterates over the structured progress events of the current model load, until its `"ready"` or `"error"` event.
+   *
+   * When no load is in progress, it only yields the last event, if any.
+   *
+   * @function
+   * @returns {AsyncGenerator<ProgressEvent>} The events.
+   *
+   * @example
+   * const loading = loadModel();
+   * for await (const event of progressEvents()) {
+   *   progressBar.value = event.progress;
+   * }
+   * await loading;
+   */
+
+  function progressEvents() {
+    return progressEmitter.events();
   }
 
-  const arrayCopy = [...array];
-  numberOfResults = Math.min(numberOfResults, arrayCopy.length);
-  const list = new LinkedListInAlikeOrder(numberOfResults);
-  let cache = null;
+  /**
+   * Returns the last structured progress event.
+   *
+   * @function
+   * @returns {ProgressEvent|null} The last event, or null if the model was never loaded.
+   */
 
-  for (let i = 0; i < array.length; i++) {
-    const { sentenceTwo, alike, embedding1Cache } = await classify(
-      sentence,
-      array[i],
-      cache,
-      i !== 0,
-      null,
-      false,
-    );
-    if (i === 0) {
-      cache = embedding1Cache;
-    }
-    list.addNode({ sentenceTwo: sentenceTwo, alike: alike });
+  function getLoadProgress() {
+    return progressEmitter.last();
   }
 
-  const resultantArray = list.getArray();
-  return {
-    sentenceOne: sentence,
-    array: resultantArray,
-  };
-}
+  /**
+   * Returns the options of the currently loaded model.
+   *
+   * @function
+   * @returns {{model: string, quantized: boolean, cacheDir: string|null, allowRemoteModels: boolean, pooling: string, normalize: boolean, embedder: function|null}} The options passed to the last successful `loadModel` call, merged with the defaults.
+   */
 
-/**
- * Class representing a doubly linked list with a maximum length.
- */
-class LinkedListInAlikeOrder {
-  head = null;
-  tail = null;
-  length = 0;
-  maxLength = 0;
+  function getModelOptions() {
+    return { ...modelOptions };
+  }
 
   /**
-   * Create a LinkedListInAlikeOrder.
-   * @param {number} maxLength - The maximum length of the linked list.
+   * Removes every embedding from the embedding cache and resets its statistics.
+   *
+   * @function
    */
-  constructor(maxLength) {
-    this.maxLength = maxLength;
+
+  function clearCache() {
+    embeddingCache.clear();
   }
 
   /**
-   * Create a new node.
-   * @param {Object} obj - The object to be added to the node. The object should have two properties: 'alike' and 'sentenceTwo'.
-   * @return {Object} The new node.
-   * @private
+   * Returns the statistics of the embedding cache.
+   *
+   * Every computed embedding (queries, candidates, `getCached`) is kept in a least-recently-used cache, keyed by the model and
+   * the normalized text, so repeated queries and overlapping candidate lists aren't embedded again.
+   *
+   * @function
+   * @returns {{entries: number, bytes: number, maxEntries: number, maxBytes: number, hits: number, misses: number, hitRate: number, evictions: number}} The statistics. See {@link EmbeddingCache#stats}.
+   *
+   * @example
+   * const { hits, misses, hitRate } = getCacheStats();
    */
-  _node(obj) {
-    return {
-      ...obj,
-      next: null,
-      prev: null,
-    };
+
+  function getCacheStats() {
+    return embeddingCache.stats();
   }
 
   /**
-   * Convert the linked list to an array.
-   * @return {Array<Object>} The array representation of the linked list.
+   * Exports the embedding cache, so it can be persisted and restored with {@link importCache} after a restart.
+   *
+   * @function
+   * @returns {{version: number, entries: Array<[string, Array<number>]>}} A JSON-compatible export of the cached embeddings.
+   *
+   * @example
+   * await fs.promises.writeFile("embedding-cache.json", JSON.stringify(exportCache()));
    */
-  getArray() {
-    let currentNode = this.head;
-    const array = [];
 
-    while (currentNode !== null) {
-      const { alike, sentenceTwo } = currentNode;
-      array.push({ alike, sentenceTwo });
-      currentNode = currentNode.next;
-    }
+  function exportCache() {
+    return embeddingCache.toJSON();
+  }
+
+  /**
+   * Imports embeddings exported by {@link exportCache}. They are only used for the model that computed them.
+   *
+   * @function
+   * @param {{version: number, entries: Array<[string, Array<number>]>}} json - The export.
+   * @throws {Error} If the export is invalid or has an unsupported version.
+   *
+   * @example
+   * importCache(JSON.parse(await fs.promises.readFile("embedding-cache.json", "utf8")));
+   */
 
-    return array;
+  function importCache(json) {
+    embeddingCache.load(json);
   }
 
   /**
-   * Get the index where the new node should be inserted.
-   * @param {number} alike - The 'alike' value of the new node.
-   * @return {number} The index where the new node should be inserted.
-   * @private
+   * Returns the id of the loaded model in the embedding cache. Embeddings are only reused for the same model, pooling and
+   * normalization. A custom embedder is identified by its `embedderId`, or else by the function itself, so its embeddings
+   * aren't reused after a restart.
+   *
+   * @function
+   * @returns {string} The id.
    */
-  _getIndex(alike) {
-    let count = 0;
-    let currentNode = this.head;
-    while (count < this.maxLength) {
-      if (currentNode === null || currentNode.alike <= alike) {
-        return count;
-      }
-      currentNode = currentNode.next;
-      count++;
+
+  function cacheModelId() {
+    let source = `${modelOptions.model}${modelOptions.quantized ? "" : ":unquantized"}`;
+    if (modelOptions.embedder) {
+      source = modelOptions.embedderId
+        ? embedderIdentity()
+        : `${embedderIdentity()}#${getEmbedderId(modelOptions.embedder)}`;
     }
-    return this.maxLength;
+    return `${source}:${modelOptions.pooling}:${modelOptions.normalize}`;
   }
 
   /**
-   * Add a new node to the linked list.
-   * @param {Object} obj - The object to be added as a new node.
+   * Returns the text the model embeds for a sentence: the sentence after the `preprocess` steps, with the `queryPrefix`
+   * or `documentPrefix` of the model. Every embedding goes through here, so cached and uncached sentences are embedded
+   * the same way.
+   *
+   * @function
+   * @param {string} sentence - The sentence.
+   * @param {"query"|"document"} role - Whether the sentence is a query or a sentence it's compared to.
+   * @returns {string} The text to embed.
    */
-  addNode(obj) {
-    if (this.head === null) {
-      this.head = this.tail = this._node(obj);
-      this.length++;
-      this._audit();
-      return;
-    }
-    let index = this._getIndex(obj.alike);
-    this._insertAtIndex(index, obj);
+
+  function prepareText(sentence, role) {
+    const prefix =
+      role === "query" ? modelOptions.queryPrefix : modelOptions.documentPrefix;
+    return prefix + preprocessText(sentence);
   }
 
   /**
-   * Insert a new node at a specific index.
-   * @param {number} index - The index where the new node should be inserted.
-   * @param {Object} obj - The object to be added as a new node.
-   * @private
+   * Asynchronously gets the embedding of a sentence from the embedding cache, or computes and caches it.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to embed.
+   * @param {"query"|"document"} [role="query"] - Whether the sentence is a query or a sentence it's compared to. See {@link prepareText}.
+   * @returns {Promise<Array<number>>} The embedding as a plain array of numbers.
    */
-  _insertAtIndex(index, obj) {
-    const newNode = this._node(obj);
-    let currentNode = this.head;
-    if (index === 0) {
-      newNode.next = this.head;
-      this.head.prev = newNode;
-      this.head = newNode;
-    } else if (index === this.length) {
-      this.tail.next = newNode;
-      newNode.prev = this.tail;
-      this.tail = newNode;
-    } else {
-      let count = 0;
-      while (count + 1 < index) {
-        currentNode = currentNode.next;
-        count++;
-      }
-      newNode.next = currentNode.next;
-      currentNode.next.prev = newNode;
-      newNode.prev = currentNode;
-      currentNode.next = newNode;
+
+  async function embed(sentence, role = "query") {
+    const text = prepareText(sentence, role);
+    const modelId = cacheModelId();
+    const cached = embeddingCache.get(modelId, text);
+    if (cached) {
+      return cached;
     }
-    this.length++;
-    this._audit();
+    const embedding = await computeEmbedding(text);
+    embeddingCache.set(modelId, text, embedding);
+    return embedding;
+  }
+
+  /**
+   * Asynchronously computes the embedding of a sentence with the loaded model or custom embedder.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to embed.
+   * @returns {Promise<Array<number>>} The embedding as a plain array of numbers.
+   */
+
+  async function computeEmbedding(sentence) {
+    const output = await model(sentence, {
+      pooling: modelOptions.pooling,
+      normalize: modelOptions.normalize,
+    });
+    return Array.from(output.data ?? output);
   }
 
   /**
-   * Check if the linked list is longer than the maximum length.
-   * If it is, delete the last node.
-   * @private
+   * Asynchronously computes the embeddings of one batch of sentences.
+   *
+   * The whole batch goes through the pipeline in a single call. A custom embedder, or a pipeline without pooling
+   * (whose output can't be split per sentence), embeds the sentences one by one instead.
+   *
+   * @async
+   * @function
+   * @param {Array<string>} batch - The sentences to embed.
+   * @returns {Promise<Array<Array<number>>>} The embeddings, in the same order as `batch`.
    */
-  _audit() {
-    if (this.length > this.maxLength) {
-      this._deleteLastNode();
+
+  async function embedBatch(batch) {
+    if (modelOptions.embedder || modelOptions.pooling === "none") {
+      return Promise.all(batch.map((sentence) => computeEmbedding(sentence)));
     }
+    const output = await model(batch, {
+      pooling: modelOptions.pooling,
+      normalize: modelOptions.normalize,
+    });
+    const dimension = output.data.length / batch.length;
+    return batch.map((_, i) =>
+      Array.from(output.data.subarray(i * dimension, (i + 1) * dimension)),
+    );
   }
 
   /**
-   * Delete the last node of the linked list.
-   * @private
+   * Asynchronously computes the embeddings of many sentences, in batches.
+   *
+   * Sentences in the embedding cache are reused, and a sentence that appears several times is only embedded once.
+   * The others are split into batches of `batchSize`, and up to `concurrency` batches are embedded at the same time.
+   * After every batch `onProgress` is called, which can be used to show the indexing progress in a UI. Cached sentences
+   * count as embedded from the start.
+   *
+   * @async
+   * @function
+   * @param {Array<string>} sentences - The sentences to embed.
+   * @param {Object} [options] - The batching options. They default to the ones given to `loadModel`.
+   * @param {number} [options.batchSize] - The number of sentences passed to the model at once.
+   * @param {number} [options.concurrency] - The number of batches embedded at the same time.
+   * @param {function({batch: number, batches: number, embedded: number, total: number}): void} [options.onProgress] - Called after every batch with the number of finished batches and embedded sentences.
+   * @param {AbortSignal} [options.signal] - Checked before every batch.
+   * @param {"query"|"document"} [role="document"] - Whether the sentences are queries or sentences they're compared to. See {@link prepareText}.
+   * @throws {AbortError} If `signal` is aborted.
+   * @returns {Promise<Array<Array<number>>>} The embeddings, in the same order as `sentences`.
    */
-  _deleteLastNode() {
-    const newTail = this.tail.prev;
-    this.tail.prev = null;
-    newTail.next = null;
-    this.tail = newTail;
-    this.length--;
+
+  async function embedMany(sentences, options = {}, role = "document") {
+    const {
+      batchSize = modelOptions.batchSize,
+      concurrency = modelOptions.concurrency,
+      onProgress = null,
+      signal = null,
+    } = options;
+    assertPositiveInteger("batchSize", batchSize);
+    assertPositiveInteger("concurrency", concurrency);
+
+    const modelId = cacheModelId();
+    const embeddings = new Array(sentences.length);
+    // The positions of every text that isn't cached yet. Sentences that only differ before preprocessing share it.
+    const missing = new Map();
+    sentences.forEach((sentence, i) => {
+      const text = prepareText(sentence, role);
+      if (missing.has(text)) {
+        missing.get(text).push(i);
+        return;
+      }
+      const cached = embeddingCache.get(modelId, text);
+      if (cached) {
+        embeddings[i] = cached;
+      } else {
+        missing.set(text, [i]);
+      }
+    });
+
+    const toEmbed = [...missing.keys()];
+    const batches = [];
+    for (let i = 0; i < toEmbed.length; i += batchSize) {
+      batches.push(toEmbed.slice(i, i + batchSize));
+    }
+
+    let nextBatch = 0;
+    let finishedBatches = 0;
+    let embedded = sentences.length;
+    for (const positions of missing.values()) {
+      embedded -= positions.length;
+    }
+
+    const runBatches = async () => {
+      while (nextBatch < batches.length) {
+        throwIfAborted(signal);
+        const index = nextBatch++;
+        const batch = batches[index];
+        const batchEmbeddings = await embedBatch(batch);
+        for (let i = 0; i < batchEmbeddings.length; i++) {
+          embeddingCache.set(modelId, batch[i], batchEmbeddings[i]);
+          for (const position of missing.get(batch[i])) {
+            embeddings[position] = batchEmbeddings[i];
+          }
+          embedded += missing.get(batch[i]).length;
+        }
+        finishedBatches++;
+        if (onProgress) {
+          onProgress({
+            batch: finishedBatches,
+            batches: batches.length,
+            embedded,
+            total: sentences.length,
+          });
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, batches.length); i++) {
+      workers.push(runBatches());
+    }
+    await Promise.all(workers);
+
+    return embeddings;
   }
-}
 
-/**
- * The `vagueFinder` object provides a set of methods for comparing sentences using a loaded model.
- *
- * @namespace
- * @property {function} loadModel - Loads the model. See {@link loadModel}.
- * @property {function} getProgress - Returns the progress of the model loading process. See {@link getProgress}.
- * @property {function} compareTwoSentences - Compares two sentences using the loaded model. See {@link compareTwoSentences}.
- * @property {function} compareSentenceToArray - Compares a sentence to an array of sentences using the loaded model. See {@link compareSentenceToArray}.
- * @property {function} arrayInOrder - Compares a sentence to an array of sentences using the loaded model and returns the results in order of similarity. See {@link arrayInOrder}.
- * @property {function} getCached - Returns a cached array. See {@link getCached}.
- * @property {function} cachedCompareSentenceToArray - Compare a sentence to an array of cached sentences. See {@link cachedCompareSentenceToArray}.
- * @property {function} cachedArrayInOrder - Compares a sentence to an array of cached senteces and returns the results in order of similarity. See {@link cachedArrayInOrder}.
- * @property {function} getTop - Compares a sentence to an array of sentences using the loaded model and returns the top 'numberOfResults' results. The number of results is constrained by the 'numberOfResults' parameter. See {@link getTop}.
- */
+  /**
+   * Asynchronously classifies the similarity between two sentences.
+   *
+   * This function takes two sentences and their respective embeddings and cache flags as input.
+   * It calculates the embeddings for the sentences if they are not cached.
+   * Then, it calculates the similarity between the two embeddings with the given metric.
+   * It returns an object containing the two sentences, their similarity score, and the embedding of the first sentence.
+   *
+   * @async
+   * @function
+   * @param {string} sentenceOne - The first sentence to be compared.
+   * @param {string} sentenceTwo - The second sentence to be compared.
+   * @param {Array<number>} embedding1Cache - The cached embedding for the first sentence.
+   * @param {boolean} doesCache1Exist - Flag indicating whether the embedding for the first sentence is cached.
+   * @param {Array<number>} embedding2Cache - The cached embedding for the second sentence.
+   * @param {boolean} doesCache2Exist - Flag indicating whether the embedding for the second sentence is cached.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @throws {Error} If the model is not loaded, an error is thrown.
+   * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number, embedding1Cache: Array<number>}>} A Promise that resolves to an object containing the two sentences, their similarity score, and the embedding of the first sentence.
+   *
+   * @example
+   * try {
+   *   const result = await classify(sentence1, sentence2, embedding1Cache, true, embedding2Cache, false);
+   *   console.log(result);
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
 
-const vagueFinder = {
-  loadModel,
-  getProgress,
-  compareTwoSentences,
-  compareSentenceToArray,
-  arrayInOrder,
-  getCached,
-  cachedCompareSentenceToArray,
-  cachedArrayInOrder,
-  getTop,
-};
+  const classify = async (
+    sentenceOne,
+    sentenceTwo,
+    embedding1Cache,
+    doesCache1Exist,
+    embedding2Cache,
+    doesCache2Exist,
+    metric = "cosine",
+  ) => {
+    if (!doesCache2Exist && !model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+
+    let embedding1 = null;
+    let embedding2 = null;
+
+    if (doesCache1Exist) {
+      embedding1 = embedding1Cache;
+    } else {
+      embedding1 = await embed(sentenceOne);
+    }
+
+    if (doesCache2Exist) {
+      embedding2 = embedding2Cache;
+    } else {
+      embedding2 = await embed(sentenceTwo, "document");
+    }
+
+    const result = calculateSimilarity(embedding1, embedding2, metric);
 
-export { vagueFinder };
\ No newline at end of file
+    return {
+      sentenceOne: sentenceOne,
+      sentenceTwo: sentenceTwo,
+      alike: result,
+      embedding1Cache: embedding1,
+    };
+  };
+
+  /**
+   * Asynchronously compares a sentence to an array of sentences.
+   *
+   * This function takes a sentence and an array of sentences, and a cache flag as input.
+   * It calculates the similarity between the input sentence and each sentence in the array.
+   * It returns an object containing the input sentence and the array of sentences with their similarity scores.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to be compared.
+   * @param {Array<string|{sentenceTwo: string, embedding: Array<number>}>} array - The array of sentences to be compared. Each element can be a string or an object with `sentenceTwo` and `embedding` properties.
+   * It can also be an array of records searched by `options.keys`, or records cached by `getCached` with `keys`. See {@link compareSentenceToObjects}.
+   * It can also be an array of long documents split by `options.chunking`, or documents cached by `getCached` with `chunking`. See {@link compareSentenceToDocuments}.
+   * @param {boolean} doesCache2Exist - Flag indicating whether the embeddings for the sentences in the array are cached.
+   * @param {Object} [options] - The batching options used when the sentences aren't cached. See {@link embedMany}.
+   * @param {Array<string|{name: string, weight: number}>} [options.keys] - The key paths to search when `array` holds records instead of sentences.
+   * @param {Object} [options.chunking] - How to split long documents into passages. See {@link splitIntoPassages}.
+   * @param {string|Object} [options.aggregate="max"] - How the passage scores of a document are aggregated. See {@link aggregateScores}.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {string|Object} [options.calibration] - Adds a calibrated `confidence` to every result. See {@link calibrateScores}.
+   * @param {AbortSignal} [options.signal] - Aborts the comparison between embeddings or batches. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the comparison after this many milliseconds.
+   * @throws {Error} If the model is not loaded, an error is thrown, or an {@link AbortError} if the comparison is aborted.
+   * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number, confidence?: number}>}>} A Promise that resolves to an object containing the input sentence and the array of sentences with their similarity scores.
+   *
+   * @example
+   * try {
+   *   const result = await compareSentenceToArray(sentence, array, true);
+   *   console.log(result);
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
+
+  const compareSentenceToArray = async (
+    sentence,
+    array,
+    doesCache2Exist = false,
+    options = {},
+  ) => {
+    if (!doesCache2Exist && !model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    const { metric = "cosine", calibration } = options;
+    assertMetric(metric);
+    array = [...array]; //Creating a copy, so that we don't alter the original;
+    if (array.length === 0) {
+      return { sentenceOne: sentence, array };
+    }
+    if (options.keys || isCachedObject(array[0])) {
+      const cachedObjects = isCachedObject(array[0])
+        ? array
+        : await getCached(array, options);
+      return {
+        sentenceOne: sentence,
+        array: calibrateScores(
+          await compareSentenceToObjects(sentence, cachedObjects, options),
+          calibration,
+        ),
+      };
+    }
+    if (options.chunking || isCachedDocument(array[0])) {
+      const cachedDocuments = isCachedDocument(array[0])
+        ? array
+        : await getCached(array, options);
+      return {
+        sentenceOne: sentence,
+        array: calibrateScores(
+          await compareSentenceToDocuments(sentence, cachedDocuments, options),
+          calibration,
+        ),
+      };
+    }
+    const sentences = array.map((item) =>
+      item.sentenceTwo ? item.sentenceTwo : item,
+    );
+    const cache = await embed(sentence);
+    const embeddings = doesCache2Exist
+      ? array.map((item) => (item.embedding ? item.embedding : null))
+      : await embedMany(sentences, options);
+    for (let i = 0; i < array.length; i++) {
+      throwIfAborted(options.signal);
+      const { sentenceTwo, alike } = await classify(
+        sentence,
+        sentences[i],
+        cache,
+        true,
+        embeddings[i],
+        true,
+        metric,
+      );
+      array[i] = { sentenceTwo: sentenceTwo, alike: alike };
+    }
+
+    return {
+      sentenceOne: sentence,
+      array: calibrateScores(array, calibration),
+    };
+  };
+
+  /**
+   * Asynchronously compares a sentence to an array of sentences and returns the results in order of similarity.
+   *
+   * This function takes a sentence and an array of sentences as input. It uses the `compareSentenceToArray` function to calculate the similarity between the input sentence and each sentence in the array.
+   * The function then sorts the results in descending order of similarity and returns an object containing the input sentence and the sorted array of comparison results.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to compare to the array of sentences.
+   * @param {Array<string|Object>} array - The array of sentences to compare to the input sentence, or records searched by `options.keys`.
+   * @param {Object} [options] - The batching options (see {@link embedMany}), the `keys` to search in records, and the `chunking` and `aggregate` options of long documents.
+   * @param {boolean|Object} [options.hybrid] - Combine the similarity with a BM25 lexical score, so exact keyword hits rank higher. Results then also have `semanticScore` and `lexicalScore`. See {@link applyHybridScores}.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {boolean|{topN: number}} [options.rerank] - Rescore the best `topN` results (20 by default) with the reranker loaded by {@link loadReranker}. Reranked results come first, with their `firstStageScore` and `rerankScore`. See {@link rerankResults}.
+   * @param {number|{lambda: number, candidates: number}} [options.diversity] - Reorder the best `candidates` results (20 by default) by Maximal Marginal Relevance, trading relevance for `lambda` (0.5 by default) against redundancy with the results above. Only for sentences and cached sentences. See {@link diversifyResults}.
+   * @param {string|Object} [options.calibration] - Adds a calibrated `confidence` to every result, after hybrid scoring and reranking. See {@link calibrateScores}.
+   * @param {AbortSignal} [options.signal] - Aborts the comparison between embeddings or batches. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the comparison after this many milliseconds.
+   * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and an array of objects. Each object in the array contains:
+   *   - `sentenceTwo`: A sentence from the input array.
+   *   - `alike`: The similarity score between the input sentence and `sentenceTwo`.
+   *   - `confidence`: The calibrated score, with `options.calibration`.
+   *   - `firstStageScore` and `rerankScore`: The scores before and after reranking, with `options.rerank`.
+   *   The array is sorted in descending order of similarity score, the reranked results first.
+   * @throws {Error} If the model has not been loaded, or if `options.rerank` is set and the reranker has not been loaded.
+   *
+   * @example
+   * try {
+   *   const result = await arrayInOrder("This is a sentence.", ["This is another sentence.", "Yet another sentence."]);
+   *   console.log(result);
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
+
+  const arrayInOrder = async (sentence, array, options = {}) => {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    if (options.diversity) {
+      // Diversity needs the embeddings of the results, which the cached search keeps.
+      return cachedArrayInOrder(
+        sentence,
+        await getCached(array, options),
+        options,
+      );
+    }
+    array = [...array]; //Creating a copy, so that we don't alter the original;
+    const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
+      sentence,
+      array,
+      false,
+      options,
+    );
+
+    return {
+      sentenceOne: sentenceOne,
+      array: await orderResults(sentence, returnedArray, options),
+    };
+  };
+
+  /**
+   * Asynchronously sorts comparison results in descending order of similarity, after combining them with lexical scores if
+   * `options.hybrid` is set, then reranks the best ones if `options.rerank` is set and diversifies them if `options.diversity` is set.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The compared sentence.
+   * @param {Array<{sentenceTwo: string, alike: number}>} results - The comparison results.
+   * @param {Object} options - The options of the calling function.
+   * @param {boolean|Object} [options.hybrid] - The hybrid ranking options. See {@link applyHybridScores}.
+   * @param {boolean|{topN: number}} [options.rerank] - The reranking options. See {@link rerankResults}.
+   * @param {number|{lambda: number, candidates: number}} [options.diversity] - The diversity options. The results must then have their `embedding`. See {@link diversifyResults}.
+   * @param {string|Object} [options.calibration] - The calibration of the final scores. See {@link calibrateScores}.
+   * @returns {Promise<Array<{sentenceTwo: string, alike: number}>>} The sorted results.
+   */
+
+  async function orderResults(sentence, results, options) {
+    const scored = options.hybrid
+      ? applyHybridScores(sentence, results, options.hybrid)
+      : results;
+    const reranked = await applyRerank(
+      sentence,
+      scored.sort((a, b) => b.alike - a.alike),
+      options.rerank,
+    );
+    const diversified = options.diversity
+      ? diversifyResults(reranked, normalizeDiversity(options.diversity))
+      : reranked;
+    // Calibration keeps the order, which is final: reranked scores aren't comparable with the first-stage ones that follow.
+    return calibrateScores(diversified, options.calibration);
+  }
+
+  /**
+   * Returns the progress of the model loading process.
+   *
+   * If the model is loading, it returns an Object that represents the progress of the model loading process.
+   *
+   * @function
+   * @returns {Object} The progress of the model loading process.
+   *
+   * @example
+   * try {
+   *   const progress = getProgress();
+   *   console.log(progress);
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
+
+  function getProgress() {
+    return progress;
+  }
+
+  /**
+   * Compares two sentences using the loaded model.
+   *
+   * This function takes two sentences as input and uses the `classify` function to calculate the similarity between them. If the model has not been loaded, it throws an error.
+   *
+   * @async
+   * @function
+   * @param {string} sentenceOne - The first sentence to compare.
+   * @param {string} sentenceTwo - The second sentence to compare.
+   * @param {Object} [options] - The comparison options.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {Object} [options.calibration] - Adds a calibrated `confidence`. A single score can't be min-max scaled, so this must be a fixed or fitted mapping. See {@link calibrateScores}.
+   * @param {AbortSignal} [options.signal] - Aborts the comparison. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the comparison after this many milliseconds.
+   * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number, confidence?: number}>} A Promise that resolves to an object containing:
+   *   - `sentenceOne`: The first input sentence.
+   *   - `sentenceTwo`: The second input sentence.
+   *   - `alike`: The similarity score between `sentenceOne` and `sentenceTwo`.
+   *   - `confidence`: The calibrated score, with `options.calibration`.
+   * @throws {Error} If the model has not been loaded, or if the calibration is `"minmax"`.
+   *
+   * @example
+   * try {
+   *   const result = await compareTwoSentences("This is a sentence.", "This is another sentence.");
+   *   console.log(result);
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
+
+  async function compareTwoSentences(sentenceOne, sentenceTwo, options = {}) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+
+    const { metric = "cosine", calibration } = options;
+    assertMetric(metric);
+    if (
+      calibration === "minmax" ||
+      (calibration && (calibration.method ?? "minmax") === "minmax")
+    ) {
+      throw new Error(
+        "minmax calibration needs several results, use a linear or logistic calibration",
+      );
+    }
+
+    const { alike } = await classify(
+      sentenceOne,
+      sentenceTwo,
+      null,
+      false,
+      null,
+      false,
+      metric,
+    );
+
+    const [result] = calibrateScores(
+      [{ sentenceOne, sentenceTwo, alike }],
+      calibration,
+    );
+    return result;
+  }
+
+  /**
+   * Asynchronously generates embeddings for an array of sentences.
+   *
+   * This function takes an array of sentences as input.
+   * It generates embeddings for the sentences in batches using the model.
+   * It returns an array of objects, each containing a sentence and its corresponding embedding.
+   *
+   * Note: This function creates a copy of the input array to avoid altering the original.
+   *
+   * @async
+   * @function
+   * @param {Array<string|Object>} array - The array of sentences for which embeddings are to be generated, or records whose `options.keys` are embedded.
+   * @param {Object} [options] - The batching options, including an `onProgress` callback called after every batch. See {@link embedMany}.
+   * @param {Array<string|{name: string, weight: number}>} [options.keys] - The key paths to embed when `array` holds records. See {@link getCachedObjects}.
+   * @param {Object} [options.chunking] - How to split long documents into passages, which are embedded instead of the whole documents. See {@link getCachedDocuments}.
+   * @param {AbortSignal} [options.signal] - Aborts the embedding between batches. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the embedding after this many milliseconds.
+   * @throws {Error} If the model is not loaded, an error is thrown, or an {@link AbortError} if the embedding is aborted.
+   * @returns {Promise<Array<{sentenceTwo: string, embedding: Array<number>}>>} A Promise that resolves to an array of objects, each containing a sentence and its corresponding embedding.
+   *
+   * @example
+   * try {
+   *   const result = await getCached(array, {
+   *     batchSize: 64,
+   *     onProgress: ({ embedded, total }) => console.log(`${embedded}/${total}`),
+   *   });
+   *   console.log(result);
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
+
+  async function getCached(array, options = {}) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    if (options.keys && options.chunking) {
+      throw new Error("keys and chunking can't be used together");
+    }
+    if (options.keys) {
+      return getCachedObjects(array, options);
+    }
+    if (options.chunking) {
+      return getCachedDocuments(array, options);
+    }
+    array = [...array]; //Creating a copy, so that we don't alter the original;
+    const embeddings = await embedMany(array, options);
+    let returnedArray = [];
+    for (let i = 0; i < array.length; i++) {
+      returnedArray[i] = { sentenceTwo: array[i], embedding: embeddings[i] };
+    }
+
+    return returnedArray;
+  }
+
+  /**
+   * Asynchronously generates embeddings for the key paths of an array of records.
+   *
+   * The texts of all keys of all records are embedded together, in batches. Keys that are missing or empty are skipped.
+   *
+   * @async
+   * @function
+   * @param {Array<Object>} array - The records.
+   * @param {Object} options - The batching options (see {@link embedMany}) and the keys.
+   * @param {Array<string|Array<string>|{name: string|Array<string>, weight: number}>} options.keys - The key paths to embed, e.g. `["title", { name: "author.name", weight: 0.5 }]`.
+   * @throws {Error} If the model is not loaded or `keys` is invalid.
+   * @returns {Promise<Array<{item: Object, refIndex: number, fields: Array<{key: string, weight: number, sentenceTwo: string, embedding: Array<number>}>}>>} The records with the embedding of every key. Weights are divided by the largest weight.
+   */
+
+  async function getCachedObjects(array, options) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    const keys = normalizeKeys(options.keys);
+    const maxWeight = Math.max(...keys.map(({ weight }) => weight));
+
+    const cachedObjects = array.map((item, refIndex) => ({
+      item,
+      refIndex,
+      fields: getKeyTexts(item, keys).map((field) => ({
+        ...field,
+        weight: field.weight / maxWeight,
+      })),
+    }));
+    const fields = cachedObjects.flatMap((cachedObject) => cachedObject.fields);
+    const embeddings = await embedMany(
+      fields.map(({ sentenceTwo }) => sentenceTwo),
+      options,
+    );
+    fields.forEach((field, i) => {
+      field.embedding = embeddings[i];
+    });
+
+    return cachedObjects;
+  }
+
+  /**
+   * Checks whether an item of a cached array is a record cached by {@link getCachedObjects}.
+   *
+   * @function
+   * @param {*} item - The item.
+   * @returns {boolean} `true` if the item is a cached record.
+   */
+
+  function isCachedObject(item) {
+    return (
+      item !== null &&
+      typeof item === "object" &&
+      "refIndex" in item &&
+      Array.isArray(item.fields)
+    );
+  }
+
+  /**
+   * Asynchronously compares a sentence to cached records.
+   *
+   * Every key of a record is compared with the sentence, and its similarity is multiplied by the weight of the key.
+   * The best key gives the score of the record. Records without any searchable key are left out.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to compare.
+   * @param {Array<{item: Object, refIndex: number, fields: Array<{key: string, weight: number, sentenceTwo: string, embedding: Array<number>}>}>} cachedObjects - The records, as returned by {@link getCachedObjects}.
+   * @param {Object} [options] - The comparison options.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {AbortSignal} [options.signal] - Checked before every record.
+   * @returns {Promise<Array<{item: Object, refIndex: number, key: string, sentenceTwo: string, alike: number}>>} For every record: the original record, its index in the input array, the key that matched best, its text and the score, in the order of the input array.
+   */
+
+  async function compareSentenceToObjects(
+    sentence,
+    cachedObjects,
+    options = {},
+  ) {
+    const { metric = "cosine", signal = null } = options;
+    const cache = await embed(sentence);
+    const results = [];
+    for (const { item, refIndex, fields } of cachedObjects) {
+      throwIfAborted(signal);
+      let best = null;
+      for (const field of fields) {
+        const { alike } = await classify(
+          sentence,
+          field.sentenceTwo,
+          cache,
+          true,
+          field.embedding,
+          true,
+          metric,
+        );
+        const score = alike * field.weight;
+        if (best === null || score > best.alike) {
+          best = {
+            key: field.key,
+            sentenceTwo: field.sentenceTwo,
+            alike: score,
+          };
+        }
+      }
+      if (best !== null) {
+        results.push({ item, refIndex, ...best });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Asynchronously splits long documents into overlapping passages and generates the embedding of every passage.
+   *
+   * Embedding models only read the start of a long input, so embedding whole articles loses whatever is further down.
+   * The passages of all documents are embedded together, in batches.
+   *
+   * @async
+   * @function
+   * @param {Array<string>} array - The documents.
+   * @param {Object} options - The batching options (see {@link embedMany}) and the chunking options.
+   * @param {Object} options.chunking - How to split the documents, e.g. `{ by: "token", size: 128, overlap: 16 }`. See {@link splitIntoPassages}.
+   * @throws {Error} If the model is not loaded or the chunking options are invalid.
+   * @returns {Promise<Array<{sentenceTwo: string, refIndex: number, passages: Array<{text: string, start: number, end: number, embedding: Array<number>}>}>>} The documents with their passages, character offsets and embeddings.
+   */
+
+  async function getCachedDocuments(array, options) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    const chunking = options.chunking === true ? {} : options.chunking;
+
+    const cachedDocuments = array.map((document, refIndex) => ({
+      sentenceTwo: document,
+      refIndex,
+      passages: splitIntoPassages(document, chunking),
+    }));
+    const passages = cachedDocuments.flatMap(
+      (cachedDocument) => cachedDocument.passages,
+    );
+    const embeddings = await embedMany(
+      passages.map(({ text }) => text),
+      options,
+    );
+    passages.forEach((passage, i) => {
+      passage.embedding = embeddings[i];
+    });
+
+    return cachedDocuments;
+  }
+
+  /**
+   * Checks whether an item of a cached array is a document cached by {@link getCachedDocuments}.
+   *
+   * @function
+   * @param {*} item - The item.
+   * @returns {boolean} `true` if the item is a cached document.
+   */
+
+  function isCachedDocument(item) {
+    return (
+      item !== null &&
+      typeof item === "object" &&
+      "refIndex" in item &&
+      Array.isArray(item.passages)
+    );
+  }
+
+  /**
+   * Asynchronously compares a sentence to cached documents, passage by passage.
+   *
+   * The passage scores of every document are aggregated into the document score, and the best passage is returned
+   * with its character offsets. Documents without any passage (empty documents) are left out.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to compare.
+   * @param {Array<{sentenceTwo: string, refIndex: number, passages: Array<{text: string, start: number, end: number, embedding: Array<number>}>}>} cachedDocuments - The documents, as returned by {@link getCachedDocuments}.
+   * @param {Object} [options] - The comparison options.
+   * @param {string|Object} [options.aggregate="max"] - How the passage scores are aggregated. See {@link aggregateScores}.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {AbortSignal} [options.signal] - Checked before every document.
+   * @returns {Promise<Array<{sentenceTwo: string, refIndex: number, alike: number, passage: {text: string, start: number, end: number, alike: number}}>>} For every document: the document, its index in the input array, its score and its best passage, in the order of the input array.
+   */
+
+  async function compareSentenceToDocuments(
+    sentence,
+    cachedDocuments,
+    options = {},
+  ) {
+    const { aggregate = "max", metric = "cosine", signal = null } = options;
+    const cache = await embed(sentence);
+    const results = [];
+    for (const { sentenceTwo, refIndex, passages } of cachedDocuments) {
+      throwIfAborted(signal);
+      if (passages.length === 0) {
+        continue;
+      }
+      const scores = [];
+      let best = null;
+      for (const { text, start, end, embedding } of passages) {
+        const { alike } = await classify(
+          sentence,
+          text,
+          cache,
+          true,
+          embedding,
+          true,
+          metric,
+        );
+        scores.push(alike);
+        if (best === null || alike > best.alike) {
+          best = { text, start, end, alike };
+        }
+      }
+      results.push({
+        sentenceTwo,
+        refIndex,
+        alike: aggregateScores(scores, aggregate),
+        passage: best,
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Exports cached embeddings as a compact binary embedding store.
+   *
+   * The store holds the sentences and their Float32 vectors, plus a header with the schema version, the embedding dimension
+   * and everything that changes the embeddings (see {@link storeModelInfo}), so they don't have to be computed again after a restart.
+   *
+   * @function
+   * @param {Array<{sentenceTwo: string, embedding: Array<number>}>} cachedArray - The cached sentences, as returned by `getCached`.
+   * @throws {Error} If the array holds cached records or documents, or the embeddings don't all have the same dimension.
+   * @returns {Uint8Array} The encoded store, which can be written to a file as is.
+   *
+   * @example
+   * const cachedSentences = await getCached(sentences);
+   * await fs.promises.writeFile("embeddings.fvec", saveCached(cachedSentences));
+   */
+
+  function saveCached(cachedArray) {
+    return encodeEmbeddingStore(cachedArray, storeModelInfo());
+  }
+
+  /**
+   * Returns the identity of the custom embedder: `embedder-id:<embedderId>`, or `embedder:<function name>` when it has no
+   * `embedderId`.
+   *
+   * @function
+   * @returns {string} The identity.
+   */
+
+  function embedderIdentity() {
+    const { embedder, embedderId } = modelOptions;
+    return embedderId
+      ? `embedder-id:${embedderId}`
+      : `embedder:${embedder.name || "anonymous"}`;
+  }
+
+  /**
+   * Returns what a store records about the loaded model: the model id, or the identity of a custom embedder (see
+   * {@link embedderIdentity}), and the quantized, pooling, normalize, preprocess, queryPrefix and documentPrefix settings.
+   *
+   * @function
+   * @returns {{model: string, quantized: boolean|null, pooling: string, normalize: boolean, preprocess: Array|null, queryPrefix: string, documentPrefix: string}}
+   *   The model identity and settings. `quantized` is null for a custom embedder. See {@link describePreprocessing}.
+   */
+
+  function storeModelInfo() {
+    const { embedder } = modelOptions;
+    return {
+      model: embedder ? embedderIdentity() : modelOptions.model,
+      quantized: embedder ? null : modelOptions.quantized,
+      pooling: modelOptions.pooling,
+      normalize: modelOptions.normalize,
+      preprocess: describePreprocessing(modelOptions.preprocess),
+      queryPrefix: modelOptions.queryPrefix,
+      documentPrefix: modelOptions.documentPrefix,
+    };
+  }
+
+  /**
+   * Imports cached embeddings from a binary embedding store created by `saveCached`.
+   *
+   * The model identity and settings recorded in the store (see {@link storeModelInfo}) are checked against the configured
+   * model, because embeddings of different models or settings can't be compared with each other. The settings a version 1
+   * store didn't record (quantized, preprocess and the prefixes) aren't checked. A custom embedder without an `embedderId`
+   * can only be matched by its function name, which other embedders may share, so a warning says so unless `onMismatch`
+   * is `"ignore"`.
+   *
+   * @function
+   * @param {Uint8Array|ArrayBuffer} input - The encoded store.
+   * @param {Object} [options] - The import options.
+   * @param {"throw"|"warn"|"ignore"} [options.onMismatch="throw"] - What to do when the store was created with another model or other settings.
+   * @throws {Error} If the input is not a store, or if it doesn't match the model and `onMismatch` is `"throw"`.
+   * @returns {{version: number, model: string, quantized: boolean|null, dimension: number, pooling: string, normalize: boolean, preprocess: Array|null, queryPrefix: string, documentPrefix: string, items: Array<{sentenceTwo: string, embedding: Float32Array}>}}
+   *   The store, which can be passed to `cachedCompareSentenceToArray` and `cachedArrayInOrder`. See {@link decodeEmbeddingStore}.
+   *
+   * @example
+   * const store = loadCached(await fs.promises.readFile("embeddings.fvec"));
+   * const result = await cachedArrayInOrder("This is a sentence.", store);
+   */
+
+  function loadCached(input, options = {}) {
+    const { onMismatch = "throw" } = options;
+    const store = decodeEmbeddingStore(input);
+
+    const expected = storeModelInfo();
+    const mismatches = Object.keys(expected)
+      .filter(
+        (key) =>
+          store[key] !== undefined &&
+          JSON.stringify(store[key]) !== JSON.stringify(expected[key]),
+      )
+      .map(
+        (key) =>
+          `${key} is ${JSON.stringify(store[key])} instead of ${JSON.stringify(expected[key])}`,
+      );
+    if (
+      mismatches.length === 0 &&
+      modelOptions.embedder &&
+      !modelOptions.embedderId &&
+      onMismatch !== "ignore"
+    ) {
+      console.warn(
+        `The embedding store can only be matched with the custom embedder by its name, ${store.model}; pass embedderId to loadModel to check it`,
+      );
+    }
+    if (mismatches.length > 0) {
+      const message = `The embedding store doesn't match the loaded model: ${mismatches.join(", ")}`;
+      if (onMismatch === "throw") {
+        throw new Error(message);
+      }
+      if (onMismatch === "warn") {
+        console.warn(message);
+      }
+    }
+
+    return store;
+  }
+
+  /**
+   * Compares a sentence to an array of cached sentences.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to compare.
+   * @param {Array<{sentenceTwo: string, embedding: Array<number>}>|Object} cachedArray - The array of cached sentences to compare against, or a store returned by `loadCached`.
+   * @param {Object} [options] - The comparison options.
+   * @param {boolean|Object} [options.hybrid] - Combine the similarity with a BM25 lexical score. See {@link applyHybridScores}.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {string|Object} [options.calibration] - Adds a calibrated `confidence` to every result, after hybrid scoring. See {@link calibrateScores}.
+   * @param {AbortSignal} [options.signal] - Aborts the comparison. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the comparison after this many milliseconds.
+   * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} An object containing the original sentence and an array of comparison results.
+   *
+   * @example
+   * const result = await cachedCompareSentenceToArray('Hello world', cachedSentences);
+   * console.log(result);
+   */
+
+  async function cachedCompareSentenceToArray(
+    sentence,
+    cachedArray,
+    options = {},
+  ) {
+    if (isEmbeddingStore(cachedArray)) {
+      cachedArray = cachedArray.items;
+    }
+    if (cachedArray instanceof QuantizedIndex) {
+      throw new Error(
+        "A QuantizedIndex is searched with cachedArrayInOrder, which returns its topK best items",
+      );
+    }
+    cachedArray.map((item) => {
+      if (isCachedObject(item) || isCachedDocument(item)) {
+        return item;
+      }
+      if (!item.sentenceTwo) {
+        throw new Error(
+          "Each item in the cachedArray must have a sentenceTwo property",
+        );
+      }
+      return {
+        sentenceTwo: item.sentenceTwo,
+        embedding: [...item.embedding],
+      };
+    });
+    const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
+      sentence,
+      cachedArray,
+      true,
+      { signal: options.signal, metric: options.metric },
+    );
+
+    return {
+      sentenceOne: sentenceOne,
+      array: calibrateScores(
+        options.hybrid
+          ? applyHybridScores(sentence, returnedArray, options.hybrid)
+          : returnedArray,
+        options.calibration,
+      ),
+    };
+  }
+
+  /**
+   * Asynchronously sorts an array of sentences based on their similarity to a given sentence.
+   *
+   * This function takes a sentence and an array of sentences as input.
+   * It calculates the similarity between the input sentence and each sentence in the array.
+   * It then sorts the array based on the similarity scores in descending order.
+   * It returns an object containing the input sentence and the sorted array of sentences with their similarity scores.
+   *
+   * This function differs from `arrayInOrder` in that it expects the array of sentences to already have cached embeddings.
+   * This function is useful when you have a large array of sentences and you want to cache their embeddings to avoid recalculating them each time you compare a new sentence to the array.
+   *
+   * By default every sentence is compared (exact search). For large arrays, pass an `approximateIndex` built over the same
+   * cached array with `HnswIndex.fromCached`; only the `topK` approximate nearest neighbours are then returned.
+   * To save memory, a `QuantizedIndex` can be passed instead of the cached array; its `topK` best items are returned too.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to be compared.
+   * @param {Array<string|{sentenceTwo: string, embedding: Array<number>}>|Object|QuantizedIndex} cachedArray - The array of sentences to be compared. Each element is a object with `sentenceTwo` and `embedding` properties. A store returned by `loadCached` or a {@link QuantizedIndex} can be passed directly.
+   * @param {Object} [options] - The search options.
+   * @param {HnswIndex} [options.approximateIndex] - An approximate index built over `cachedArray`. When given, the search is approximate.
+   * @param {number} [options.topK=10] - The number of results of an approximate search, or of a search in a `QuantizedIndex`.
+   * @param {number} [options.efSearch] - The size of the candidate list of an approximate search. Defaults to the `efSearch` of the index.
+   * @param {number} [options.rescore] - The number of candidates of a `QuantizedIndex` re-ranked by their exact similarity. See {@link QuantizedIndex#search}.
+   * @param {boolean|Object} [options.hybrid] - Combine the similarity with a BM25 lexical score. See {@link applyHybridScores}.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. An approximate search is always by cosine similarity. See {@link METRICS}.
+   * @param {boolean|{topN: number}} [options.rerank] - Rescore the best `topN` results (20 by default) with the reranker loaded by {@link loadReranker}. Reranked results come first, with their `firstStageScore` and `rerankScore`. See {@link rerankResults}.
+   * @param {number|{lambda: number, candidates: number}} [options.diversity] - Reorder the best `candidates` results (20 by default) by Maximal Marginal Relevance, trading relevance for `lambda` (0.5 by default) against redundancy with the results above. Only for sentences and cached sentences. See {@link diversifyResults}.
+   * @param {string|Object} [options.calibration] - Adds a calibrated `confidence` to every result, after hybrid scoring and reranking. See {@link calibrateScores}.
+   * @param {AbortSignal} [options.signal] - Aborts the comparison. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the comparison after this many milliseconds.
+   * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and the sorted array of sentences with their similarity scores.
+   *
+   * @example
+   * try {
+   *   const result = await cachedArrayInOrder(sentence, array);
+   *   console.log(result);
+   * } catch (error) {
+   *   console.error(error);
+   * }
+   */
+
+  async function cachedArrayInOrder(sentence, cachedArray, options = {}) {
+    if (isEmbeddingStore(cachedArray)) {
+      cachedArray = cachedArray.items;
+    }
+    const {
+      approximateIndex = null,
+      topK = 10,
+      efSearch,
+      rescore,
+      metric = "cosine",
+    } = options;
+    if (cachedArray instanceof QuantizedIndex) {
+      if (metric !== "cosine") {
+        throw new Error("A QuantizedIndex only supports the cosine metric");
+      }
+      const { array } = await quantizedArrayInOrder(sentence, cachedArray, {
+        topK,
+        rescore,
+      });
+      return {
+        sentenceOne: sentence,
+        array: await orderResults(sentence, array, options),
+      };
+    }
+    if (approximateIndex) {
+      if (metric !== "cosine") {
+        throw new Error("An approximateIndex only supports the cosine metric");
+      }
+      const { array } = await approximateArrayInOrder(
+        sentence,
+        cachedArray,
+        approximateIndex,
+        { topK, efSearch },
+      );
+      return {
+        sentenceOne: sentence,
+        array: await orderResults(sentence, array, options),
+      };
+    }
+    cachedArray.map((item) => {
+      if (isCachedObject(item) || isCachedDocument(item)) {
+        return item;
+      }
+      if (!item.sentenceTwo) {
+        throw new Error(
+          "Each item in the cachedArray must have a sentenceTwo property",
+        );
+      }
+      return {
+        sentenceTwo: item.sentenceTwo,
+        embedding: [...item.embedding],
+      };
+    });
+    const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
+      sentence,
+      cachedArray,
+      true,
+      { signal: options.signal, metric },
+    );
+    const isSentences =
+      !isCachedObject(cachedArray[0]) && !isCachedDocument(cachedArray[0]);
+    // Diversity compares the results with each other, so they keep the embeddings they were scored with.
+    const results =
+      options.diversity && isSentences
+        ? returnedArray.map((result, i) => ({
+            ...result,
+            embedding: cachedArray[i].embedding,
+          }))
+        : returnedArray;
+
+    return {
+      sentenceOne: sentenceOne,
+      array: await orderResults(sentence, results, options),
+    };
+  }
+
+  /**
+   * Asynchronously searches the approximate nearest neighbours of a sentence in a cached array.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to be compared.
+   * @param {Array<{sentenceTwo: string, embedding: Array<number>}>} cachedArray - The cached sentences the index was built over.
+   * @param {HnswIndex} approximateIndex - The approximate index.
+   * @param {{topK: number, efSearch: number}} options - The search options.
+   * @throws {Error} If the model is not loaded, or if the index was not built over `cachedArray`.
+   * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} The input sentence and its nearest neighbours, in descending order of similarity.
+   */
+
+  async function approximateArrayInOrder(
+    sentence,
+    cachedArray,
+    approximateIndex,
+    { topK, efSearch },
+  ) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    if (approximateIndex.size !== cachedArray.length) {
+      throw new Error(
+        "The approximateIndex must be built over the same cachedArray",
+      );
+    }
+    if (topK <= 0) {
+      throw new Error("topK is either 0 or less than 0");
+    }
+
+    const queryEmbedding = await embed(sentence);
+    const neighbours = approximateIndex.search(queryEmbedding, topK, {
+      efSearch,
+    });
+
+    return {
+      sentenceOne: sentence,
+      array: neighbours.map(({ id, alike }) => ({
+        sentenceTwo: cachedArray[id].sentenceTwo,
+        alike,
+      })),
+    };
+  }
+
+  /**
+   * Asynchronously searches the best items of a {@link QuantizedIndex} for a sentence.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to be compared.
+   * @param {QuantizedIndex} quantizedIndex - The index.
+   * @param {{topK: number, rescore: number}} options - The search options.
+   * @throws {Error} If the model is not loaded, or if the index has no sentences.
+   * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} The input sentence and the best items, in descending order of similarity.
+   */
+
+  async function quantizedArrayInOrder(
+    sentence,
+    quantizedIndex,
+    { topK, rescore },
+  ) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    if (topK <= 0) {
+      throw new Error("topK is either 0 or less than 0");
+    }
+
+    const queryEmbedding = await embed(sentence);
+    const neighbours = quantizedIndex.search(queryEmbedding, topK, {
+      rescore,
+    });
+
+    return {
+      sentenceOne: sentence,
+      array: neighbours.map(({ id, alike }) => {
+        const sentenceTwo = quantizedIndex.sentences[id];
+        if (sentenceTwo === null) {
+          throw new Error(
+            "The QuantizedIndex must be built with the sentences, e.g. with QuantizedIndex.fromCached",
+          );
+        }
+        return { sentenceTwo, alike };
+      }),
+    };
+  }
+
+  /**
+   * Asynchronously gets the top results from a list of sentences based on their similarity to a given sentence.
+   * This function is different from `getArrayInOrder` as it limits the results to the top 'numberOfResults' items.
+   *
+   * The best results are selected with a bounded heap. For an array, every candidate is scored first, so all their results are
+   * in memory at once. `array` can also be an async iterable or a readable stream: candidates are then read, embedded and ranked
+   * `batchSize * concurrency` at a time, and only the best `numberOfResults` (or the candidates kept for `rerank` and
+   * `diversity`) stay in memory, so a file much larger than the memory can be searched. A byte or text stream (a Node stream that isn't in object mode, or a web stream of bytes or strings) is read line by line, one sentence per line.
+   *
+   * @async
+   * @param {string} sentence - The sentence to compare against.
+   * @param {Array<string|Object>|AsyncIterable<string|Object>|Iterable<string|Object>|ReadableStream} array - The sentences to compare, cached sentences
+   *   returned by `getCached`, records searched by `options.keys` (or cached with them), or a stream of any of these.
+   * @param {number} numberOfResults - The number of top results to return. This parameter constrains the size of the returned array.
+   * @param {Object} [options] - The batching options (see {@link embedMany}) and the `keys` to search in records. Records are returned like in {@link compareSentenceToObjects}.
+   * Long documents are split with the `chunking` and `aggregate` options, and returned like in {@link compareSentenceToDocuments}.
+   * @param {boolean|Object} [options.hybrid] - Combine the similarity with a BM25 lexical score, computed over the whole array. See {@link applyHybridScores}. Not available for streams.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {boolean|{topN: number}} [options.rerank] - Rescore the best `max(numberOfResults, topN)` candidates (`topN` is 20 by default) with the reranker loaded by {@link loadReranker},
+   *   and return the best `numberOfResults` of them, with their `firstStageScore` and `rerankScore`. See {@link rerankResults}.
+   * @param {number|{lambda: number, candidates: number}} [options.diversity] - Select the `numberOfResults` results among the best `max(numberOfResults, candidates)` (`candidates` is 20 by default) by Maximal Marginal Relevance,
+   *   trading relevance for `lambda` (0.5 by default) against redundancy with the results already selected. Only for sentences and cached sentences. See {@link diversifyResults}.
+   * @param {string|Object} [options.calibration] - Adds a calibrated `confidence` to the top results. `"minmax"` is relative to the top results only. See {@link calibrateScores}.
+   * @param {function({scanned: number}): void} [options.onProgress] - For streams, called after every batch with the number of candidates scanned so far.
+   * @param {AbortSignal} [options.signal] - Aborts the search between embeddings or batches. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the search after this many milliseconds.
+   * @throws {Error} Will throw an error if the model is not loaded, if numberOfResults is less than or equal to 0, if `array` is a {@link QuantizedIndex}, or if `options.rerank` is set and the reranker is not loaded, or an {@link AbortError} if the search is aborted.
+   * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>, scanned?: number}>} A promise that resolves to an object containing the original sentence and an array of the top results.
+   * The top results array contains objects with the properties 'sentenceTwo' and 'alike', where 'sentenceTwo' is a sentence from the input array and 'alike' is its similarity score to the original sentence.
+   * For streams, `scanned` is the number of candidates that were read.
+   */
+
+  async function getTop(sentence, array, numberOfResults, options = {}) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+
+    if (numberOfResults <= 0) {
+      throw new Error("numberOfResults is either 0 or less than 0");
+    }
+    if (array instanceof QuantizedIndex) {
+      throw new Error(
+        "A QuantizedIndex is searched with cachedArrayInOrder, which returns its topK best items",
+      );
+    }
+
+    assertMetric(options.metric ?? "cosine");
+    // With reranking or diversity, the first stage keeps enough candidates for them.
+    const firstStageResults = Math.max(
+      numberOfResults,
+      options.rerank ? normalizeRerank(options.rerank).topN : 0,
+      options.diversity ? normalizeDiversity(options.diversity).candidates : 0,
+    );
+    const finish = async (results) => {
+      const reranked = await applyRerank(sentence, results, options.rerank);
+      const diversified = options.diversity
+        ? diversifyResults(reranked, normalizeDiversity(options.diversity))
+        : reranked;
+      return calibrateScores(
+        diversified.slice(0, numberOfResults),
+        options.calibration,
+      );
+    };
+
+    if (isStreamSource(array)) {
+      const result = await getTopFromStream(
+        sentence,
+        array,
+        firstStageResults,
+        options,
+      );
+      return { ...result, array: await finish(result.array) };
+    }
+
+    const arrayCopy = [...array];
+    const top = new TopK(firstStageResults);
+    if (arrayCopy.length === 0) {
+      return { sentenceOne: sentence, array: [] };
+    }
+    const cache = await embed(sentence);
+    const results = await scoreCandidates(sentence, cache, arrayCopy, options);
+    // Lexical scores are relative to the whole array, so every result is needed at once.
+    const scored = options.hybrid
+      ? applyHybridScores(sentence, results, options.hybrid)
+      : results;
+    scored.forEach((result) => top.add(result));
+
+    return { sentenceOne: sentence, array: await finish(top.toArray()) };
+  }
+
+  /**
+   * Asynchronously compares a sentence to candidates of any kind: sentences, cached sentences, records or documents.
+   *
+   * Sentences are embedded in batches, and the embeddings of cached sentences are reused. With `options.diversity`, the
+   * results of sentences keep their `embedding`, so they can be compared with each other.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to compare.
+   * @param {Array<number>} cache - The embedding of `sentence`.
+   * @param {Array<string|Object>} candidates - The candidates.
+   * @param {Object} options - The options of {@link getTop}.
+   * @throws {Error} If a cached candidate has no `sentenceTwo` property.
+   * @returns {Promise<Array<Object>>} The comparison results, in the order of `candidates`. Records and documents without any searchable text are left out.
+   */
+
+  async function scoreCandidates(sentence, cache, candidates, options) {
+    const first = candidates[0];
+    if (
+      options.keys ||
+      options.chunking ||
+      isCachedObject(first) ||
+      isCachedDocument(first)
+    ) {
+      const { array } = await compareSentenceToArray(
+        sentence,
+        candidates,
+        false,
+        options,
+      );
+      return array;
+    }
+
+    const { sentences, embeddings } = await embedSentences(candidates, options);
+    const results = [];
+    for (let i = 0; i < candidates.length; i++) {
+      throwIfAborted(options.signal);
+      const { sentenceTwo, alike } = await classify(
+        sentence,
+        sentences[i],
+        cache,
+        true,
+        embeddings[i],
+        true,
+        options.metric,
+      );
+      results.push(
+        options.diversity
+          ? { sentenceTwo, alike, embedding: embeddings[i] }
+          : { sentenceTwo, alike },
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Asynchronously gets the embeddings of sentences and cached sentences. Only the sentences are embedded, in batches.
+   *
+   * @async
+   * @function
+   * @param {Array<string|{sentenceTwo: string, embedding: Array<number>}>} array - The sentences and cached sentences.
+   * @param {Object} options - The batching options. See {@link embedMany}.
+   * @param {"query"|"document"} [role="document"] - Whether the sentences are queries or sentences they're compared to. See {@link prepareText}.
+   * @throws {Error} If a cached sentence has no `sentenceTwo` property.
+   * @returns {Promise<{sentences: Array<string>, embeddings: Array<Array<number>>}>} The sentences and their embeddings, in the order of `array`.
+   */
+
+  async function embedSentences(array, options, role = "document") {
+    const sentences = array.map((item) => {
+      if (typeof item === "string") {
+        return item;
+      }
+      if (!item.sentenceTwo) {
+        throw new Error(
+          "Each item in the cachedArray must have a sentenceTwo property",
+        );
+      }
+      return item.sentenceTwo;
+    });
+    const missing = [];
+    array.forEach((item, i) => {
+      if (typeof item === "string") {
+        missing.push(i);
+      }
+    });
+    const computed = await embedMany(
+      missing.map((i) => sentences[i]),
+      options,
+      role,
+    );
+    const embeddings = array.map((item) => item.embedding);
+    missing.forEach((index, i) => {
+      embeddings[index] = computed[i];
+    });
+
+    return { sentences, embeddings };
+  }
+
+  /**
+   * Asynchronously gets the top results of a stream of candidates, reading it one chunk at a time.
+   *
+   * @async
+   * @function
+   * @param {string} sentence - The sentence to compare against.
+   * @param {AsyncIterable<string|Object>|Iterable<string|Object>|ReadableStream} source - The candidates. See {@link readItems}.
+   * @param {number} numberOfResults - The number of top results to return.
+   * @param {Object} options - The options of {@link getTop}.
+   * @throws {Error} If `options.hybrid` is set, since lexical scores need the whole array.
+   * @returns {Promise<{sentenceOne: string, array: Array<Object>, scanned: number}>} The top results, and the number of candidates read.
+   */
+
+  async function getTopFromStream(sentence, source, numberOfResults, options) {
+    if (options.hybrid) {
+      throw new Error(
+        "hybrid can't be used with a stream, lexical scores need the whole array",
+      );
+    }
+    const {
+      batchSize = modelOptions.batchSize,
+      concurrency = modelOptions.concurrency,
+      onProgress = null,
+      ...scoreOptions
+    } = options;
+    assertPositiveInteger("batchSize", batchSize);
+    assertPositiveInteger("concurrency", concurrency);
+    const chunkSize = batchSize * concurrency;
+
+    const top = new TopK(numberOfResults);
+    const cache = await embed(sentence);
+    let scanned = 0;
+    let chunk = [];
+
+    const scoreChunk = async () => {
+      throwIfAborted(options.signal);
+      const results = await scoreCandidates(sentence, cache, chunk, {
+        ...scoreOptions,
+        batchSize,
+        concurrency,
+      });
+      // Records and documents embedded here are numbered within the chunk, renumber them across the whole stream.
+      const offset =
+        isCachedObject(chunk[0]) || isCachedDocument(chunk[0]) ? 0 : scanned;
+      for (const result of results) {
+        top.add(
+          "refIndex" in result
+            ? { ...result, refIndex: result.refIndex + offset }
+            : result,
+        );
+      }
+      scanned += chunk.length;
+      chunk = [];
+      if (onProgress) {
+        onProgress({ scanned });
+      }
+    };
+
+    for await (const item of readItems(source)) {
+      chunk.push(item);
+      if (chunk.length >= chunkSize) {
+        await scoreChunk();
+      }
+    }
+    if (chunk.length > 0) {
+      await scoreChunk();
+    }
+
+    return { sentenceOne: sentence, array: top.toArray(), scanned };
+  }
+
+  /**
+   * Asynchronously groups the near-duplicates of an array of sentences.
+   *
+   * Every pair of sentences is compared once, using the cached embeddings when they are given, so nothing is embedded twice.
+   * This stays tractable for a few thousand sentences.
+   *
+   * @async
+   * @function
+   * @param {Array<string>|Array<{sentenceTwo: string, embedding: Array<number>}>|Object} array - The sentences, a cached array returned by `getCached`, or a store returned by `loadCached`.
+   * @param {Object} [options] - The grouping options (see {@link groupNearDuplicates}) and the batching options used when `array` holds sentences (see {@link embedMany}).
+   * @param {number} [options.threshold=0.9] - The minimum similarity of near-duplicates.
+   * @param {"medoid"|"first"|"longest"} [options.representative="medoid"] - How the representative of a group is chosen.
+   * @param {AbortSignal} [options.signal] - Aborts the grouping between batches and groups. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the grouping after this many milliseconds.
+   * @throws {Error} If the model is not loaded and `array` holds sentences.
+   * @returns {Promise<{groups: Array<{representative: {sentenceTwo: string, index: number}, members: Array<{sentenceTwo: string, index: number, alike: number}>, pairs: Array<{a: number, b: number, alike: number}>}>, unique: Array<{sentenceTwo: string, index: number}>}>}
+   *   The groups of near-duplicates, with their representative, their members and how alike each member is to the representative,
+   *   and the score of every pair above the threshold; and the sentences that have no near-duplicate.
+   *
+   * @example
+   * const { groups, unique } = await dedupe(faqEntries, { threshold: 0.92 });
+   * const cleaned = [...groups.map((group) => group.representative), ...unique];
+   */
+
+  async function dedupe(array, options = {}) {
+    if (isEmbeddingStore(array)) {
+      array = array.items;
+    }
+    const cachedArray =
+      array.length > 0 && typeof array[0] === "string"
+        ? await getCached(array, options)
+        : array;
+    throwIfAborted(options.signal);
+    const { groups, unique } = groupNearDuplicates(
+      cachedArray.map(({ embedding }) => embedding),
+      {
+        ...options,
+        texts: cachedArray.map(({ sentenceTwo }) => sentenceTwo),
+      },
+    );
+
+    const toSentence = (index) => ({
+      sentenceTwo: cachedArray[index].sentenceTwo,
+      index,
+    });
+    const returnedGroups = [];
+    for (const { representative, members, pairs } of groups) {
+      throwIfAborted(options.signal);
+      const returnedMembers = [];
+      for (const member of members) {
+        const { alike } = await classify(
+          cachedArray[representative].sentenceTwo,
+          cachedArray[member].sentenceTwo,
+          cachedArray[representative].embedding,
+          true,
+          cachedArray[member].embedding,
+          true,
+        );
+        returnedMembers.push({ ...toSentence(member), alike });
+      }
+      returnedGroups.push({
+        representative: toSentence(representative),
+        members: returnedMembers,
+        pairs,
+      });
+    }
+
+    return {
+      groups: returnedGroups,
+      unique: unique.map(toSentence),
+    };
+  }
+
+  /**
+   * Asynchronously groups an array of sentences by topic.
+   *
+   * Cached embeddings are reused when they are given. With the same options and seed, the clusters are always the same.
+   *
+   * @async
+   * @function
+   * @param {Array<string>|Array<{sentenceTwo: string, embedding: Array<number>}>|Object} array - The sentences, a cached array returned by `getCached`, or a store returned by `loadCached`.
+   * @param {Object} options - The clustering options (see {@link clusterVectors}) and the batching options used when `array` holds sentences (see {@link embedMany}).
+   * @param {"kmeans"|"agglomerative"} [options.method="kmeans"] - The clustering method.
+   * @param {number} [options.k] - The number of clusters.
+   * @param {number} [options.threshold] - The minimum linkage similarity of agglomerative clusters, instead of `k`.
+   * @param {number} [options.seed=42] - The seed of the k-means initialization.
+   * @param {AbortSignal} [options.signal] - Aborts the clustering between batches. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the clustering after this many milliseconds.
+   * @throws {Error} If the model is not loaded and `array` holds sentences, or if the options are invalid.
+   * @returns {Promise<{labels: Array<number>, clusters: Array<{members: Array<number>, centroid: Array<number>, representative: {sentenceTwo: string, index: number}, cohesion: number}>}>}
+   *   The cluster of every sentence, and the clusters in descending order of size, with the indices of their members, their centroid,
+   *   the sentence closest to the centroid and the mean similarity of the members to the centroid.
+   *
+   * @example
+   * const { clusters } = await cluster(tickets, { method: "kmeans", k: 8, seed: 1 });
+   * clusters.forEach((c) => console.log(c.representative.sentenceTwo, c.members.length, c.cohesion));
+   */
+
+  async function cluster(array, options = {}) {
+    if (isEmbeddingStore(array)) {
+      array = array.items;
+    }
+    const cachedArray =
+      array.length > 0 && typeof array[0] === "string"
+        ? await getCached(array, options)
+        : array;
+    throwIfAborted(options.signal);
+    const { labels, clusters } = clusterVectors(
+      cachedArray.map(({ embedding }) => embedding),
+      options,
+    );
+
+    return {
+      labels,
+      clusters: clusters.map(({ representative, ...rest }) => ({
+        ...rest,
+        representative: {
+          sentenceTwo: cachedArray[representative].sentenceTwo,
+          index: representative,
+        },
+      })),
+    };
+  }
+
+  /**
+   * Asynchronously compares every sentence of an array with every sentence of another one, e.g. to match two catalogs.
+   *
+   * Each side is embedded once, in batches: the queries with the `queryPrefix` of the model and the candidates with its
+   * `documentPrefix`. Cached sentences and stores are used as they are. The result depends on `mode`:
+   *   - `"top"`: the `topK` best candidates of every query, like {@link getTop}. The full matrix is never held in memory.
+   *   - `"matrix"`: the similarity of every pair, as a `Float32Array` of `queries.length` rows and `candidates.length` columns.
+   *   - `"assignment"`: the one-to-one pairing of queries and candidates with the highest total similarity (see {@link assignPairs}).
+   *     Pairs under `minScore` are then left unmatched.
+   *
+   * @async
+   * @function
+   * @param {Array<string>|Array<{sentenceTwo: string, embedding: Array<number>}>|Object} queries - The queries: sentences, a cached array returned by `getCached`, or a store returned by `loadCached`.
+   * @param {Array<string>|Array<{sentenceTwo: string, embedding: Array<number>}>|Object} candidates - The candidates, of the same kinds.
+   * @param {Object} [options] - The comparison options, and the batching options used when a side holds sentences (see {@link embedMany}).
+   * @param {"top"|"matrix"|"assignment"} [options.mode="top"] - What is returned.
+   * @param {number} [options.topK=10] - The number of candidates per query, in the `"top"` mode.
+   * @param {number} [options.minScore=-Infinity] - The minimum similarity of a match, in the `"top"` and `"assignment"` modes.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric. See {@link METRICS}.
+   * @param {AbortSignal} [options.signal] - Aborts the comparison between batches and rows. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the comparison after this many milliseconds.
+   * @throws {Error} If the model is not loaded and a side holds sentences, or if the options are invalid.
+   * @returns {Promise<{matches: Array<{sentenceOne: string, index: number, array: Array<{sentenceTwo: string, index: number, alike: number}>}>}|{rows: number, columns: number, matrix: Float32Array}|{pairs: Array<{sentenceOne: string, queryIndex: number, sentenceTwo: string, candidateIndex: number, alike: number}>, unmatchedQueries: Array<number>, unmatchedCandidates: Array<number>}>}
+   *   In the `"top"` mode, the best candidates of every query in descending order of similarity. In the `"matrix"` mode, the
+   *   similarity of query `i` and candidate `j` at `matrix[i * columns + j]`. In the `"assignment"` mode, the pairs in the order
+   *   of the queries, and the indices of the queries and candidates left without a pair.
+   *
+   * @example
+   * const { pairs, unmatchedQueries } = await compareArrays(ourSkus, supplierSkus, { mode: "assignment", minScore: 0.8 });
+   */
+
+  async function compareArrays(queries, candidates, options = {}) {
+    const {
+      mode = "top",
+      topK = 10,
+      minScore = -Infinity,
+      metric = "cosine",
+    } = options;
+    if (!["top", "matrix", "assignment"].includes(mode)) {
+      throw new Error(
+        `Unknown mode ${mode}, use "top", "matrix" or "assignment"`,
+      );
+    }
+    if (mode === "top" && topK <= 0) {
+      throw new Error("topK is either 0 or less than 0");
+    }
+    assertMetric(metric);
+    if (isEmbeddingStore(queries)) {
+      queries = queries.items;
+    }
+    if (isEmbeddingStore(candidates)) {
+      candidates = candidates.items;
+    }
+    if (
+      !model &&
+      [...queries, ...candidates].some((item) => typeof item === "string")
+    ) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+
+    const rows = await embedSentences(queries, options, "query");
+    const columns = await embedSentences(candidates, options);
+
+    if (mode === "top") {
+      const matches = [];
+      for (let i = 0; i < queries.length; i++) {
+        throwIfAborted(options.signal);
+        const top = new TopK(topK);
+        for (let j = 0; j < candidates.length; j++) {
+          const alike = calculateSimilarity(
+            rows.embeddings[i],
+            columns.embeddings[j],
+            metric,
+          );
+          if (alike >= minScore) {
+            top.add({ sentenceTwo: columns.sentences[j], index: j, alike });
+          }
+        }
+        matches.push({
+          sentenceOne: rows.sentences[i],
+          index: i,
+          array: top.toArray(),
+        });
+      }
+      return { matches };
+    }
+
+    const matrix = new Float32Array(queries.length * candidates.length);
+    for (let i = 0; i < queries.length; i++) {
+      throwIfAborted(options.signal);
+      for (let j = 0; j < candidates.length; j++) {
+        matrix[i * candidates.length + j] = calculateSimilarity(
+          rows.embeddings[i],
+          columns.embeddings[j],
+          metric,
+        );
+      }
+    }
+    if (mode === "matrix") {
+      return { rows: queries.length, columns: candidates.length, matrix };
+    }
+
+    const pairs = assignPairs(matrix, queries.length, candidates.length)
+      .map(({ row, column }) => ({
+        sentenceOne: rows.sentences[row],
+        queryIndex: row,
+        sentenceTwo: columns.sentences[column],
+        candidateIndex: column,
+        alike: matrix[row * candidates.length + column],
+      }))
+      .filter(({ alike }) => alike >= minScore);
+    const pairedQueries = new Set(pairs.map(({ queryIndex }) => queryIndex));
+    const pairedCandidates = new Set(
+      pairs.map(({ candidateIndex }) => candidateIndex),
+    );
+    return {
+      pairs,
+      unmatchedQueries: queries
+        .map((_, i) => i)
+        .filter((i) => !pairedQueries.has(i)),
+      unmatchedCandidates: candidates
+        .map((_, j) => j)
+        .filter((j) => !pairedCandidates.has(j)),
+    };
+  }
+
+  /**
+   * Asynchronously measures how well searches find the relevant items of labelled queries.
+   *
+   * Every query is searched in the corpus with {@link getTop}, or {@link cachedArrayInOrder} for a {@link QuantizedIndex}
+   * or an `approximateIndex`, with the same options as a real search. The corpus is embedded once. A relevant item is a
+   * text of the corpus, or its index; records and documents are matched by their `refIndex`.
+   *
+   * Compare the reports of two configurations (another model, threshold, preprocessing...) with {@link compareEvaluations}.
+   *
+   * @async
+   * @function
+   * @param {{corpus: Array<string|Object>|Object|QuantizedIndex, queries: Array<{query: string, relevant: Array<string|number>}>}} dataset - The corpus:
+   *   sentences, records (with `options.keys`), documents (with `options.chunking`), a cached array, a store returned by
+   *   `loadCached` or a {@link QuantizedIndex}; and every query with its relevant items.
+   * @param {Object} [options] - The search options of {@link getTop} (`metric`, `hybrid`, `rerank`, `diversity`, `keys`,
+   *   `chunking`...) or {@link cachedArrayInOrder} (`approximateIndex`, `rescore`...), and the batching options.
+   * @param {number} [options.k=10] - The number of results of every query.
+   * @param {number} [options.minScore=-Infinity] - The minimum similarity of a result, e.g. to evaluate a threshold.
+   * @param {AbortSignal} [options.signal] - Aborts the evaluation between queries. See {@link withAbort}.
+   * @param {number} [options.timeout] - Aborts the evaluation after this many milliseconds.
+   * @throws {Error} If the model is not loaded or the dataset is invalid, or an {@link AbortError} if the evaluation is aborted.
+   * @returns {Promise<{k: number, queries: number, recall: number, precision: number, mrr: number, ndcg: number, suggestedThreshold: {threshold: number, precision: number, recall: number, f1: number}|null, failures: Array<Object>, perQuery: Array<Object>}>}
+   *   The mean recall@k, precision of the returned results, mean reciprocal rank and nDCG@k; the threshold that best separates
+   *   relevant results from the others (see {@link suggestThreshold}); the queries that missed a relevant item, with their
+   *   `index`, `missing` items, `firstRelevantRank` and `results` (each marked `relevant` or not); and the scores of every query.
+   *
+   * @example
+   * const report = await evaluate({
+   *   corpus: faqEntries,
+   *   queries: [{ query: "How do I get my money back?", relevant: ["Refunds are issued within 14 days."] }],
+   * }, { k: 5 });
+   * console.log(report.recall, report.mrr, report.suggestedThreshold);
+   */
+
+  async function evaluate(dataset, options = {}) {
+    if (!model) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    const { k = 10, minScore = -Infinity, ...searchOptions } = options;
+    assertPositiveInteger("k", k);
+    const { corpus, queries } = dataset ?? {};
+    if (!corpus || !Array.isArray(queries) || queries.length === 0) {
+      throw new Error("The dataset must have a corpus and queries");
+    }
+    for (const { query, relevant } of queries) {
+      if (
+        typeof query !== "string" ||
+        !Array.isArray(relevant) ||
+        relevant.length === 0
+      ) {
+        throw new Error(
+          "Every query of the dataset must have a query and relevant items",
+        );
+      }
+    }
+
+    let searchable = isEmbeddingStore(corpus) ? corpus.items : corpus;
+    if (
+      Array.isArray(searchable) &&
+      searchable.some((item) => typeof item === "string" || !isCached(item))
+    ) {
+      searchable = await getCached(searchable, searchOptions);
+    }
+    const textAt = (index) =>
+      searchable instanceof QuantizedIndex
+        ? searchable.sentences[index]
+        : searchable[index]?.sentenceTwo;
+    const matches = (result, item) => {
+      if (typeof item === "number") {
+        return "refIndex" in result
+          ? result.refIndex === item
+          : result.sentenceTwo === textAt(item);
+      }
+      return result.sentenceTwo === item;
+    };
+
+    const perQuery = [];
+    const failures = [];
+    const scored = [];
+    let totalRelevant = 0;
+    for (let index = 0; index < queries.length; index++) {
+      throwIfAborted(options.signal);
+      const { query, relevant } = queries[index];
+      const { array } =
+        searchable instanceof QuantizedIndex || searchOptions.approximateIndex
+          ? await cachedArrayInOrder(query, searchable, {
+              ...searchOptions,
+              topK: k,
+            })
+          : await getTop(query, searchable, k, searchOptions);
+      const top = array.slice(0, k);
+
+      // The threshold is suggested from every result, whatever the current minScore.
+      const unfiltered = scoreQuery(top, relevant, matches, k);
+      top.forEach(({ alike }, i) =>
+        scored.push({ alike, relevant: unfiltered.relevance[i] }),
+      );
+      totalRelevant += relevant.length;
+
+      const results = top.filter(({ alike }) => alike >= minScore);
+      const { relevance, missing, firstRelevantRank, ...scores } = scoreQuery(
+        results,
+        relevant,
+        matches,
+        k,
+      );
+      perQuery.push({ query, ...scores });
+      if (missing.length > 0) {
+        failures.push({
+          index,
+          query,
+          missing,
+          firstRelevantRank,
+          results: results.map((result, i) => ({
+            ...result,
+            relevant: relevance[i],
+          })),
+        });
+      }
+    }
+
+    return {
+      k,
+      queries: queries.length,
+      ...averageScores(perQuery),
+      suggestedThreshold: suggestThreshold(scored, totalRelevant),
+      failures,
+      perQuery,
+    };
+  }
+
+  /**
+   * Checks whether an item of a corpus is already cached: a cached sentence, record or document.
+   *
+   * @function
+   * @param {*} item - The item.
+   * @returns {boolean} `true` if the item has its embeddings.
+   */
+
+  function isCached(item) {
+    return (
+      isCachedObject(item) ||
+      isCachedDocument(item) ||
+      (item !== null &&
+        typeof item === "object" &&
+        typeof item.sentenceTwo === "string" &&
+        item.embedding !== undefined)
+    );
+  }
+
+  return {
+    loadModel: abortable(loadModel, 0),
+    loadReranker: abortable(loadReranker, 0),
+    getProgress,
+    getLoadStatus,
+    getLoadProgress,
+    subscribeProgress,
+    progressEvents,
+    getModelOptions,
+    clearCache,
+    getCacheStats,
+    exportCache,
+    importCache,
+    compareTwoSentences: abortable(compareTwoSentences, 2),
+    compareSentenceToArray: abortable(compareSentenceToArray, 3),
+    arrayInOrder: abortable(arrayInOrder, 2),
+    getCached: abortable(getCached, 1),
+    saveCached,
+    loadCached,
+    cachedCompareSentenceToArray: abortable(cachedCompareSentenceToArray, 2),
+    cachedArrayInOrder: abortable(cachedArrayInOrder, 2),
+    getTop: abortable(getTop, 3),
+    dedupe: abortable(dedupe, 1),
+    cluster: abortable(cluster, 1),
+    compareArrays: abortable(compareArrays, 2),
+    evaluate: abortable(evaluate, 1),
+  };
+}
+
+/**
+ * The `vagueFinder` object provides a set of methods for comparing sentences using a loaded model.
+ * It is the default finder, created with {@link createVagueFinder} and the default model options.
+ *
+ * @namespace
+ * @property {function} loadModel - Loads the model. See {@link loadModel}.
+ * @property {function} loadReranker - Loads the cross-encoder used by the `rerank` option. See {@link loadReranker}.
+ * @property {function} getProgress - Returns the progress of the model loading process. See {@link getProgress}.
+ * @property {function} getLoadStatus - Returns the status of the model: idle, loading, ready or failed. See {@link getLoadStatus}.
+ * @property {function} getLoadProgress - Returns the last structured progress event. See {@link getLoadProgress}.
+ * @property {function} subscribeProgress - Adds a listener of the structured progress events. See {@link subscribeProgress}.
+ * @property {function} progressEvents - Iterates over the structured progress events of the current load. See {@link progressEvents}.
+ * @property {function} getModelOptions - Returns the options of the loaded model. See {@link getModelOptions}.
+ * @property {function} clearCache - Empties the embedding cache. See {@link clearCache}.
+ * @property {function} getCacheStats - Returns the hits, misses and size of the embedding cache. See {@link getCacheStats}.
+ * @property {function} exportCache - Exports the embedding cache to persist it. See {@link exportCache}.
+ * @property {function} importCache - Imports a persisted embedding cache. See {@link importCache}.
+ * @property {function} compareTwoSentences - Compares two sentences using the loaded model. See {@link compareTwoSentences}.
+ * @property {function} compareSentenceToArray - Compares a sentence to an array of sentences using the loaded model. See {@link compareSentenceToArray}.
+ * @property {function} arrayInOrder - Compares a sentence to an array of sentences using the loaded model and returns the results in order of similarity. See {@link arrayInOrder}.
+ * @property {function} getCached - Returns a cached array. See {@link getCached}.
+ * @property {function} saveCached - Exports a cached array as a binary embedding store. See {@link saveCached}.
+ * @property {function} loadCached - Imports a binary embedding store. See {@link loadCached}.
+ * @property {function} cachedCompareSentenceToArray - Compare a sentence to an array of cached sentences. See {@link cachedCompareSentenceToArray}.
+ * @property {function} cachedArrayInOrder - Compares a sentence to an array of cached senteces and returns the results in order of similarity. See {@link cachedArrayInOrder}.
+ * @property {function} getTop - Compares a sentence to an array of sentences using the loaded model and returns the top 'numberOfResults' results. The number of results is constrained by the 'numberOfResults' parameter. See {@link getTop}.
+ * @property {function} dedupe - Groups the near-duplicates of an array of sentences. See {@link dedupe}.
+ * @property {function} cluster - Groups an array of sentences by topic. See {@link cluster}.
+ * @property {function} compareArrays - Compares every sentence of an array with every sentence of another one. See {@link compareArrays}.
+ * @property {function} evaluate - Measures the recall, precision, MRR and nDCG of searches on labelled queries. See {@link evaluate}.
+ */
+
+const vagueFinder = createVagueFinder();
+
+export {
+  vagueFinder,
+  createVagueFinder,
+  createWorkerFinder,
+  AbortError,
+  TimeoutError,
+  isAbortError,
+  latestQuery,
+  VagueIndex,
+  HnswIndex,
+  measureRecall,
+  QuantizedIndex,
+  measureQuantizedRecall,
+  EmbeddingCache,
+  fitCalibration,
+  compareEvaluations,
+};
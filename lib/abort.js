@@ -0,0 +1,193 @@
+/**
+ * Cancellation helpers: the abort errors, the `signal`/`timeout` options of the async APIs, and the
+ * "latest query wins" helper.
+ */
+
+/**
+ * Class representing the error of an operation that was aborted through its `signal`.
+ */
+class AbortError extends Error {
+  /**
+   * Create an AbortError.
+   * @param {string} [message="The operation was aborted"] - The message.
+   * @param {{cause: *}} [options] - The reason of the abort, as `cause`.
+   */
+  constructor(message = "The operation was aborted", options) {
+    super(message, options);
+    this.name = "AbortError";
+    this.code = "ABORT_ERR";
+  }
+}
+
+/**
+ * Class representing the error of an operation that took longer than its `timeout`. It is also an {@link AbortError}.
+ */
+class TimeoutError extends AbortError {
+  /**
+   * Create a TimeoutError.
+   * @param {number} timeout - The timeout, in milliseconds.
+   */
+  constructor(timeout) {
+    super(`The operation timed out after ${timeout} ms`);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Converts the reason of an aborted signal into an {@link AbortError}.
+ *
+ * @function
+ * @param {*} reason - The `reason` of the signal.
+ * @returns {AbortError} The reason itself if it's already an AbortError, otherwise an AbortError caused by it.
+ */
+
+function toAbortError(reason) {
+  if (reason instanceof AbortError) {
+    return reason;
+  }
+  if (reason?.name === "TimeoutError") {
+    // e.g. the reason of `AbortSignal.timeout()`.
+    return new AbortError("The operation timed out", { cause: reason });
+  }
+  return new AbortError(undefined, { cause: reason });
+}
+
+/**
+ * Checks whether an error comes from an aborted operation, either an {@link AbortError} or a DOM `AbortError`.
+ *
+ * @function
+ * @param {*} error - The error.
+ * @returns {boolean} `true` if the operation was aborted or timed out.
+ */
+
+function isAbortError(error) {
+  return (
+    error instanceof AbortError ||
+    error?.name === "AbortError" ||
+    error?.name === "TimeoutError"
+  );
+}
+
+/**
+ * Throws if a signal is aborted. Long loops call it between embeddings or batches.
+ *
+ * @function
+ * @param {AbortSignal} [signal] - The signal.
+ * @throws {AbortError} If the signal is aborted.
+ */
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw toAbortError(signal.reason);
+  }
+}
+
+/**
+ * Asynchronously runs an operation with the `signal` and `timeout` of its options.
+ *
+ * Both are combined into one signal, passed to `run` in its options so it can stop between steps. The returned Promise
+ * rejects as soon as the signal is aborted, without waiting for the current step to end.
+ *
+ * @async
+ * @function
+ * @param {Object} [options] - The options of the operation.
+ * @param {AbortSignal} [options.signal] - Aborts the operation.
+ * @param {number} [options.timeout] - Aborts the operation after this many milliseconds.
+ * @param {function(Object): Promise<*>} run - Runs the operation with the options, whose `signal` is the combined signal.
+ * @throws {AbortError} If the operation is aborted, or a {@link TimeoutError} if it times out.
+ * @returns {Promise<*>} The result of the operation.
+ */
+
+async function withAbort(options, run) {
+  const { signal = null, timeout } = options ?? {};
+  if (!signal && timeout === undefined) {
+    return run(options);
+  }
+  if (timeout !== undefined && !(typeof timeout === "number" && timeout > 0)) {
+    throw new Error("timeout must be a positive number of milliseconds");
+  }
+  throwIfAborted(signal);
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timer =
+    timeout === undefined
+      ? null
+      : setTimeout(() => controller.abort(new TimeoutError(timeout)), timeout);
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener(
+      "abort",
+      () => reject(toAbortError(controller.signal.reason)),
+      { once: true },
+    );
+  });
+
+  try {
+    return await Promise.race([
+      run({ ...options, signal: controller.signal, timeout: undefined }),
+      aborted,
+    ]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Wraps an async function so that only its latest call counts, e.g. for a search box that searches on every keystroke.
+ *
+ * Every call aborts the signal of the previous one, so a stale search stops between embeddings instead of competing
+ * for the CPU, and rejects with an {@link AbortError} that can be ignored with {@link isAbortError}.
+ *
+ * @function
+ * @param {function(AbortSignal, ...*): Promise<*>} run - The function, called with the signal of the call and the arguments.
+ * @returns {function(...*): Promise<*>} The wrapped function. Its `abort()` method aborts the current call.
+ *
+ * @example
+ * const search = latestQuery((signal, query) => vagueFinder.getTop(query, products, 5, { signal }));
+ * input.addEventListener("input", async () => {
+ *   try {
+ *     render(await search(input.value));
+ *   } catch (error) {
+ *     if (!isAbortError(error)) throw error;
+ *   }
+ * });
+ */
+
+function latestQuery(run) {
+  let controller = null;
+
+  const latest = async (...args) => {
+    controller?.abort(new AbortError("A newer query was started"));
+    const current = new AbortController();
+    controller = current;
+    try {
+      const result = await run(current.signal, ...args);
+      // The function may ignore the signal, so a result that arrives after a newer call is dropped too.
+      throwIfAborted(current.signal);
+      return result;
+    } finally {
+      if (controller === current) {
+        controller = null;
+      }
+    }
+  };
+  latest.abort = () => {
+    controller?.abort();
+    controller = null;
+  };
+
+  return latest;
+}
+
+export {
+  AbortError,
+  TimeoutError,
+  isAbortError,
+  toAbortError,
+  throwIfAborted,
+  withAbort,
+  latestQuery,
+};
@@ -0,0 +1,99 @@
+/**
+ * Class representing a binary heap.
+ *
+ * The item for which `compare(a, b) < 0` against every other item is at the top, so
+ * `(a, b) => a - b` gives a min-heap and `(a, b) => b - a` a max-heap.
+ */
+class BinaryHeap {
+  _items = [];
+  _compare = null;
+
+  /**
+   * Create a BinaryHeap.
+   * @param {function(*, *): number} compare - Compares two items, like the comparator of `Array.prototype.sort`.
+   */
+  constructor(compare) {
+    this._compare = compare;
+  }
+
+  /**
+   * The number of items in the heap.
+   * @type {number}
+   */
+  get size() {
+    return this._items.length;
+  }
+
+  /**
+   * Get the top item without removing it.
+   * @return {*} The top item, or `undefined` if the heap is empty.
+   */
+  peek() {
+    return this._items[0];
+  }
+
+  /**
+   * Add an item to the heap.
+   * @param {*} item - The item to add.
+   */
+  push(item) {
+    const items = this._items;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this._compare(items[index], items[parent]) >= 0) {
+        break;
+      }
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Remove and return the top item.
+   * @return {*} The top item, or `undefined` if the heap is empty.
+   */
+  pop() {
+    const items = this._items;
+    if (items.length <= 1) {
+      return items.pop();
+    }
+    const top = items[0];
+    items[0] = items.pop();
+    let index = 0;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (
+        left < items.length &&
+        this._compare(items[left], items[smallest]) < 0
+      ) {
+        smallest = left;
+      }
+      if (
+        right < items.length &&
+        this._compare(items[right], items[smallest]) < 0
+      ) {
+        smallest = right;
+      }
+      if (smallest === index) {
+        break;
+      }
+      [items[index], items[smallest]] = [items[smallest], items[index]];
+      index = smallest;
+    }
+    return top;
+  }
+
+  /**
+   * Get the items of the heap, in no particular order.
+   * @return {Array<*>} A copy of the items.
+   */
+  toArray() {
+    return [...this._items];
+  }
+}
+
+export { BinaryHeap };
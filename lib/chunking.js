@@ -0,0 +1,117 @@
+const DEFAULT_CHUNKING = {
+  sentence: { size: 3, overlap: 1 },
+  token: { size: 128, overlap: 16 },
+  character: { size: 500, overlap: 50 },
+};
+
+/**
+ * Splits a text into units (sentences or word tokens) with their character offsets.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @param {RegExp} pattern - A global pattern matching one unit.
+ * @returns {Array<{start: number, end: number}>} The offsets of every unit.
+ */
+
+function findUnits(text, pattern) {
+  const units = [];
+  for (const match of text.matchAll(pattern)) {
+    units.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return units;
+}
+
+/**
+ * Splits a long text into overlapping passages, so that every part of it can be embedded.
+ *
+ * Embedding models only read the start of a long input, so a document is searched passage by passage instead.
+ * Passages are windows of `size` units that share `overlap` units with the previous passage, where a unit is a
+ * sentence, a word token or a character.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @param {Object} [options] - The chunking options.
+ * @param {"sentence"|"token"|"character"} [options.by="sentence"] - The unit of the passages.
+ * @param {number} [options.size] - The number of units per passage. Defaults to 3 sentences, 128 tokens or 500 characters.
+ * @param {number} [options.overlap] - The number of units shared by consecutive passages. Defaults to 1 sentence, 16 tokens or 50 characters.
+ * @throws {Error} If `by` is unknown, or `overlap` is not smaller than `size`.
+ * @returns {Array<{text: string, start: number, end: number}>} The passages, with their character offsets in `text` (`end` is exclusive).
+ *
+ * @example
+ * splitIntoPassages(article, { by: "token", size: 200, overlap: 20 });
+ */
+
+function splitIntoPassages(text, options = {}) {
+  const { by = "sentence" } = options;
+  if (!(by in DEFAULT_CHUNKING)) {
+    throw new Error(
+      `Unknown chunking unit ${by}, use "sentence", "token" or "character"`,
+    );
+  }
+  const {
+    size = DEFAULT_CHUNKING[by].size,
+    overlap = DEFAULT_CHUNKING[by].overlap,
+  } = options;
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error("size must be a positive integer");
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= size) {
+    throw new Error("overlap must be a non-negative integer smaller than size");
+  }
+
+  let units;
+  if (by === "sentence") {
+    units = findUnits(text, /[^\s.!?][^.!?]*(?:[.!?]+|$)/g);
+  } else if (by === "token") {
+    units = findUnits(text, /\S+/g);
+  } else {
+    // Every character is a unit, so their offsets are computed on demand instead of being listed.
+    units = {
+      length: text.length,
+      at: (i) => ({ start: i, end: i + 1 }),
+    };
+  }
+
+  const passages = [];
+  for (let first = 0; first < units.length; first += size - overlap) {
+    const last = Math.min(first + size, units.length) - 1;
+    const start = units.at(first).start;
+    const end = units.at(last).end;
+    passages.push({ text: text.slice(start, end), start, end });
+    if (last === units.length - 1) {
+      break;
+    }
+  }
+  return passages;
+}
+
+/**
+ * Aggregates the scores of the passages of a document into one document score.
+ *
+ * @function
+ * @param {Array<number>} scores - The scores of the passages.
+ * @param {"max"|"mean"|"topKMean"|{method: "max"|"mean"|"topKMean", k: number}} [aggregate="max"] - The aggregation: the best passage,
+ *   the mean of all passages, or the mean of the `k` best passages (3 by default).
+ * @throws {Error} If the method is unknown.
+ * @returns {number} The document score.
+ */
+
+function aggregateScores(scores, aggregate = "max") {
+  const { method, k = 3 } =
+    typeof aggregate === "string" ? { method: aggregate } : aggregate;
+  if (method === "max") {
+    return Math.max(...scores);
+  }
+  if (method === "mean") {
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+  if (method === "topKMean") {
+    const best = [...scores].sort((a, b) => b - a).slice(0, k);
+    return best.reduce((sum, score) => sum + score, 0) / best.length;
+  }
+  throw new Error(
+    `Unknown aggregation ${method}, use "max", "mean" or "topKMean"`,
+  );
+}
+
+export { splitIntoPassages, aggregateScores };
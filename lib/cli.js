@@ -0,0 +1,613 @@
+/**
+ * The `findvague` command-line tool. `bin/findvague.js` runs it with the process arguments and standard streams.
+ *
+ * Every subcommand wraps a finder method: `embed` uses `getCached` (and `saveCached`), `search` uses `getTop` (or
+ * `cachedArrayInOrder` on saved embeddings), `compare` uses `compareTwoSentences`, `dedupe` uses `dedupe` and `evaluate`
+ * uses `evaluate` (and `compareEvaluations`). `serve` starts the server of `server.js`.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { pathToFileURL } from "node:url";
+import { createVagueFinder, compareEvaluations } from "../app.js";
+import { createSearchServer } from "./server.js";
+import { readItems } from "./streaming.js";
+import { METRICS } from "./metrics.js";
+
+const USAGE = `Usage: findvague <command> [options]
+
+Commands:
+  embed [file]            Embed every line (or JSONL entry) and print the cached embeddings
+  search <query> [file]   Print the entries of a file or saved embeddings (.fvec) most similar to the query
+  compare <one> <two>     Print how similar two sentences are
+  dedupe [file]           Print the groups of near-duplicates of a file or saved embeddings
+  evaluate <dataset> [file]
+                          Print the recall@k, precision, MRR and nDCG of labelled queries (a JSON
+                          { corpus, queries } file), searching [file] instead of the corpus if given
+  serve                   Start the HTTP search server
+
+Reads from stdin when [file] is missing or "-".
+
+Options:
+  --model <id|path>       Hub model id or local model folder (default: Supabase/gte-small)
+  --cache-dir <path>      Where downloaded model files are cached
+  --offline               Never download anything
+  --unquantized           Load the unquantized weights
+  --embedder <module>     Module whose default export is a custom embedder, replaces the model; its
+                          embedderId export, if any, names it in embedding stores
+  --format <format>       Output format: json, jsonl or table (default: jsonl)
+  --input-format <format> Input format: lines or jsonl (default: from the file extension)
+  --keys <paths>          Comma-separated key paths to embed when JSONL entries are records
+  --top-k <n>             Number of search results (default: 10)
+  --threshold <score>     Minimum similarity of search or evaluate results (default: none) or of
+                          near-duplicates (default: 0.9)
+  --metric <metric>       search, compare, evaluate: cosine, dot, euclidean or manhattan (default: cosine)
+  --compare <config>      evaluate: also evaluate a JSON { modelOptions, searchOptions } file that
+                          overrides the other options, and compare both side by side
+  --batch-size <n>        Number of sentences passed to the model at once
+  -o, --output <file>     embed: write a binary embedding store instead of printing, not with --keys
+  --port <n>              serve: the port to listen on (default: 8080)
+  --host <host>           serve: the host to listen on (default: 127.0.0.1)
+  --max-body-size <bytes> serve: the maximum size of a request body (default: 1048576)
+  -h, --help              Show this help
+`;
+
+const OPTIONS = {
+  model: { type: "string" },
+  "cache-dir": { type: "string" },
+  offline: { type: "boolean" },
+  unquantized: { type: "boolean" },
+  embedder: { type: "string" },
+  format: { type: "string", default: "jsonl" },
+  "input-format": { type: "string" },
+  keys: { type: "string" },
+  "top-k": { type: "string", default: "10" },
+  threshold: { type: "string" },
+  metric: { type: "string", default: "cosine" },
+  compare: { type: "string" },
+  "batch-size": { type: "string" },
+  output: { type: "string", short: "o" },
+  port: { type: "string", default: "8080" },
+  host: { type: "string", default: "127.0.0.1" },
+  "max-body-size": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const FORMATS = ["json", "jsonl", "table"];
+
+/**
+ * Parses a numeric option.
+ *
+ * @function
+ * @param {string} name - The name of the option, used in the error message.
+ * @param {string|undefined} value - The raw value.
+ * @param {boolean} [integer=false] - Whether the value must be a positive integer.
+ * @throws {Error} If the value is not a number, or not a positive integer when `integer` is true.
+ * @returns {number|undefined} The number, or undefined if the option wasn't given.
+ */
+
+function parseNumber(name, value, integer = false) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (
+    value.trim() === "" ||
+    Number.isNaN(number) ||
+    (integer && (!Number.isInteger(number) || number <= 0))
+  ) {
+    throw new Error(
+      `--${name} must be ${integer ? "a positive integer" : "a number"}`,
+    );
+  }
+  return number;
+}
+
+/**
+ * Iterates over the chunks of a stream as bytes, so that they are always read as text.
+ *
+ * @async
+ * @generator
+ * @function
+ * @param {AsyncIterable<Buffer|string>} stream - The stream.
+ * @yields {Buffer} The chunks.
+ */
+
+async function* asBytes(stream) {
+  for await (const chunk of stream) {
+    yield typeof chunk === "string" ? Buffer.from(chunk) : chunk;
+  }
+}
+
+/**
+ * Iterates over the entries of a text input, without reading it all at once: one sentence per non-empty line, or one
+ * JSON value per line for JSONL, where every value is a sentence or, with `--keys`, a record.
+ *
+ * @async
+ * @generator
+ * @function
+ * @param {string|undefined} file - The path of the input, or `-` or undefined for stdin.
+ * @param {Object} values - The parsed options.
+ * @param {AsyncIterable<Buffer|string>} stdin - The standard input.
+ * @throws {Error} If the input can't be read or a JSONL line is not valid JSON.
+ * @yields {string|Object} The entries.
+ */
+
+async function* streamEntries(file, values, stdin) {
+  const fromStdin = file === undefined || file === "-";
+  const inputFormat =
+    values["input-format"] ??
+    (!fromStdin && [".jsonl", ".ndjson"].includes(path.extname(file))
+      ? "jsonl"
+      : "lines");
+  if (!["lines", "jsonl"].includes(inputFormat)) {
+    throw new Error("--input-format must be lines or jsonl");
+  }
+
+  const lines = readItems(
+    asBytes(fromStdin ? stdin : fs.createReadStream(file)),
+  );
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (inputFormat === "lines") {
+      yield line;
+      continue;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber} is not valid JSON: ${error.message}`);
+    }
+    if (!values.keys && typeof entry !== "string") {
+      throw new Error("JSONL entries must be strings, or records with --keys");
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Asynchronously reads the whole input of a subcommand.
+ *
+ * A `.fvec` file is loaded as a binary embedding store. Anything else is text, see {@link streamEntries}.
+ *
+ * @async
+ * @function
+ * @param {Object} finder - The finder, used to load embedding stores.
+ * @param {string|undefined} file - The path of the input, or `-` or undefined for stdin.
+ * @param {Object} values - The parsed options.
+ * @param {AsyncIterable<Buffer|string>} stdin - The standard input.
+ * @param {function(string): void} warn - Prints a warning.
+ * @throws {Error} If the input can't be read or a JSONL line is not valid JSON.
+ * @returns {Promise<{store: Object|null, entries: Array<string|Object>}>} The embedding store, or the entries of a text input.
+ */
+
+async function readInput(finder, file, values, stdin, warn) {
+  if (isStore(file)) {
+    const content = await fs.promises.readFile(file);
+    const store = finder.loadCached(new Uint8Array(content), {
+      onMismatch: "ignore",
+    });
+    const { model } = finder.getModelOptions();
+    if (store.model !== model && !values.embedder) {
+      warn(
+        /^embedder(-id)?:/.test(store.model)
+          ? `The embeddings were computed with a custom embedder (${store.model}), not ${model}; pass the same --embedder to compare them.`
+          : `The embeddings were computed with ${store.model}, not ${model}; pass --model ${store.model} to compare them with the same model.`,
+      );
+    }
+    return { store, entries: [] };
+  }
+
+  const entries = [];
+  for await (const entry of streamEntries(file, values, stdin)) {
+    entries.push(entry);
+  }
+  return { store: null, entries };
+}
+
+/**
+ * Asynchronously reads a JSON file.
+ *
+ * @async
+ * @function
+ * @param {string} file - The path of the file.
+ * @throws {Error} If the file can't be read or is not valid JSON.
+ * @returns {Promise<*>} The parsed value.
+ */
+
+async function readJson(file) {
+  const content = await fs.promises.readFile(file, "utf8");
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether an input is a binary embedding store.
+ *
+ * @function
+ * @param {string|undefined} file - The path of the input.
+ * @returns {boolean} `true` for `.fvec` files.
+ */
+
+function isStore(file) {
+  return file !== undefined && path.extname(file) === ".fvec";
+}
+
+/**
+ * Converts typed arrays to plain arrays, so embeddings are serialized as JSON arrays.
+ *
+ * @function
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value.
+ * @returns {*} The value to serialize.
+ */
+
+function jsonReplacer(key, value) {
+  return ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+/**
+ * Formats rows as a plain text table, one column per key of the first row.
+ *
+ * @function
+ * @param {Array<Object>} rows - The rows.
+ * @returns {string} The table.
+ */
+
+function formatTable(rows) {
+  if (rows.length === 0) {
+    return "";
+  }
+  const columns = Object.keys(rows[0]);
+  const cell = (value) => {
+    const text =
+      typeof value === "number" && !Number.isInteger(value)
+        ? value.toFixed(4)
+        : typeof value === "object" && value !== null
+          ? JSON.stringify(value, jsonReplacer)
+          : String(value ?? "");
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+  };
+  const cells = rows.map((row) => columns.map((column) => cell(row[column])));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map((row) => row[i].length)),
+  );
+  const line = (values) =>
+    values
+      .map((value, i) => value.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+/**
+ * Formats the output of a subcommand.
+ *
+ * @function
+ * @param {"json"|"jsonl"|"table"} format - The output format.
+ * @param {*} result - The whole result, printed as is in JSON.
+ * @param {Array<Object>} rows - The rows printed one per line in JSONL, and in the table.
+ * @param {Array<Object>} [tableRows=rows] - The rows of the table, when they differ from the JSONL rows.
+ * @returns {string} The formatted output.
+ */
+
+function formatOutput(format, result, rows, tableRows = rows) {
+  if (format === "json") {
+    return JSON.stringify(result, jsonReplacer, 2);
+  }
+  if (format === "jsonl") {
+    return rows.map((row) => JSON.stringify(row, jsonReplacer)).join("\n");
+  }
+  return formatTable(tableRows);
+}
+
+/**
+ * Asynchronously runs the command-line tool.
+ *
+ * @async
+ * @function
+ * @param {Array<string>} argv - The arguments, without the node executable and script path.
+ * @param {Object} [io] - The streams to use, the process streams by default.
+ * @param {AsyncIterable<Buffer|string>} [io.stdin] - The standard input.
+ * @param {{write: function(string): void}} [io.stdout] - The standard output.
+ * @param {{write: function(string): void}} [io.stderr] - The standard error.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 on error.
+ *
+ * @example
+ * process.exitCode = await runCli(process.argv.slice(2));
+ */
+
+async function runCli(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = io;
+  const warn = (message) => stderr.write(`findvague: ${message}\n`);
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    const [command, ...operands] = positionals;
+    if (values.help || command === undefined) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw new Error(`--format must be ${FORMATS.join(", ")}`);
+    }
+    const topK = parseNumber("top-k", values["top-k"], true);
+    const threshold = parseNumber("threshold", values.threshold);
+    const batchSize = parseNumber("batch-size", values["batch-size"], true);
+    const keys = values.keys?.split(",").map((key) => key.trim());
+    const { metric } = values;
+    if (!METRICS.includes(metric)) {
+      throw new Error(`--metric must be ${METRICS.join(", ")}`);
+    }
+
+    const config = {
+      ...(values.model !== undefined && { model: values.model }),
+      ...(values["cache-dir"] !== undefined && {
+        cacheDir: values["cache-dir"],
+      }),
+      ...(values.offline && { allowRemoteModels: false }),
+      ...(values.unquantized && { quantized: false }),
+      ...(batchSize !== undefined && { batchSize }),
+    };
+    if (values.embedder !== undefined) {
+      const url = pathToFileURL(path.resolve(values.embedder)).href;
+      const module = await import(url);
+      config.embedder = module.default;
+      if (module.embedderId !== undefined) {
+        config.embedderId = module.embedderId;
+      }
+    }
+    const finder = createVagueFinder(config);
+    const print = (result, rows, tableRows) => {
+      const output = formatOutput(values.format, result, rows, tableRows);
+      if (output !== "") {
+        stdout.write(`${output}\n`);
+      }
+    };
+
+    if (command === "compare") {
+      if (operands.length !== 2) {
+        throw new Error("compare needs two sentences");
+      }
+      await finder.loadModel();
+      const result = await finder.compareTwoSentences(...operands, { metric });
+      print(result, [result]);
+      return 0;
+    }
+
+    if (command === "embed") {
+      if (operands.length > 1) {
+        throw new Error("embed takes at most one file");
+      }
+      if (keys && values.output !== undefined) {
+        throw new Error(
+          "An embedding store only holds sentences, --keys can't be used with --output",
+        );
+      }
+      const { store, entries } = await readInput(
+        finder,
+        operands[0],
+        values,
+        stdin,
+        warn,
+      );
+      if (store) {
+        throw new Error("The input is already an embedding store");
+      }
+      await finder.loadModel();
+      const cachedArray = await finder.getCached(entries, { keys });
+      if (values.output !== undefined) {
+        await fs.promises.writeFile(
+          values.output,
+          finder.saveCached(cachedArray),
+        );
+        warn(`Saved ${cachedArray.length} embeddings to ${values.output}`);
+        return 0;
+      }
+      print(
+        cachedArray,
+        cachedArray,
+        cachedArray.map((item) => ({
+          sentenceTwo: item.sentenceTwo ?? item.item,
+          dimension: (item.embedding ?? item.fields[0]?.embedding)?.length,
+        })),
+      );
+      return 0;
+    }
+
+    if (command === "search") {
+      if (operands.length < 1 || operands.length > 2) {
+        throw new Error("search needs a query and at most one file");
+      }
+      const [query, file] = operands;
+      let result;
+      if (isStore(file)) {
+        const { store } = await readInput(finder, file, values, stdin, warn);
+        await finder.loadModel();
+        result = await finder.cachedArrayInOrder(query, store.items, {
+          metric,
+        });
+      } else {
+        // Text inputs are streamed, so files larger than the memory can be searched.
+        await finder.loadModel();
+        result = await finder.getTop(
+          query,
+          streamEntries(file, values, stdin),
+          topK,
+          { keys, metric },
+        );
+      }
+      const array = result.array
+        .slice(0, topK)
+        .filter(({ alike }) => threshold === undefined || alike >= threshold);
+      const rows = array.map((item, i) => ({ rank: i + 1, ...item }));
+      print(
+        { sentenceOne: query, array },
+        rows,
+        rows.map(({ rank, alike, sentenceTwo, item }) => ({
+          rank,
+          alike,
+          sentenceTwo: sentenceTwo ?? item,
+        })),
+      );
+      return 0;
+    }
+
+    if (command === "serve") {
+      if (operands.length > 0) {
+        throw new Error("serve takes no operands");
+      }
+      const port = parseNumber("port", values.port, true);
+      const maxBodySize = parseNumber(
+        "max-body-size",
+        values["max-body-size"],
+        true,
+      );
+      const { server, listen } = createSearchServer({ finder, maxBodySize });
+      const url = await listen(port, values.host);
+      warn(`Listening on ${url}`);
+      await new Promise((resolve) => server.once("close", resolve));
+      return 0;
+    }
+
+    if (command === "dedupe") {
+      if (operands.length > 1) {
+        throw new Error("dedupe takes at most one file");
+      }
+      const { store, entries } = await readInput(
+        finder,
+        operands[0],
+        values,
+        stdin,
+        warn,
+      );
+      if (keys) {
+        throw new Error("dedupe doesn't support --keys");
+      }
+      if (!store) {
+        await finder.loadModel();
+      }
+      const result = await finder.dedupe(store ?? entries, {
+        threshold: threshold ?? 0.9,
+      });
+      const rows = result.groups.map(({ representative, members }) => ({
+        representative: representative.sentenceTwo,
+        duplicates: members
+          .filter(({ index }) => index !== representative.index)
+          .map(({ sentenceTwo }) => sentenceTwo),
+        size: members.length,
+      }));
+      print(result, rows);
+      return 0;
+    }
+
+    if (command === "evaluate") {
+      if (operands.length < 1 || operands.length > 2) {
+        throw new Error("evaluate needs a dataset and at most one file");
+      }
+      const [datasetFile, file] = operands;
+      const dataset = await readJson(datasetFile);
+      let corpus = dataset.corpus;
+      if (file !== undefined) {
+        const { store, entries } = await readInput(
+          finder,
+          file,
+          values,
+          stdin,
+          warn,
+        );
+        corpus = store ?? entries;
+      }
+      const searchOptions = {
+        k: topK,
+        metric,
+        ...(keys && { keys }),
+        ...(threshold !== undefined && { minScore: threshold }),
+      };
+      await finder.loadModel();
+      const configurations = [
+        {
+          name: "baseline",
+          report: await finder.evaluate({ ...dataset, corpus }, searchOptions),
+        },
+      ];
+      if (values.compare !== undefined) {
+        const { modelOptions, searchOptions: comparedOptions } = await readJson(
+          values.compare,
+        );
+        if (modelOptions && isStore(file)) {
+          throw new Error(
+            "Saved embeddings can't be compared with other modelOptions, evaluate the text corpus instead",
+          );
+        }
+        const compared = createVagueFinder({ ...config, ...modelOptions });
+        await compared.loadModel();
+        configurations.push({
+          name: "compared",
+          report: await compared.evaluate(
+            { ...dataset, corpus },
+            { ...searchOptions, ...comparedOptions },
+          ),
+        });
+      }
+
+      const [baseline, compared] = configurations.map(({ report }) => report);
+      const comparison = compared
+        ? compareEvaluations(baseline, compared)
+        : null;
+      const rows = configurations.map(({ name, report }) => ({
+        configuration: name,
+        k: report.k,
+        recall: report.recall,
+        precision: report.precision,
+        mrr: report.mrr,
+        ndcg: report.ndcg,
+        threshold: report.suggestedThreshold?.threshold ?? null,
+        failures: report.failures,
+        ...(name === "compared" && {
+          fixed: comparison.fixed,
+          broken: comparison.broken,
+        }),
+      }));
+      print(
+        comparison ? { baseline, compared, comparison } : baseline,
+        rows,
+        rows.map(({ failures, fixed, broken, ...row }) => ({
+          ...row,
+          failures: failures.length,
+          // The table has the columns of the first row, so the baseline gets empty ones.
+          ...(comparison && {
+            fixed: fixed ? fixed.length : "",
+            broken: broken ? broken.length : "",
+          }),
+        })),
+      );
+      return 0;
+    }
+
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  } catch (error) {
+    warn(error.message);
+    return 1;
+  }
+}
+
+export { runCli };
@@ -0,0 +1,315 @@
+import { packNormalized, rowDotProduct, normalizeVector } from "./vectors.js";
+import { createRandom } from "./random.js";
+
+/**
+ * Calculates the dot product of a row of packed vectors and a centroid.
+ *
+ * @function
+ * @param {{data: Float32Array, dimension: number}} packed - The packed vectors.
+ * @param {number} row - The index of the row.
+ * @param {Float32Array} centroid - The centroid.
+ * @returns {number} The dot product.
+ */
+
+function rowCentroidDotProduct({ data, dimension }, row, centroid) {
+  const offset = row * dimension;
+  let sum = 0;
+  for (let i = 0; i < dimension; i++) {
+    sum += data[offset + i] * centroid[i];
+  }
+  return sum;
+}
+
+/**
+ * Calculates the normalized mean of some rows of packed vectors.
+ *
+ * @function
+ * @param {{data: Float32Array, dimension: number}} packed - The packed vectors.
+ * @param {Array<number>} rows - The indices of the rows.
+ * @returns {Float32Array} The normalized mean.
+ */
+
+function centroidOf({ data, dimension }, rows) {
+  const sum = new Float32Array(dimension);
+  for (const row of rows) {
+    const offset = row * dimension;
+    for (let i = 0; i < dimension; i++) {
+      sum[i] += data[offset + i];
+    }
+  }
+  return normalizeVector(sum);
+}
+
+/**
+ * Assigns packed vectors to `k` clusters with spherical k-means (cosine similarity), initialized with k-means++.
+ *
+ * @function
+ * @param {{data: Float32Array, dimension: number, count: number}} packed - The packed, normalized vectors.
+ * @param {{k: number, seed: number, maxIterations: number}} options - The number of clusters, the seed of the initialization and the iteration limit.
+ * @returns {Int32Array} The cluster of every vector.
+ */
+
+function kMeans(packed, { k, seed, maxIterations }) {
+  const random = createRandom(seed);
+  const { count } = packed;
+
+  // k-means++: every next centroid is drawn with a probability proportional to its distance to the closest centroid.
+  const centroids = [centroidOf(packed, [Math.floor(random() * count)])];
+  const distances = new Float64Array(count).fill(Infinity);
+  while (centroids.length < k) {
+    const latest = centroids[centroids.length - 1];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      const distance = Math.max(
+        0,
+        1 - rowCentroidDotProduct(packed, i, latest),
+      );
+      distances[i] = Math.min(distances[i], distance);
+      total += distances[i];
+    }
+    let target = random() * total;
+    let next = count - 1;
+    for (let i = 0; i < count; i++) {
+      target -= distances[i];
+      if (target < 0) {
+        next = i;
+        break;
+      }
+    }
+    centroids.push(centroidOf(packed, [next]));
+  }
+
+  const labels = new Int32Array(count).fill(-1);
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+    for (let i = 0; i < count; i++) {
+      let best = 0;
+      let bestScore = -Infinity;
+      for (let c = 0; c < k; c++) {
+        const score = rowCentroidDotProduct(packed, i, centroids[c]);
+        if (score > bestScore) {
+          best = c;
+          bestScore = score;
+        }
+      }
+      if (labels[i] !== best) {
+        labels[i] = best;
+        changed = true;
+      }
+    }
+    if (!changed) {
+      break;
+    }
+    for (let c = 0; c < k; c++) {
+      const members = [];
+      for (let i = 0; i < count; i++) {
+        if (labels[i] === c) {
+          members.push(i);
+        }
+      }
+      // An empty cluster keeps its previous centroid.
+      if (members.length > 0) {
+        centroids[c] = centroidOf(packed, members);
+      }
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Assigns packed vectors to clusters with average-linkage agglomerative clustering (cosine similarity).
+ *
+ * The dendrogram is built with the nearest-neighbour chain algorithm, in O(n²) time and memory, and then cut
+ * either where the linkage similarity drops below `threshold` or when `k` clusters are left.
+ *
+ * @function
+ * @param {{data: Float32Array, dimension: number, count: number}} packed - The packed, normalized vectors.
+ * @param {{k: number, threshold: number}} options - Either the number of clusters or the minimum linkage similarity.
+ * @returns {Int32Array} The cluster of every vector.
+ */
+
+function agglomerative(packed, { k, threshold }) {
+  const { count } = packed;
+  const similarities = new Float32Array(count * count);
+  for (let a = 0; a < count; a++) {
+    for (let b = a + 1; b < count; b++) {
+      const alike = rowDotProduct(packed, a, b);
+      similarities[a * count + b] = alike;
+      similarities[b * count + a] = alike;
+    }
+  }
+
+  const sizes = new Int32Array(count).fill(1);
+  const active = new Uint8Array(count).fill(1);
+  const merges = [];
+  const chain = [];
+  let remaining = count;
+  while (remaining > 1) {
+    if (chain.length === 0) {
+      chain.push(active.indexOf(1));
+    }
+    const a = chain[chain.length - 1];
+    const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+    let b = previous;
+    let bestScore =
+      previous === -1 ? -Infinity : similarities[a * count + previous];
+    for (let x = 0; x < count; x++) {
+      if (active[x] && x !== a && similarities[a * count + x] > bestScore) {
+        b = x;
+        bestScore = similarities[a * count + x];
+      }
+    }
+
+    if (b !== previous) {
+      chain.push(b);
+      continue;
+    }
+
+    // a and b are each other's nearest neighbours: merge b into a, with the Lance-Williams update for average linkage.
+    chain.pop();
+    chain.pop();
+    merges.push({ a, b, alike: bestScore });
+    for (let x = 0; x < count; x++) {
+      if (active[x] && x !== a && x !== b) {
+        const merged =
+          (sizes[a] * similarities[a * count + x] +
+            sizes[b] * similarities[b * count + x]) /
+          (sizes[a] + sizes[b]);
+        similarities[a * count + x] = merged;
+        similarities[x * count + a] = merged;
+      }
+    }
+    sizes[a] += sizes[b];
+    active[b] = 0;
+    remaining--;
+  }
+
+  // Average linkage never merges at a higher similarity than an earlier merge of the same clusters, so the merges
+  // can be replayed from the most to the least similar.
+  merges.sort((x, y) => y.alike - x.alike);
+  const parents = Int32Array.from({ length: count }, (_, i) => i);
+  const findRoot = (item) => {
+    while (parents[item] !== item) {
+      parents[item] = parents[parents[item]];
+      item = parents[item];
+    }
+    return item;
+  };
+  let clusters = count;
+  for (const { a, b, alike } of merges) {
+    if (k !== undefined ? clusters <= k : alike < threshold) {
+      break;
+    }
+    parents[findRoot(b)] = findRoot(a);
+    clusters--;
+  }
+
+  const labelsByRoot = new Map();
+  return Int32Array.from({ length: count }, (_, i) => {
+    const root = findRoot(i);
+    if (!labelsByRoot.has(root)) {
+      labelsByRoot.set(root, labelsByRoot.size);
+    }
+    return labelsByRoot.get(root);
+  });
+}
+
+/**
+ * Clusters vectors by topic.
+ *
+ * Both methods compare vectors by cosine similarity. Every cluster gets its normalized centroid, the member closest
+ * to it as representative, and a cohesion score: the mean similarity of its members to the centroid.
+ * Results are deterministic: k-means only uses the seeded random number generator.
+ *
+ * @function
+ * @param {Array<Array<number>|Float32Array>} vectors - The vectors.
+ * @param {Object} options - The clustering options.
+ * @param {"kmeans"|"agglomerative"} [options.method="kmeans"] - The clustering method.
+ * @param {number} [options.k] - The number of clusters. Required by `"kmeans"`; for `"agglomerative"`, either `k` or `threshold` is required.
+ * @param {number} [options.threshold] - The minimum average-linkage similarity of merged clusters, for `"agglomerative"`.
+ * @param {number} [options.seed=42] - The seed of the k-means++ initialization.
+ * @param {number} [options.maxIterations=100] - The maximum number of k-means iterations.
+ * @throws {Error} If the method is unknown, or `k`/`threshold` is missing or invalid.
+ * @returns {{labels: Array<number>, clusters: Array<{members: Array<number>, centroid: Array<number>, representative: number, cohesion: number}>}}
+ *   The cluster of every vector, and the clusters in descending order of size.
+ */
+
+function clusterVectors(vectors, options = {}) {
+  const {
+    method = "kmeans",
+    k,
+    threshold,
+    seed = 42,
+    maxIterations = 100,
+  } = options;
+  if (method !== "kmeans" && method !== "agglomerative") {
+    throw new Error(
+      `Unknown clustering method ${method}, use "kmeans" or "agglomerative"`,
+    );
+  }
+  if (k !== undefined && (!Number.isInteger(k) || k <= 0)) {
+    throw new Error("k must be a positive integer");
+  }
+  if (method === "kmeans" && k === undefined) {
+    throw new Error("kmeans needs the number of clusters k");
+  }
+  if (
+    method === "agglomerative" &&
+    k === undefined &&
+    typeof threshold !== "number"
+  ) {
+    throw new Error("agglomerative clustering needs either k or a threshold");
+  }
+
+  const packed = packNormalized(vectors);
+  if (packed.count === 0) {
+    return { labels: [], clusters: [] };
+  }
+  const rawLabels =
+    method === "kmeans"
+      ? kMeans(packed, { k: Math.min(k, packed.count), seed, maxIterations })
+      : agglomerative(packed, { k, threshold });
+
+  const membersByLabel = new Map();
+  rawLabels.forEach((label, i) => {
+    if (!membersByLabel.has(label)) {
+      membersByLabel.set(label, []);
+    }
+    membersByLabel.get(label).push(i);
+  });
+
+  const clusters = [...membersByLabel.values()]
+    .sort((a, b) => b.length - a.length || a[0] - b[0])
+    .map((members) => {
+      const centroid = centroidOf(packed, members);
+      let representative = members[0];
+      let bestScore = -Infinity;
+      let total = 0;
+      for (const member of members) {
+        const score = rowCentroidDotProduct(packed, member, centroid);
+        total += score;
+        if (score > bestScore) {
+          representative = member;
+          bestScore = score;
+        }
+      }
+      return {
+        members,
+        centroid: Array.from(centroid),
+        representative,
+        cohesion: total / members.length,
+      };
+    });
+
+  const labels = new Array(packed.count);
+  clusters.forEach(({ members }, label) => {
+    for (const member of members) {
+      labels[member] = label;
+    }
+  });
+
+  return { labels, clusters };
+}
+
+export { clusterVectors };
@@ -0,0 +1,136 @@
+import { packNormalized, rowDotProduct } from "./vectors.js";
+
+/**
+ * Finds the root of an item in a union-find forest, compressing the path on the way.
+ *
+ * @function
+ * @param {Int32Array} parents - The parent of every item.
+ * @param {number} item - The item.
+ * @returns {number} The root of the item.
+ */
+
+function findRoot(parents, item) {
+  while (parents[item] !== item) {
+    parents[item] = parents[parents[item]];
+    item = parents[item];
+  }
+  return item;
+}
+
+/**
+ * Groups near-duplicate vectors.
+ *
+ * Every pair of vectors is compared once. Two vectors whose cosine similarity reaches the threshold are linked,
+ * and linked vectors form a group, so A and C end up together when both are near-duplicates of B.
+ *
+ * The representative of a group is chosen by `representative`:
+ *   - `"medoid"`: the member with the highest mean similarity to the other members.
+ *   - `"first"`: the member that comes first in the input.
+ *   - `"longest"`: the member with the longest text.
+ *
+ * @function
+ * @param {Array<Array<number>|Float32Array>} vectors - The vectors.
+ * @param {Object} [options] - The grouping options.
+ * @param {number} [options.threshold=0.9] - The minimum cosine similarity of near-duplicates.
+ * @param {"medoid"|"first"|"longest"} [options.representative="medoid"] - How the representative of a group is chosen.
+ * @param {Array<string>} [options.texts] - The texts of the vectors, needed by the `"longest"` representative.
+ * @throws {Error} If the representative strategy is unknown.
+ * @returns {{groups: Array<{representative: number, members: Array<number>, pairs: Array<{a: number, b: number, alike: number}>}>, unique: Array<number>}}
+ *   The groups of at least two members, with the indices of their representative and members and the score of every linked pair,
+ *   and the indices of the vectors that have no near-duplicate.
+ */
+
+function groupNearDuplicates(vectors, options = {}) {
+  const { threshold = 0.9, representative = "medoid", texts = [] } = options;
+  if (!["medoid", "first", "longest"].includes(representative)) {
+    throw new Error(
+      `Unknown representative ${representative}, use "medoid", "first" or "longest"`,
+    );
+  }
+
+  const packed = packNormalized(vectors);
+  const parents = Int32Array.from({ length: packed.count }, (_, i) => i);
+  const pairs = [];
+  for (let a = 0; a < packed.count; a++) {
+    for (let b = a + 1; b < packed.count; b++) {
+      const alike = rowDotProduct(packed, a, b);
+      if (alike >= threshold) {
+        pairs.push({ a, b, alike });
+        parents[findRoot(parents, b)] = findRoot(parents, a);
+      }
+    }
+  }
+
+  const groupsByRoot = new Map();
+  for (let i = 0; i < packed.count; i++) {
+    const root = findRoot(parents, i);
+    if (!groupsByRoot.has(root)) {
+      groupsByRoot.set(root, { members: [], pairs: [] });
+    }
+    groupsByRoot.get(root).members.push(i);
+  }
+  for (const pair of pairs) {
+    groupsByRoot.get(findRoot(parents, pair.a)).pairs.push(pair);
+  }
+
+  const groups = [];
+  const unique = [];
+  for (const { members, pairs } of groupsByRoot.values()) {
+    if (members.length === 1) {
+      unique.push(members[0]);
+      continue;
+    }
+    groups.push({
+      representative: chooseRepresentative(
+        members,
+        packed,
+        representative,
+        texts,
+      ),
+      members,
+      pairs,
+    });
+  }
+
+  return { groups, unique };
+}
+
+/**
+ * Chooses the representative of a group of near-duplicates.
+ *
+ * @function
+ * @param {Array<number>} members - The indices of the members, in input order.
+ * @param {{data: Float32Array, dimension: number}} packed - The packed, normalized vectors.
+ * @param {"medoid"|"first"|"longest"} strategy - How the representative is chosen. See {@link groupNearDuplicates}.
+ * @param {Array<string>} texts - The texts of the vectors.
+ * @returns {number} The index of the representative.
+ */
+
+function chooseRepresentative(members, packed, strategy, texts) {
+  if (strategy === "first") {
+    return members[0];
+  }
+  if (strategy === "longest") {
+    return members.reduce((best, member) =>
+      (texts[member] ?? "").length > (texts[best] ?? "").length ? member : best,
+    );
+  }
+
+  let best = members[0];
+  let bestScore = -Infinity;
+  for (const member of members) {
+    let score = 0;
+    for (const other of members) {
+      if (other !== member) {
+        score += rowDotProduct(packed, member, other);
+      }
+    }
+    if (score > bestScore) {
+      best = member;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+export { groupNearDuplicates };
@@ -0,0 +1,89 @@
+import { calculateSimilarity } from "./metrics.js";
+
+/**
+ * Normalizes the `diversity` option of a search.
+ *
+ * @function
+ * @param {number|{lambda: number, candidates: number}} option - The lambda, or the options.
+ * @throws {Error} If `lambda` is not between 0 and 1, or `candidates` is not a positive integer.
+ * @returns {{lambda: number, candidates: number}} The options.
+ */
+
+function normalizeDiversity(option) {
+  const { lambda = 0.5, candidates = 20 } =
+    typeof option === "number" ? { lambda: option } : option;
+  if (!(lambda >= 0 && lambda <= 1)) {
+    throw new Error("diversity.lambda must be between 0 and 1");
+  }
+  if (!Number.isInteger(candidates) || candidates <= 0) {
+    throw new Error("diversity.candidates must be a positive integer");
+  }
+  return { lambda, candidates };
+}
+
+/**
+ * Orders the first `candidates` results by Maximal Marginal Relevance, so that near-identical results don't crowd the top.
+ *
+ * The next result is always the one with the best `lambda * relevance - (1 - lambda) * redundancy`, where the redundancy is
+ * its highest cosine similarity to the results already selected. The relevance is `alike` rescaled to 0–1 over the
+ * candidates, since hybrid, RRF and reranker scores don't have the scale of a cosine similarity (RRF scores are around
+ * 0.03). `lambda = 1` keeps the order of relevance, lower values favour results that differ from the ones above them.
+ * The other results follow, unchanged. `alike` is never changed.
+ *
+ * @function
+ * @param {Array<{alike: number, embedding: Array<number>}>} results - The results, in descending order of similarity, with the embeddings of their texts.
+ * @param {{lambda: number, candidates: number}} options - The diversity options. See {@link normalizeDiversity}.
+ * @throws {Error} If a result has no embedding.
+ * @returns {Array<Object>} The reordered results, without their embeddings.
+ *
+ * @example
+ * diversifyResults(results, { lambda: 0.7, candidates: 20 });
+ */
+
+function diversifyResults(results, options) {
+  const { lambda, candidates } = options;
+  const pool = results.slice(0, candidates);
+  if (pool.some(({ embedding }) => !embedding)) {
+    throw new Error("diversity needs the embeddings of the candidates");
+  }
+
+  const scores = pool.map(({ alike }) => alike);
+  const highest = Math.max(...scores);
+  const lowest = Math.min(...scores);
+  const relevance = scores.map((score) =>
+    highest > lowest ? (score - lowest) / (highest - lowest) : 1,
+  );
+
+  const selected = [];
+  // The highest similarity of every remaining result to the selected ones.
+  const redundancy = new Array(pool.length).fill(-Infinity);
+  const remaining = new Set(pool.keys());
+  while (remaining.size > 0) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (const i of remaining) {
+      const penalty = selected.length > 0 ? redundancy[i] : 0;
+      const score = lambda * relevance[i] - (1 - lambda) * penalty;
+      if (best === -1 || score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+    remaining.delete(best);
+    selected.push(pool[best]);
+    for (const i of remaining) {
+      redundancy[i] = Math.max(
+        redundancy[i],
+        calculateSimilarity(pool[i].embedding, pool[best].embedding),
+      );
+    }
+  }
+
+  return [...selected, ...results.slice(candidates)].map((result) => {
+    const copy = { ...result };
+    delete copy.embedding;
+    return copy;
+  });
+}
+
+export { normalizeDiversity, diversifyResults };
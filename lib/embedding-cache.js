@@ -0,0 +1,220 @@
+const CACHE_VERSION = 1;
+
+/**
+ * Normalizes a text into the form used by cache keys: Unicode NFC, trimmed, with every run of whitespace collapsed into
+ * one space. Texts that only differ by these get the same embedding.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @returns {string} The normalized text.
+ */
+
+function normalizeCacheText(text) {
+  return text.normalize("NFC").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Class representing a least-recently-used cache of embeddings, keyed by model and normalized text.
+ *
+ * Entries are kept in a Map, whose insertion order is the recency order: a hit moves the entry to the end, and the
+ * entries at the start are evicted first when `maxEntries` or `maxBytes` is exceeded.
+ *
+ * @example
+ * const cache = new EmbeddingCache({ maxEntries: 10000 });
+ * cache.set("Supabase/gte-small", "Hello world", embedding);
+ * cache.get("Supabase/gte-small", "  Hello   world "); // the same embedding
+ */
+class EmbeddingCache {
+  maxEntries = 1000;
+  maxBytes = Infinity;
+  _entries = new Map();
+  _bytes = 0;
+  _hits = 0;
+  _misses = 0;
+  _evictions = 0;
+
+  /**
+   * Create an EmbeddingCache.
+   * @param {Object} [options] - The limits of the cache.
+   * @param {number} [options.maxEntries=1000] - The maximum number of embeddings. 0 disables the cache.
+   * @param {number} [options.maxBytes=Infinity] - The maximum approximate size of the embeddings and their keys, in bytes.
+   */
+  constructor(options = {}) {
+    this.resize(options);
+  }
+
+  /**
+   * Restore a cache exported with `toJSON`.
+   * @param {Object} json - The exported cache.
+   * @param {Object} [options] - The limits of the cache. See the constructor.
+   * @return {EmbeddingCache} The cache, with the entries in the same recency order. The statistics start from zero.
+   * @throws {Error} If the export has an unsupported version.
+   */
+  static fromJSON(json, options = {}) {
+    const cache = new EmbeddingCache(options);
+    cache.load(json);
+    return cache;
+  }
+
+  /**
+   * The number of cached embeddings.
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Change the limits of the cache, evicting the least recently used entries that don't fit anymore.
+   * @param {Object} options - The limits. See the constructor.
+   * @throws {Error} If a limit is negative.
+   */
+  resize(options) {
+    const { maxEntries = 1000, maxBytes = Infinity } = options;
+    if (!(maxEntries >= 0) || !(maxBytes >= 0)) {
+      throw new Error("maxEntries and maxBytes must be 0 or more");
+    }
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this._evict();
+  }
+
+  /**
+   * Get a cached embedding, and mark it as the most recently used one.
+   * @param {string} modelId - The id of the model that computed the embedding.
+   * @param {string} text - The text.
+   * @return {Array<number>|undefined} A copy of the embedding, or `undefined` if it isn't cached.
+   */
+  get(modelId, text) {
+    const key = this._key(modelId, text);
+    const entry = this._entries.get(key);
+    if (!entry) {
+      this._misses++;
+      return undefined;
+    }
+    this._hits++;
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    // A copy, so that changing a returned embedding doesn't change the cache.
+    return Array.from(entry.embedding);
+  }
+
+  /**
+   * Cache an embedding, as the most recently used one.
+   * @param {string} modelId - The id of the model that computed the embedding.
+   * @param {string} text - The text.
+   * @param {Array<number>|Float32Array} embedding - The embedding.
+   */
+  set(modelId, text, embedding) {
+    if (this.maxEntries === 0) {
+      return;
+    }
+    const key = this._key(modelId, text);
+    const previous = this._entries.get(key);
+    if (previous) {
+      this._bytes -= previous.bytes;
+      this._entries.delete(key);
+    }
+    const entry = {
+      embedding: Array.from(embedding),
+      bytes: embedding.length * 8 + key.length * 2,
+    };
+    this._entries.set(key, entry);
+    this._bytes += entry.bytes;
+    this._evict();
+  }
+
+  /**
+   * Remove every embedding and reset the statistics.
+   */
+  clear() {
+    this._entries.clear();
+    this._bytes = 0;
+    this._hits = 0;
+    this._misses = 0;
+    this._evictions = 0;
+  }
+
+  /**
+   * Get the statistics of the cache.
+   * @return {{entries: number, bytes: number, maxEntries: number, maxBytes: number, hits: number, misses: number, hitRate: number, evictions: number}}
+   *   The number of embeddings and their approximate size, the limits, the number of hits and misses since the cache was
+   *   created or cleared, the share of hits, and the number of evicted embeddings.
+   */
+  stats() {
+    const lookups = this._hits + this._misses;
+    return {
+      entries: this._entries.size,
+      bytes: this._bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this._hits,
+      misses: this._misses,
+      hitRate: lookups > 0 ? this._hits / lookups : 0,
+      evictions: this._evictions,
+    };
+  }
+
+  /**
+   * Export the embeddings, e.g. to save them with `JSON.stringify` and restore them after a restart.
+   * @return {{version: number, entries: Array<[string, Array<number>]>}} The keys and embeddings, from the least to the most recently used.
+   */
+  toJSON() {
+    return {
+      version: CACHE_VERSION,
+      entries: [...this._entries].map(([key, { embedding }]) => [
+        key,
+        embedding,
+      ]),
+    };
+  }
+
+  /**
+   * Add the embeddings of an export made with `toJSON`. They become the most recently used ones, in their exported order.
+   * @param {{version: number, entries: Array<[string, Array<number>]>}} json - The exported cache.
+   * @throws {Error} If the export has an unsupported version.
+   */
+  load(json) {
+    if (!json || !Array.isArray(json.entries)) {
+      throw new Error("The embedding cache export must have entries");
+    }
+    if (json.version > CACHE_VERSION) {
+      throw new Error(
+        `Embedding cache version ${json.version} is not supported`,
+      );
+    }
+    for (const [key, embedding] of json.entries) {
+      const separator = key.indexOf("\n");
+      this.set(key.slice(0, separator), key.slice(separator + 1), embedding);
+    }
+  }
+
+  /**
+   * Build the key of a text. Model ids never contain a newline, and normalized texts have none left.
+   * @param {string} modelId - The id of the model.
+   * @param {string} text - The text.
+   * @return {string} The key.
+   * @private
+   */
+  _key(modelId, text) {
+    return `${modelId}\n${normalizeCacheText(text)}`;
+  }
+
+  /**
+   * Evict the least recently used entries until the cache is within its limits.
+   * @private
+   */
+  _evict() {
+    while (
+      this._entries.size > 0 &&
+      (this._entries.size > this.maxEntries || this._bytes > this.maxBytes)
+    ) {
+      const [key, entry] = this._entries.entries().next().value;
+      this._entries.delete(key);
+      this._bytes -= entry.bytes;
+      this._evictions++;
+    }
+  }
+}
+
+export { EmbeddingCache, normalizeCacheText };
@@ -0,0 +1,171 @@
+const MAGIC = "FVEC";
+const STORE_VERSION = 2;
+
+/**
+ * Encodes cached embeddings into the binary embedding store format.
+ *
+ * The format is:
+ *   - 4 bytes: the ASCII magic `FVEC`.
+ *   - 4 bytes: the byte length of the header, as a little-endian uint32.
+ *   - The header, as UTF-8 JSON: `{version, model, quantized, dimension, pooling, normalize, preprocess, queryPrefix,
+ *     documentPrefix, count, sentences}`. Version 1 stores don't have `quantized`, `preprocess` and the prefixes.
+ *   - Zero padding up to a multiple of 4 bytes.
+ *   - `count * dimension` little-endian float32 values, one vector after the other.
+ *
+ * @function
+ * @param {Array<{sentenceTwo: string, embedding: Array<number>|Float32Array}>} cachedArray - The cached sentences, as returned by `getCached`.
+ * @param {{model: string, quantized: boolean|null, pooling: string, normalize: boolean, preprocess: Array|null, queryPrefix: string, documentPrefix: string}} modelInfo
+ *   The identity and settings of the model that computed the embeddings: the model id (or `embedder:<name>` for a custom
+ *   embedder, whose `quantized` is null), and the preprocessing steps as described by `describePreprocessing`.
+ * @throws {Error} If an item is not a cached sentence, or the embeddings don't all have the same dimension.
+ * @returns {Uint8Array} The encoded store.
+ *
+ * @example
+ * const bytes = encodeEmbeddingStore(cachedArray, {
+ *   model: "Supabase/gte-small",
+ *   quantized: true,
+ *   pooling: "mean",
+ *   normalize: true,
+ *   preprocess: null,
+ *   queryPrefix: "",
+ *   documentPrefix: "",
+ * });
+ */
+
+function encodeEmbeddingStore(cachedArray, modelInfo) {
+  if (
+    cachedArray.some(
+      (item) => typeof item?.sentenceTwo !== "string" || !item.embedding,
+    )
+  ) {
+    throw new Error(
+      "An embedding store only holds cached sentences, not cached records or documents",
+    );
+  }
+  const dimension =
+    cachedArray.length > 0 ? cachedArray[0].embedding.length : 0;
+  for (const item of cachedArray) {
+    if (item.embedding.length !== dimension) {
+      throw new Error(
+        "Every embedding in the store must have the same dimension",
+      );
+    }
+  }
+
+  const header = new TextEncoder().encode(
+    JSON.stringify({
+      version: STORE_VERSION,
+      model: modelInfo.model,
+      quantized: modelInfo.quantized,
+      dimension,
+      pooling: modelInfo.pooling,
+      normalize: modelInfo.normalize,
+      preprocess: modelInfo.preprocess,
+      queryPrefix: modelInfo.queryPrefix,
+      documentPrefix: modelInfo.documentPrefix,
+      count: cachedArray.length,
+      sentences: cachedArray.map((item) => item.sentenceTwo),
+    }),
+  );
+  const vectorsOffset = Math.ceil((8 + header.length) / 4) * 4;
+  const bytes = new Uint8Array(
+    vectorsOffset + cachedArray.length * dimension * 4,
+  );
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < MAGIC.length; i++) {
+    bytes[i] = MAGIC.charCodeAt(i);
+  }
+  view.setUint32(4, header.length, true);
+  bytes.set(header, 8);
+
+  let offset = vectorsOffset;
+  for (const item of cachedArray) {
+    for (let i = 0; i < dimension; i++) {
+      view.setFloat32(offset, item.embedding[i], true);
+      offset += 4;
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Decodes a binary embedding store created by {@link encodeEmbeddingStore}.
+ *
+ * @function
+ * @param {Uint8Array|ArrayBuffer} input - The encoded store, e.g. the contents of a file read with `fs.readFile`.
+ * @throws {Error} If the input is not an embedding store, or was written by a newer, unsupported schema version.
+ * @returns {{version: number, model: string, quantized: boolean|null|undefined, dimension: number, pooling: string, normalize: boolean, preprocess: Array|null|undefined, queryPrefix: string|undefined, documentPrefix: string|undefined, items: Array<{sentenceTwo: string, embedding: Float32Array}>}}
+ *   The store. The settings a version 1 store didn't record are undefined. Its `items` can be used wherever a cached array is expected.
+ */
+
+function decodeEmbeddingStore(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const magic = String.fromCharCode(...bytes.subarray(0, MAGIC.length));
+  if (bytes.length < 8 || magic !== MAGIC) {
+    throw new Error("The input is not a findvague embedding store");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerLength = view.getUint32(4, true);
+  const header = JSON.parse(
+    new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)),
+  );
+  if (header.version > STORE_VERSION) {
+    throw new Error(
+      `Embedding store version ${header.version} is not supported, the latest supported version is ${STORE_VERSION}`,
+    );
+  }
+
+  const vectorsOffset = Math.ceil((8 + headerLength) / 4) * 4;
+  const vectors = new Float32Array(header.count * header.dimension);
+  for (let i = 0; i < vectors.length; i++) {
+    vectors[i] = view.getFloat32(vectorsOffset + i * 4, true);
+  }
+
+  const items = header.sentences.map((sentenceTwo, i) => ({
+    sentenceTwo,
+    embedding: vectors.subarray(
+      i * header.dimension,
+      (i + 1) * header.dimension,
+    ),
+  }));
+
+  return {
+    version: header.version,
+    model: header.model,
+    quantized: header.quantized,
+    dimension: header.dimension,
+    pooling: header.pooling,
+    normalize: header.normalize,
+    preprocess: header.preprocess,
+    queryPrefix: header.queryPrefix,
+    documentPrefix: header.documentPrefix,
+    items,
+  };
+}
+
+/**
+ * Checks whether a value is a decoded embedding store rather than a plain cached array.
+ *
+ * @function
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` if the value is an embedding store.
+ */
+
+function isEmbeddingStore(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Array.isArray(value.items)
+  );
+}
+
+export {
+  STORE_VERSION,
+  encodeEmbeddingStore,
+  decodeEmbeddingStore,
+  isEmbeddingStore,
+};
@@ -0,0 +1,159 @@
+/**
+ * Scores the results of one query of an evaluation against its relevant items.
+ *
+ * A result is relevant when it matches a relevant item that no better result matched yet, so duplicates of a relevant
+ * item only count once. Relevance is binary.
+ *
+ * @function
+ * @param {Array<{alike: number}>} results - The returned results, best first, at most `k`.
+ * @param {Array<*>} relevant - The relevant items.
+ * @param {function(Object, *): boolean} matches - Whether a result is a relevant item.
+ * @param {number} k - The cutoff.
+ * @returns {{recall: number, precision: number, reciprocalRank: number, ndcg: number, firstRelevantRank: number|null, relevance: Array<boolean>, missing: Array<*>}}
+ *   The recall@k, the precision of the returned results, the reciprocal rank of the first relevant result, the nDCG@k, the
+ *   rank of the first relevant result, whether every result is relevant, and the relevant items that weren't returned.
+ */
+
+function scoreQuery(results, relevant, matches, k) {
+  const found = new Set();
+  const relevance = results.map((result) => {
+    const index = relevant.findIndex(
+      (item, i) => !found.has(i) && matches(result, item),
+    );
+    if (index === -1) {
+      return false;
+    }
+    found.add(index);
+    return true;
+  });
+
+  const firstIndex = relevance.indexOf(true);
+  let dcg = 0;
+  relevance.forEach((isRelevant, i) => {
+    if (isRelevant) {
+      dcg += 1 / Math.log2(i + 2);
+    }
+  });
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(relevant.length, k); i++) {
+    idealDcg += 1 / Math.log2(i + 2);
+  }
+
+  return {
+    recall: found.size / relevant.length,
+    precision: results.length > 0 ? found.size / results.length : 0,
+    reciprocalRank: firstIndex === -1 ? 0 : 1 / (firstIndex + 1),
+    ndcg: idealDcg > 0 ? dcg / idealDcg : 0,
+    firstRelevantRank: firstIndex === -1 ? null : firstIndex + 1,
+    relevance,
+    missing: relevant.filter((_, i) => !found.has(i)),
+  };
+}
+
+/**
+ * Suggests the similarity threshold that best separates relevant results from the others: the score above which the
+ * returned results have the best F1 score, counting the relevant items that were never returned as missed.
+ *
+ * @function
+ * @param {Array<{alike: number, relevant: boolean}>} scored - The score of every returned result, and whether it's relevant.
+ * @param {number} totalRelevant - The number of relevant items across all queries.
+ * @returns {{threshold: number, precision: number, recall: number, f1: number}|null} The threshold, and the precision,
+ *   recall and F1 score of the results at or above it, or null if no relevant result was returned.
+ */
+
+function suggestThreshold(scored, totalRelevant) {
+  const sorted = [...scored].sort((a, b) => b.alike - a.alike);
+  let best = null;
+  let kept = 0;
+  let relevantKept = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    kept++;
+    if (sorted[i].relevant) {
+      relevantKept++;
+    }
+    // Results with the same score are kept or dropped together.
+    if (i + 1 < sorted.length && sorted[i + 1].alike === sorted[i].alike) {
+      continue;
+    }
+    if (relevantKept === 0) {
+      continue;
+    }
+    const precision = relevantKept / kept;
+    const recall = relevantKept / totalRelevant;
+    const f1 = (2 * precision * recall) / (precision + recall);
+    if (best === null || f1 > best.f1) {
+      best = { threshold: sorted[i].alike, precision, recall, f1 };
+    }
+  }
+  return best;
+}
+
+/**
+ * Averages the scores of the queries of an evaluation.
+ *
+ * @function
+ * @param {Array<{recall: number, precision: number, reciprocalRank: number, ndcg: number}>} queries - The scores of every query.
+ * @returns {{recall: number, precision: number, mrr: number, ndcg: number}} The mean recall@k, precision, reciprocal rank and nDCG@k.
+ */
+
+function averageScores(queries) {
+  const mean = (key) =>
+    queries.reduce((sum, query) => sum + query[key], 0) / queries.length;
+  return {
+    recall: mean("recall"),
+    precision: mean("precision"),
+    mrr: mean("reciprocalRank"),
+    ndcg: mean("ndcg"),
+  };
+}
+
+/**
+ * Compares two evaluations of the same dataset, e.g. before and after a change of model, threshold or preprocessing.
+ *
+ * @function
+ * @param {Object} baseline - The report of the first configuration, as returned by `evaluate`.
+ * @param {Object} candidate - The report of the second configuration.
+ * @throws {Error} If the reports don't have the same queries.
+ * @returns {{metrics: Object<string, {baseline: number, candidate: number, delta: number}>, fixed: Array<string>, broken: Array<string>}}
+ *   Both values of `recall`, `precision`, `mrr` and `ndcg` and the change from the baseline, the queries that only fail
+ *   in the baseline and the queries that only fail with the candidate.
+ *
+ * @example
+ * const baseline = await english.evaluate(dataset, { k: 5 });
+ * const candidate = await multilingual.evaluate(dataset, { k: 5 });
+ * const { metrics, broken } = compareEvaluations(baseline, candidate);
+ */
+
+function compareEvaluations(baseline, candidate) {
+  if (
+    baseline.perQuery.length !== candidate.perQuery.length ||
+    baseline.perQuery.some(
+      ({ query }, i) => query !== candidate.perQuery[i].query,
+    )
+  ) {
+    throw new Error("Both evaluations must have the same queries");
+  }
+  const metrics = {};
+  for (const key of ["recall", "precision", "mrr", "ndcg"]) {
+    metrics[key] = {
+      baseline: baseline[key],
+      candidate: candidate[key],
+      delta: candidate[key] - baseline[key],
+    };
+  }
+  const fails = (report) =>
+    new Set(report.failures.map((failure) => failure.index));
+  const baselineFailures = fails(baseline);
+  const candidateFailures = fails(candidate);
+  return {
+    metrics,
+    fixed: baseline.perQuery
+      .filter((_, i) => baselineFailures.has(i) && !candidateFailures.has(i))
+      .map(({ query }) => query),
+    broken: baseline.perQuery
+      .filter((_, i) => !baselineFailures.has(i) && candidateFailures.has(i))
+      .map(({ query }) => query),
+  };
+}
+
+export { scoreQuery, suggestThreshold, averageScores, compareEvaluations };
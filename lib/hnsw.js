@@ -0,0 +1,334 @@
+import { BinaryHeap } from "./binary-heap.js";
+import { dotProduct, norm } from "./vectors.js";
+import { createRandom } from "./random.js";
+
+const HNSW_VERSION = 1;
+
+/**
+ * Class representing a Hierarchical Navigable Small World graph, for approximate nearest-neighbour search
+ * by cosine similarity.
+ *
+ * Exact search over a cached array compares the query with every item, which gets slow past ~100k items.
+ * An HNSW graph only visits a small part of the items, at the cost of occasionally missing a true neighbour.
+ * `M` and `efConstruction` trade build time and memory for recall, `efSearch` trades query speed for recall.
+ *
+ * @example
+ * const index = HnswIndex.fromCached(cachedArray, { M: 16, efConstruction: 200 });
+ * const neighbours = index.search(queryEmbedding, 10);
+ */
+class HnswIndex {
+  M = 16;
+  efConstruction = 200;
+  efSearch = 50;
+  seed = 42;
+  entryPoint = -1;
+  maxLevel = -1;
+  _vectors = [];
+  _norms = [];
+  _levels = [];
+  _neighbors = [];
+  _random = null;
+
+  /**
+   * Create an empty HnswIndex.
+   * @param {Object} [options] - The graph parameters.
+   * @param {number} [options.M=16] - The number of links per item on the upper layers (twice as many on the bottom layer). Higher means better recall and more memory.
+   * @param {number} [options.efConstruction=200] - The size of the candidate list while inserting. Higher means better recall and a slower build.
+   * @param {number} [options.efSearch=50] - The default size of the candidate list while searching. Higher means better recall and slower queries.
+   * @param {number} [options.seed=42] - The seed of the random layer assignment.
+   */
+  constructor(options = {}) {
+    const { M = 16, efConstruction = 200, efSearch = 50, seed = 42 } = options;
+    if (!Number.isInteger(M) || M < 2) {
+      throw new Error("M must be an integer of at least 2");
+    }
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.seed = seed;
+    this._random = createRandom(seed);
+  }
+
+  /**
+   * Build an index over cached sentences.
+   * @param {Array<{sentenceTwo: string, embedding: Array<number>}>} cachedArray - The cached sentences, as returned by `getCached`.
+   * @param {Object} [options] - The graph parameters. See the constructor.
+   * @return {HnswIndex} The index. The ids of its items are the positions in `cachedArray`.
+   */
+  static fromCached(cachedArray, options = {}) {
+    const index = new HnswIndex(options);
+    for (const item of cachedArray) {
+      index.add(item.embedding);
+    }
+    return index;
+  }
+
+  /**
+   * Restore an index serialized with `toJSON`.
+   * @param {Object} json - The serialized graph.
+   * @param {Array<Array<number>|{embedding: Array<number>}>} vectors - The vectors (or cached sentences) the index was built over, in the same order.
+   * @return {HnswIndex} The index.
+   * @throws {Error} If the serialized graph doesn't match the vectors or has an unsupported version.
+   */
+  static fromJSON(json, vectors) {
+    if (json.version > HNSW_VERSION) {
+      throw new Error(`HNSW index version ${json.version} is not supported`);
+    }
+    if (json.levels.length !== vectors.length) {
+      throw new Error(
+        `The HNSW index has ${json.levels.length} items but ${vectors.length} vectors were given`,
+      );
+    }
+    const index = new HnswIndex(json);
+    index.entryPoint = json.entryPoint;
+    index.maxLevel = json.maxLevel;
+    index._levels = [...json.levels];
+    index._neighbors = json.neighbors.map((layers) =>
+      layers.map((links) => [...links]),
+    );
+    index._vectors = vectors.map((vector) => vector.embedding ?? vector);
+    index._norms = index._vectors.map(norm);
+    return index;
+  }
+
+  /**
+   * The number of items in the index.
+   * @type {number}
+   */
+  get size() {
+    return this._vectors.length;
+  }
+
+  /**
+   * Add a vector to the index.
+   * @param {Array<number>|Float32Array} vector - The vector.
+   * @return {number} The id of the new item, i.e. its position in insertion order.
+   */
+  add(vector) {
+    const id = this._vectors.length;
+    const level = Math.floor(-Math.log(1 - this._random()) / Math.log(this.M));
+    this._vectors.push(vector);
+    this._norms.push(norm(vector));
+    this._levels.push(level);
+    this._neighbors.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return id;
+    }
+
+    let entryPoint = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entryPoint = this._greedyClosest(vector, entryPoint, layer);
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this._searchLayer(
+        vector,
+        entryPoint,
+        this.efConstruction,
+        layer,
+      );
+      const maxLinks = layer === 0 ? this.M * 2 : this.M;
+      const selected = candidates.slice(0, this.M);
+      this._neighbors[id][layer] = selected.map(({ id }) => id);
+
+      for (const neighbour of selected) {
+        const links = this._neighbors[neighbour.id][layer];
+        links.push(id);
+        if (links.length > maxLinks) {
+          this._neighbors[neighbour.id][layer] = links
+            .map((link) => ({
+              id: link,
+              distance: this._distance(
+                this._vectors[neighbour.id],
+                this._norms[neighbour.id],
+                link,
+              ),
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, maxLinks)
+            .map(({ id }) => id);
+        }
+      }
+      entryPoint = candidates[0].id;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+    return id;
+  }
+
+  /**
+   * Search the approximate nearest neighbours of a vector.
+   * @param {Array<number>|Float32Array} vector - The query vector.
+   * @param {number} k - The number of neighbours to return.
+   * @param {Object} [options] - The search options.
+   * @param {number} [options.efSearch] - The size of the candidate list. Defaults to the `efSearch` of the index, and is never less than `k`.
+   * @return {Array<{id: number, alike: number}>} The neighbours, in descending order of cosine similarity.
+   */
+  search(vector, k, options = {}) {
+    const { efSearch = this.efSearch } = options;
+    if (this.entryPoint === -1) {
+      return [];
+    }
+
+    let entryPoint = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entryPoint = this._greedyClosest(vector, entryPoint, layer);
+    }
+    return this._searchLayer(vector, entryPoint, Math.max(efSearch, k), 0)
+      .slice(0, k)
+      .map(({ id, distance }) => ({ id, alike: 1 - distance }));
+  }
+
+  /**
+   * Serialize the graph. The vectors are not included, they are passed again to `fromJSON`.
+   * @return {Object} A JSON-compatible representation of the graph.
+   */
+  toJSON() {
+    return {
+      version: HNSW_VERSION,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      seed: this.seed,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      levels: this._levels,
+      neighbors: this._neighbors,
+    };
+  }
+
+  /**
+   * Calculate the cosine distance between a vector and an item of the index.
+   * @param {Array<number>|Float32Array} vector - The vector.
+   * @param {number} vectorNorm - The norm of the vector.
+   * @param {number} id - The id of the item.
+   * @return {number} `1 - cosine similarity`.
+   * @private
+   */
+  _distance(vector, vectorNorm, id) {
+    return (
+      1 - dotProduct(vector, this._vectors[id]) / (vectorNorm * this._norms[id])
+    );
+  }
+
+  /**
+   * Walk a layer greedily towards the item closest to a vector.
+   * @param {Array<number>|Float32Array} vector - The vector.
+   * @param {number} entryPoint - The id of the item to start from.
+   * @param {number} layer - The layer.
+   * @return {number} The id of the closest item found.
+   * @private
+   */
+  _greedyClosest(vector, entryPoint, layer) {
+    const vectorNorm = norm(vector);
+    let closest = entryPoint;
+    let closestDistance = this._distance(vector, vectorNorm, closest);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const neighbour of this._neighbors[closest][layer]) {
+        const distance = this._distance(vector, vectorNorm, neighbour);
+        if (distance < closestDistance) {
+          closest = neighbour;
+          closestDistance = distance;
+          changed = true;
+        }
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Search the `ef` items of a layer closest to a vector.
+   * @param {Array<number>|Float32Array} vector - The vector.
+   * @param {number} entryPoint - The id of the item to start from.
+   * @param {number} ef - The size of the candidate list.
+   * @param {number} layer - The layer.
+   * @return {Array<{id: number, distance: number}>} The closest items found, in ascending order of distance.
+   * @private
+   */
+  _searchLayer(vector, entryPoint, ef, layer) {
+    const vectorNorm = norm(vector);
+    const visited = new Set([entryPoint]);
+    const start = {
+      id: entryPoint,
+      distance: this._distance(vector, vectorNorm, entryPoint),
+    };
+    const candidates = new BinaryHeap((a, b) => a.distance - b.distance);
+    const results = new BinaryHeap((a, b) => b.distance - a.distance);
+    candidates.push(start);
+    results.push(start);
+
+    while (candidates.size > 0) {
+      const candidate = candidates.pop();
+      if (candidate.distance > results.peek().distance && results.size >= ef) {
+        break;
+      }
+      for (const neighbour of this._neighbors[candidate.id][layer]) {
+        if (visited.has(neighbour)) {
+          continue;
+        }
+        visited.add(neighbour);
+        const distance = this._distance(vector, vectorNorm, neighbour);
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ id: neighbour, distance });
+          results.push({ id: neighbour, distance });
+          if (results.size > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+
+    return results.toArray().sort((a, b) => a.distance - b.distance);
+  }
+}
+
+/**
+ * Measures the recall of an approximate index against the exact brute-force result.
+ *
+ * For every query the exact top `k` items are computed by comparing the query with every vector of the index,
+ * and the recall is the share of them that the approximate search also returned. Useful in tests, and to tune
+ * `M`, `efConstruction` and `efSearch` for a corpus.
+ *
+ * @function
+ * @param {HnswIndex} index - The approximate index.
+ * @param {Array<Array<number>|Float32Array>} queries - The query vectors.
+ * @param {number} [k=10] - The number of neighbours per query.
+ * @param {Object} [options] - The search options passed to `index.search`.
+ * @returns {{recall: number, k: number, queries: number}} The mean recall@k over all queries, between 0 and 1.
+ *
+ * @example
+ * const { recall } = measureRecall(index, cachedArray.slice(0, 100).map((item) => item.embedding), 10);
+ * assert(recall > 0.95);
+ */
+
+function measureRecall(index, queries, k = 10, options = {}) {
+  let total = 0;
+  for (const query of queries) {
+    const queryNorm = norm(query);
+    const exact = index._vectors
+      .map((_, id) => ({ id, distance: index._distance(query, queryNorm, id) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, k);
+    const approximate = new Set(
+      index.search(query, k, options).map(({ id }) => id),
+    );
+    const found = exact.filter(({ id }) => approximate.has(id)).length;
+    total += exact.length > 0 ? found / exact.length : 1;
+  }
+
+  return {
+    recall: queries.length > 0 ? total / queries.length : 1,
+    k,
+    queries: queries.length,
+  };
+}
+
+export { HnswIndex, measureRecall };
@@ -0,0 +1,160 @@
+const DEFAULT_HYBRID_OPTIONS = {
+  method: "weighted",
+  lexicalWeight: 0.3,
+  rrfK: 60,
+  k1: 1.2,
+  b: 0.75,
+};
+
+/**
+ * Splits a text into lowercase word tokens. Letters and digits of any script are kept, everything else separates tokens.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @returns {Array<string>} The tokens.
+ */
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Calculates the BM25 score of every document for a query.
+ *
+ * The document frequencies and the average length are computed over the given documents, so the scores are relative
+ * to the candidate set being ranked.
+ *
+ * @function
+ * @param {string} query - The query.
+ * @param {Array<string>} documents - The documents.
+ * @param {Object} [options] - The BM25 parameters.
+ * @param {number} [options.k1=1.2] - The term frequency saturation.
+ * @param {number} [options.b=0.75] - The document length normalization.
+ * @returns {Array<number>} The score of every document, in the same order as `documents`.
+ */
+
+function bm25Scores(query, documents, options = {}) {
+  const { k1 = DEFAULT_HYBRID_OPTIONS.k1, b = DEFAULT_HYBRID_OPTIONS.b } =
+    options;
+  const tokenizedDocuments = documents.map(tokenize);
+  const averageLength =
+    tokenizedDocuments.reduce((sum, tokens) => sum + tokens.length, 0) /
+    Math.max(tokenizedDocuments.length, 1);
+
+  const documentFrequencies = new Map();
+  for (const tokens of tokenizedDocuments) {
+    for (const token of new Set(tokens)) {
+      documentFrequencies.set(token, (documentFrequencies.get(token) ?? 0) + 1);
+    }
+  }
+
+  const queryTokens = [...new Set(tokenize(query))];
+  return tokenizedDocuments.map((tokens) => {
+    const termFrequencies = new Map();
+    for (const token of tokens) {
+      termFrequencies.set(token, (termFrequencies.get(token) ?? 0) + 1);
+    }
+
+    let score = 0;
+    for (const token of queryTokens) {
+      const termFrequency = termFrequencies.get(token);
+      if (!termFrequency) {
+        continue;
+      }
+      const documentFrequency = documentFrequencies.get(token);
+      const idf = Math.log(
+        1 +
+          (tokenizedDocuments.length - documentFrequency + 0.5) /
+            (documentFrequency + 0.5),
+      );
+      score +=
+        (idf * termFrequency * (k1 + 1)) /
+        (termFrequency +
+          k1 * (1 - b + (b * tokens.length) / (averageLength || 1)));
+    }
+    return score;
+  });
+}
+
+/**
+ * Calculates the rank of every score, 1 being the highest score.
+ *
+ * @function
+ * @param {Array<number>} scores - The scores.
+ * @returns {Array<number>} The rank of every score, in the same order as `scores`.
+ */
+
+function ranks(scores) {
+  const order = scores
+    .map((score, index) => ({ score, index }))
+    .sort((a, b) => b.score - a.score);
+  const result = new Array(scores.length);
+  order.forEach(({ index }, rank) => {
+    result[index] = rank + 1;
+  });
+  return result;
+}
+
+/**
+ * Combines the semantic scores of comparison results with BM25 lexical scores.
+ *
+ * With the `"weighted"` method, the BM25 scores are divided by the highest one, so both scores are between 0 and 1,
+ * and `alike` becomes `(1 - lexicalWeight) * semanticScore + lexicalWeight * lexicalScore`.
+ * With the `"rrf"` method (reciprocal-rank fusion), `alike` becomes `1 / (rrfK + semantic rank) + 1 / (rrfK + lexical rank)`.
+ *
+ * @function
+ * @param {string} query - The query.
+ * @param {Array<{sentenceTwo: string, alike: number}>} results - The comparison results. `alike` is the semantic score.
+ * @param {boolean|Object} [options] - `true` for the defaults, or the hybrid options.
+ * @param {"weighted"|"rrf"} [options.method="weighted"] - How the scores are combined.
+ * @param {number} [options.lexicalWeight=0.3] - The weight of the lexical score, between 0 and 1, for the `"weighted"` method.
+ * @param {number} [options.rrfK=60] - The rank constant of the `"rrf"` method.
+ * @param {number} [options.k1=1.2] - The BM25 term frequency saturation.
+ * @param {number} [options.b=0.75] - The BM25 document length normalization.
+ * @throws {Error} If the method is unknown or the weight is not between 0 and 1.
+ * @returns {Array<{sentenceTwo: string, alike: number, semanticScore: number, lexicalScore: number}>} New results with both component scores, in the same order.
+ */
+
+function applyHybridScores(query, results, options = {}) {
+  const { method, lexicalWeight, rrfK, k1, b } = {
+    ...DEFAULT_HYBRID_OPTIONS,
+    ...(options === true ? {} : options),
+  };
+  if (method !== "weighted" && method !== "rrf") {
+    throw new Error(`Unknown hybrid method ${method}, use "weighted" or "rrf"`);
+  }
+  if (!(lexicalWeight >= 0 && lexicalWeight <= 1)) {
+    throw new Error("lexicalWeight must be between 0 and 1");
+  }
+
+  const lexicalScores = bm25Scores(
+    query,
+    results.map(({ sentenceTwo }) => sentenceTwo),
+    { k1, b },
+  );
+
+  if (method === "rrf") {
+    const semanticRanks = ranks(results.map(({ alike }) => alike));
+    const lexicalRanks = ranks(lexicalScores);
+    return results.map((result, i) => ({
+      ...result,
+      alike: 1 / (rrfK + semanticRanks[i]) + 1 / (rrfK + lexicalRanks[i]),
+      semanticScore: result.alike,
+      lexicalScore: lexicalScores[i],
+    }));
+  }
+
+  const maxLexicalScore = Math.max(0, ...lexicalScores);
+  return results.map((result, i) => {
+    const lexicalScore =
+      maxLexicalScore > 0 ? lexicalScores[i] / maxLexicalScore : 0;
+    return {
+      ...result,
+      alike: (1 - lexicalWeight) * result.alike + lexicalWeight * lexicalScore,
+      semanticScore: result.alike,
+      lexicalScore,
+    };
+  });
+}
+
+export { tokenize, bm25Scores, applyHybridScores };
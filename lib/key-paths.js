@@ -0,0 +1,76 @@
+/**
+ * Normalizes the `keys` option of an object search.
+ *
+ * Every key is either a dotted path like `"author.name"`, an array path like `["author", "name"]`,
+ * or an object `{name, weight}` where `name` is one of those paths.
+ *
+ * @function
+ * @param {Array<string|Array<string>|{name: string|Array<string>, weight: number}>} keys - The keys to search.
+ * @throws {Error} If `keys` is empty or a weight is not a positive number.
+ * @returns {Array<{key: string, path: Array<string>, weight: number}>} The keys, with their path split and their weight defaulting to 1.
+ */
+
+function normalizeKeys(keys) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error("keys must be a non-empty array");
+  }
+
+  return keys.map((key) => {
+    const { name, weight = 1 } =
+      typeof key === "object" && !Array.isArray(key) ? key : { name: key };
+    if (typeof weight !== "number" || !(weight > 0)) {
+      throw new Error(
+        `The weight of the key ${name} must be a positive number`,
+      );
+    }
+    const path = Array.isArray(name) ? name : name.split(".");
+    return { key: path.join("."), path, weight };
+  });
+}
+
+/**
+ * Gets the value at a path of an object.
+ *
+ * @function
+ * @param {Object} object - The object.
+ * @param {Array<string>} path - The path, e.g. `["author", "name"]`.
+ * @returns {*} The value, or `undefined` if the path doesn't exist.
+ */
+
+function getValueAtPath(object, path) {
+  let value = object;
+  for (const segment of path) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Gets the texts to search in an object.
+ *
+ * Strings and numbers are searched, missing and empty values are skipped.
+ *
+ * @function
+ * @param {Object} object - The object.
+ * @param {Array<{key: string, path: Array<string>, weight: number}>} keys - The normalized keys. See {@link normalizeKeys}.
+ * @returns {Array<{key: string, weight: number, sentenceTwo: string}>} The text of every key the object has.
+ */
+
+function getKeyTexts(object, keys) {
+  const texts = [];
+  for (const { key, path, weight } of keys) {
+    const value = getValueAtPath(object, path);
+    if (
+      (typeof value === "string" && value.length > 0) ||
+      typeof value === "number"
+    ) {
+      texts.push({ key, weight, sentenceTwo: String(value) });
+    }
+  }
+  return texts;
+}
+
+export { normalizeKeys, getValueAtPath, getKeyTexts };
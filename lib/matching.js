@@ -0,0 +1,88 @@
+/**
+ * Finds the one-to-one pairing of rows and columns of a score matrix with the highest total score, with the Hungarian
+ * algorithm (Kuhn–Munkres), in O(rows² × columns).
+ *
+ * Every row is paired with a different column when there are at least as many columns as rows, and the other way around
+ * otherwise, so `min(rows, columns)` pairs are always returned.
+ *
+ * @function
+ * @param {Float32Array|Float64Array|Array<number>} scores - The scores, row after row: the score of row `i` and column `j` is at `i * columns + j`.
+ * @param {number} rows - The number of rows.
+ * @param {number} columns - The number of columns.
+ * @returns {Array<{row: number, column: number}>} The pairs, in ascending order of row.
+ *
+ * @example
+ * assignPairs([0.9, 0.8, 0.85, 0.1], 2, 2); // [{ row: 0, column: 1 }, { row: 1, column: 0 }]
+ */
+
+function assignPairs(scores, rows, columns) {
+  // The algorithm needs at most as many rows as columns, so a tall matrix is solved transposed.
+  const transposed = rows > columns;
+  const n = transposed ? columns : rows;
+  const m = transposed ? rows : columns;
+  // Maximizing the scores is minimizing their opposite.
+  const cost = transposed
+    ? (i, j) => -scores[j * columns + i]
+    : (i, j) => -scores[i * columns + j];
+
+  // The potentials of the rows and columns, and the row assigned to every column, all 1-based: column 0 is a sentinel.
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(m + 1);
+  const assigned = new Int32Array(m + 1);
+  const way = new Int32Array(m + 1);
+  for (let i = 1; i <= n; i++) {
+    assigned[0] = i;
+    let column = 0;
+    const minimums = new Float64Array(m + 1).fill(Infinity);
+    const used = new Uint8Array(m + 1);
+    do {
+      used[column] = 1;
+      const row = assigned[column];
+      let delta = Infinity;
+      let nextColumn = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) {
+          continue;
+        }
+        const reduced = cost(row - 1, j - 1) - u[row] - v[j];
+        if (reduced < minimums[j]) {
+          minimums[j] = reduced;
+          way[j] = column;
+        }
+        if (minimums[j] < delta) {
+          delta = minimums[j];
+          nextColumn = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[assigned[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minimums[j] -= delta;
+        }
+      }
+      column = nextColumn;
+    } while (assigned[column] !== 0);
+    // Flip the augmenting path.
+    do {
+      const previous = way[column];
+      assigned[column] = assigned[previous];
+      column = previous;
+    } while (column !== 0);
+  }
+
+  const pairs = [];
+  for (let j = 1; j <= m; j++) {
+    if (assigned[j] !== 0) {
+      pairs.push(
+        transposed
+          ? { row: j - 1, column: assigned[j] - 1 }
+          : { row: assigned[j] - 1, column: j - 1 },
+      );
+    }
+  }
+  return pairs.sort((a, b) => a.row - b.row);
+}
+
+export { assignPairs };
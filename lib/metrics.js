@@ -0,0 +1,211 @@
+import { dotProduct, norm } from "./vectors.js";
+
+/**
+ * The similarity metrics. Every metric is a similarity, so a higher score always means more alike:
+ *   - `"cosine"`: the cosine of the angle between the embeddings, from -1 to 1.
+ *   - `"dot"`: the dot product, which is the cosine for normalized embeddings but also weighs their lengths otherwise.
+ *   - `"euclidean"`: `1 / (1 + d)`, where `d` is the euclidean distance, from 0 (far apart) to 1 (identical).
+ *   - `"manhattan"`: `1 / (1 + d)`, where `d` is the manhattan (L1) distance, from 0 (far apart) to 1 (identical).
+ *
+ * @type {Array<string>}
+ */
+
+const METRICS = ["cosine", "dot", "euclidean", "manhattan"];
+
+/**
+ * Checks that a metric is known.
+ *
+ * @function
+ * @param {string} metric - The metric.
+ * @throws {Error} If the metric is not one of {@link METRICS}.
+ */
+
+function assertMetric(metric) {
+  if (!METRICS.includes(metric)) {
+    throw new Error(
+      `Unknown metric ${metric}, use ${METRICS.map((name) => `"${name}"`).join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Calculates the similarity of two embeddings of the same length.
+ *
+ * @function
+ * @param {Array<number>|Float32Array} a - The first embedding.
+ * @param {Array<number>|Float32Array} b - The second embedding.
+ * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [metric="cosine"] - The metric. See {@link METRICS}.
+ * @throws {Error} If the metric is unknown.
+ * @returns {number} The similarity.
+ */
+
+function calculateSimilarity(a, b, metric = "cosine") {
+  switch (metric) {
+    case "cosine":
+      return dotProduct(a, b) / (norm(a) * norm(b));
+    case "dot":
+      return dotProduct(a, b);
+    case "euclidean": {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - b[i]) * (a[i] - b[i]);
+      }
+      return 1 / (1 + Math.sqrt(sum));
+    }
+    case "manhattan": {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) {
+        sum += Math.abs(a[i] - b[i]);
+      }
+      return 1 / (1 + sum);
+    }
+    default:
+      assertMetric(metric);
+  }
+}
+
+/**
+ * Normalizes the calibration option into an object with a `method`.
+ *
+ * @function
+ * @param {string|Object} calibration - The calibration option. See {@link calibrateScores}.
+ * @throws {Error} If the calibration is unknown or its parameters are missing.
+ * @returns {{method: "minmax"|"linear"|"logistic", min?: number, max?: number, slope?: number, intercept?: number, percent: boolean}} The calibration.
+ */
+
+function normalizeCalibration(calibration) {
+  const options =
+    typeof calibration === "string" ? { method: calibration } : calibration;
+  const { method = "minmax", percent = false } = options;
+  if (method === "minmax") {
+    return { method, percent };
+  }
+  if (method === "linear") {
+    const { min, max } = options;
+    if (!(Number.isFinite(min) && Number.isFinite(max) && max > min)) {
+      throw new Error("linear calibration needs a min lower than its max");
+    }
+    return { method, min, max, percent };
+  }
+  if (method === "logistic") {
+    const { slope, intercept } = options;
+    if (!(Number.isFinite(slope) && Number.isFinite(intercept))) {
+      throw new Error("logistic calibration needs a slope and an intercept");
+    }
+    return { method, slope, intercept, percent };
+  }
+  throw new Error(
+    `Unknown calibration ${method}, use "minmax", "linear" or "logistic"`,
+  );
+}
+
+/**
+ * Adds a calibrated `confidence` to comparison results.
+ *
+ * Raw scores of a model often fall in a narrow band (e.g. 0.7 to 0.95 for gte-small), which makes thresholds hard to pick.
+ * The confidence maps them to 0–1, or to a percentage with `percent: true`:
+ *   - `"minmax"`: relative to the result set, so the best result gets 1 and the worst 0. It ranks, but doesn't compare
+ *     across queries.
+ *   - `{ method: "linear", min, max }`: a fixed range of raw scores, mapped to 0–1 and clamped.
+ *   - `{ method: "logistic", slope, intercept }`: `1 / (1 + exp(-(slope * alike + intercept)))`, e.g. fitted on labelled
+ *     pairs with {@link fitCalibration}, so the confidence estimates the probability of a match.
+ *
+ * @function
+ * @param {Array<{alike: number}>} results - The comparison results.
+ * @param {string|Object} [calibration] - The calibration. Nothing is added when it's missing.
+ * @throws {Error} If the calibration is invalid.
+ * @returns {Array<{alike: number, confidence: number}>} New results with their `confidence`, in the same order. `alike` is unchanged.
+ */
+
+function calibrateScores(results, calibration) {
+  if (!calibration) {
+    return results;
+  }
+  const { method, min, max, slope, intercept, percent } =
+    normalizeCalibration(calibration);
+  const scale = percent ? 100 : 1;
+
+  let map;
+  if (method === "minmax") {
+    const scores = results.map(({ alike }) => alike);
+    const lowest = Math.min(...scores);
+    const highest = Math.max(...scores);
+    // With a single score (or identical ones) every result is as good as the best one.
+    map = (alike) =>
+      highest > lowest ? (alike - lowest) / (highest - lowest) : 1;
+  } else if (method === "linear") {
+    map = (alike) => Math.min(Math.max((alike - min) / (max - min), 0), 1);
+  } else {
+    map = (alike) => 1 / (1 + Math.exp(-(slope * alike + intercept)));
+  }
+
+  return results.map((result) => ({
+    ...result,
+    confidence: map(result.alike) * scale,
+  }));
+}
+
+/**
+ * Fits a logistic calibration on labelled scores, e.g. the scores of pairs known to match or not.
+ *
+ * @function
+ * @param {Array<number>} scores - The raw similarity scores.
+ * @param {Array<boolean|number>} labels - Whether every pair is a match (`true` or 1) or not (`false` or 0).
+ * @param {Object} [options] - The fitting options.
+ * @param {number} [options.iterations=1000] - The number of gradient descent steps.
+ * @param {number} [options.learningRate=0.5] - The step size.
+ * @throws {Error} If the scores and labels don't have the same length, or don't have both matches and non-matches.
+ * @returns {{method: "logistic", slope: number, intercept: number}} The calibration, which can be passed as `calibration`.
+ *
+ * @example
+ * const calibration = fitCalibration([0.93, 0.91, 0.78, 0.74], [true, true, false, false]);
+ * const { array } = await vagueFinder.arrayInOrder(query, sentences, { calibration: { ...calibration, percent: true } });
+ */
+
+function fitCalibration(scores, labels, options = {}) {
+  const { iterations = 1000, learningRate = 0.5 } = options;
+  if (scores.length !== labels.length) {
+    throw new Error("There must be one label per score");
+  }
+  const targets = labels.map((label) => (label ? 1 : 0));
+  if (!targets.includes(0) || !targets.includes(1)) {
+    throw new Error("The labels must have both matches and non-matches");
+  }
+
+  // The scores are standardized so that the same learning rate works for any band of scores.
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const deviation =
+    Math.sqrt(
+      scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) /
+        scores.length,
+    ) || 1;
+  const standardized = scores.map((score) => (score - mean) / deviation);
+
+  let weight = 0;
+  let bias = 0;
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let weightGradient = 0;
+    let biasGradient = 0;
+    for (let i = 0; i < standardized.length; i++) {
+      const predicted = 1 / (1 + Math.exp(-(weight * standardized[i] + bias)));
+      weightGradient += (predicted - targets[i]) * standardized[i];
+      biasGradient += predicted - targets[i];
+    }
+    weight -= (learningRate * weightGradient) / standardized.length;
+    bias -= (learningRate * biasGradient) / standardized.length;
+  }
+
+  return {
+    method: "logistic",
+    slope: weight / deviation,
+    intercept: bias - (weight * mean) / deviation,
+  };
+}
+
+export {
+  METRICS,
+  assertMetric,
+  calculateSimilarity,
+  calibrateScores,
+  fitCalibration,
+};
@@ -0,0 +1,223 @@
+/**
+ * The built-in preprocessing steps, applied to every text before it's embedded:
+ *   - `"normalize"`: Unicode normalization, NFKC by default (`{ step: "normalize", form: "NFC" }` for another form), so
+ *     compatibility characters such as ligatures and full-width letters match their plain equivalents.
+ *   - `"lowercase"`: lowercases the text.
+ *   - `"stripHtml"`: removes tags, scripts, styles and comments, and decodes the common entities.
+ *   - `"stripEmoji"`: removes emoji.
+ *   - `"collapseWhitespace"`: trims the text and collapses every run of whitespace into one space.
+ *   - `"expandAbbreviations"`: replaces whole words with their expansion from a dictionary, e.g.
+ *     `{ step: "expandAbbreviations", dictionary: { pwd: "password" } }`. Matching ignores the case unless `caseSensitive` is set.
+ *
+ * @type {Array<string>}
+ */
+
+const PREPROCESSING_STEPS = [
+  "normalize",
+  "lowercase",
+  "stripHtml",
+  "stripEmoji",
+  "collapseWhitespace",
+  "expandAbbreviations",
+];
+
+/**
+ * The steps of `preprocess: true`. Abbreviations need a dictionary, so they are left out.
+ *
+ * @type {Array<string>}
+ */
+
+const DEFAULT_PREPROCESSING = [
+  "normalize",
+  "stripHtml",
+  "stripEmoji",
+  "lowercase",
+  "collapseWhitespace",
+];
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Removes the markup of an HTML text and decodes its entities.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @returns {string} The text without markup.
+ */
+
+function stripHtml(text) {
+  return text
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === "#") {
+        const code =
+          name[1] === "x" || name[1] === "X"
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Creates the function that expands the abbreviations of a dictionary.
+ *
+ * @function
+ * @param {Object<string, string>} dictionary - The expansion of every abbreviation.
+ * @param {boolean} caseSensitive - Whether the abbreviations must match with the same case.
+ * @throws {Error} If the dictionary is not an object of strings.
+ * @returns {function(string): string} The step.
+ */
+
+function createAbbreviationStep(dictionary, caseSensitive) {
+  if (
+    dictionary === null ||
+    typeof dictionary !== "object" ||
+    Object.values(dictionary).some((value) => typeof value !== "string")
+  ) {
+    throw new Error(
+      "expandAbbreviations needs a dictionary of strings, e.g. { pwd: 'password' }",
+    );
+  }
+  const expansions = new Map(
+    Object.entries(dictionary).map(([term, expansion]) => [
+      caseSensitive ? term : term.toLowerCase(),
+      expansion,
+    ]),
+  );
+  if (expansions.size === 0) {
+    return (text) => text;
+  }
+  // Longer terms first, so that "e.g." wins over "e".
+  const terms = [...expansions.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.join("|")})(?![\\p{L}\\p{N}])`,
+    caseSensitive ? "gu" : "giu",
+  );
+  return (text) =>
+    text.replace(pattern, (match) =>
+      expansions.get(caseSensitive ? match : match.toLowerCase()),
+    );
+}
+
+/**
+ * Creates the function of one preprocessing step.
+ *
+ * @function
+ * @param {string|function(string): string|Object} step - The name of a built-in step, a hook, or a built-in step with its options.
+ * @throws {Error} If the step is unknown or its options are invalid.
+ * @returns {function(string): string} The step.
+ */
+
+function createStep(step) {
+  if (typeof step === "function") {
+    return (text) => {
+      const result = step(text);
+      if (typeof result !== "string") {
+        throw new Error("A preprocessing hook must return a string");
+      }
+      return result;
+    };
+  }
+  const options = typeof step === "string" ? { step } : (step ?? {});
+  switch (options.step) {
+    case "normalize": {
+      const { form = "NFKC" } = options;
+      if (!["NFC", "NFD", "NFKC", "NFKD"].includes(form)) {
+        throw new Error(
+          `Unknown normalization form ${form}, use NFC, NFD, NFKC or NFKD`,
+        );
+      }
+      return (text) => text.normalize(form);
+    }
+    case "lowercase":
+      return (text) => text.toLowerCase();
+    case "stripHtml":
+      return stripHtml;
+    case "stripEmoji":
+      return (text) =>
+        text.replace(
+          /\p{Extended_Pictographic}|[\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u200D\uFE0F\u20E3]/gu,
+          "",
+        );
+    case "collapseWhitespace":
+      return (text) => text.trim().replace(/\s+/g, " ");
+    case "expandAbbreviations":
+      return createAbbreviationStep(
+        options.dictionary,
+        options.caseSensitive ?? false,
+      );
+    default:
+      throw new Error(
+        `Unknown preprocessing step ${options.step}, use ${PREPROCESSING_STEPS.map((name) => `"${name}"`).join(", ")} or a function`,
+      );
+  }
+}
+
+/**
+ * Creates the preprocessing pipeline of a model: the steps applied, in order, to every text before it's embedded.
+ *
+ * @function
+ * @param {boolean|Array<string|function(string): string|Object>|null} steps - The steps. See {@link PREPROCESSING_STEPS}.
+ *   `true` uses {@link DEFAULT_PREPROCESSING}, and `null` or `false` leaves the texts unchanged. A function is a custom hook
+ *   that receives the text and returns the new one.
+ * @throws {Error} If a step is unknown or its options are invalid.
+ * @returns {function(string): string} The pipeline.
+ *
+ * @example
+ * const preprocess = createPreprocessor([
+ *   "stripHtml",
+ *   "lowercase",
+ *   { step: "expandAbbreviations", dictionary: { pwd: "password", acct: "account" } },
+ *   "collapseWhitespace",
+ * ]);
+ * preprocess("<p>Reset my  PWD</p>"); // "reset my password"
+ */
+
+function createPreprocessor(steps) {
+  if (!steps) {
+    return (text) => text;
+  }
+  const list = steps === true ? DEFAULT_PREPROCESSING : steps;
+  if (!Array.isArray(list)) {
+    throw new Error("preprocess must be an array of steps");
+  }
+  const functions = list.map(createStep);
+  return (text) => functions.reduce((result, step) => step(result), text);
+}
+
+/**
+ * Describes a preprocessing pipeline as JSON, e.g. to record it next to stored embeddings. Custom hooks are described by
+ * their function name.
+ *
+ * @function
+ * @param {boolean|Array<string|function(string): string|Object>|null} steps - The steps, like in {@link createPreprocessor}.
+ * @returns {Array<string|Object>|null} The steps, with `"function:<name>"` for every hook, or null without preprocessing.
+ *
+ * @example
+ * describePreprocessing(["lowercase", function stem(text) { ... }]); // ["lowercase", "function:stem"]
+ */
+
+function describePreprocessing(steps) {
+  if (!steps) {
+    return null;
+  }
+  const list = steps === true ? DEFAULT_PREPROCESSING : steps;
+  return list.map((step) =>
+    typeof step === "function" ? `function:${step.name || "anonymous"}` : step,
+  );
+}
+
+export { PREPROCESSING_STEPS, createPreprocessor, describePreprocessing };
@@ -0,0 +1,174 @@
+/**
+ * Aggregates the raw progress payloads of transformers.js into structured model loading events.
+ *
+ * transformers.js reports every file (config, tokenizer, ONNX weights) separately, with `initiate`, `download`,
+ * `progress` and `done` payloads. An event combines them into the status of every file and the overall bytes and
+ * percentage, with one of these phases:
+ *   - `"initiate"`: a file was requested.
+ *   - `"download"`: a file is being downloaded or read, or is done.
+ *   - `"ready"`: the model is loaded. This is always the last event of a successful load.
+ *   - `"error"`: the model failed to load. This is always the last event of a failed load.
+ *
+ * @typedef {Object} ProgressEvent
+ * @property {"initiate"|"download"|"ready"|"error"} phase - The phase of the loading.
+ * @property {"model"|"reranker"} target - What is loading: the embedding model, or the reranker of `loadReranker`.
+ * @property {string|null} file - The file the event is about, if any.
+ * @property {Array<{file: string, status: "initiate"|"download"|"done", loaded: number, total: number, progress: number}>} files - The status of every file, in the order they were requested.
+ * @property {number} loaded - The number of bytes loaded across all files.
+ * @property {number} total - The number of bytes to load across all files, as far as they are known.
+ * @property {number} progress - The overall percentage, from 0 to 100.
+ * @property {string|null} error - The reason of the failure of an `"error"` event.
+ * @property {Object|null} raw - The raw transformers.js payload the event was built from.
+ */
+
+/**
+ * Creates a tracker that turns raw transformers.js payloads into {@link ProgressEvent}s.
+ *
+ * @function
+ * @param {"model"|"reranker"} [target="model"] - What the tracked load is about.
+ * @returns {{update: function(Object): (ProgressEvent|null), ready: function(): ProgressEvent, fail: function(string): ProgressEvent, reset: function(): void}}
+ *   `update` builds the event of a raw payload (or returns null for payloads that aren't about a file), `ready` and `fail`
+ *   build the final event of a load, and `reset` forgets the files of the previous load.
+ */
+
+function createProgressTracker(target = "model") {
+  let files = new Map();
+
+  const snapshot = (phase, file, error = null, raw = null) => {
+    const list = [...files.values()].map((entry) => ({ ...entry }));
+    const loaded = list.reduce((sum, entry) => sum + entry.loaded, 0);
+    const total = list.reduce((sum, entry) => sum + entry.total, 0);
+    const allDone =
+      list.length > 0 && list.every((entry) => entry.status === "done");
+    let progress = total > 0 ? (loaded / total) * 100 : 0;
+    if (phase === "ready" || allDone) {
+      progress = 100;
+    }
+    return {
+      phase,
+      target,
+      file,
+      files: list,
+      loaded,
+      total,
+      progress: Math.min(progress, 100),
+      error,
+      raw,
+    };
+  };
+
+  return {
+    update(data) {
+      if (!data || typeof data.file !== "string") {
+        return null;
+      }
+      const entry = files.get(data.file) ?? {
+        file: data.file,
+        status: "initiate",
+        loaded: 0,
+        total: 0,
+        progress: 0,
+      };
+      files.set(data.file, entry);
+
+      if (data.status === "initiate") {
+        return snapshot("initiate", data.file, null, data);
+      }
+      if (data.status === "progress") {
+        entry.status = "download";
+        entry.loaded = data.loaded ?? entry.loaded;
+        entry.total = data.total ?? entry.total;
+        entry.progress = data.progress ?? entry.progress;
+      } else if (data.status === "done") {
+        // Files read from the cache are done without any progress payload.
+        entry.status = "done";
+        entry.loaded = entry.total;
+        entry.progress = 100;
+      } else {
+        entry.status = "download";
+      }
+      return snapshot("download", data.file, null, data);
+    },
+    ready() {
+      return snapshot("ready", null);
+    },
+    fail(message) {
+      return snapshot("error", null, message);
+    },
+    reset() {
+      files = new Map();
+    },
+  };
+}
+
+/**
+ * Creates an emitter of {@link ProgressEvent}s, with both a listener and an async iterator API.
+ *
+ * @function
+ * @param {function(): boolean} isLoading - Returns whether a load is in progress.
+ * @returns {{emit: function(ProgressEvent): void, subscribe: function(function(ProgressEvent): void): function(): void, events: function(): AsyncGenerator<ProgressEvent>, last: function(): (ProgressEvent|null)}}
+ *   `emit` sends an event to every listener, `subscribe` adds a listener and returns a function that removes it, `events`
+ *   iterates over the events of the current load, and `last` returns the last emitted event.
+ */
+
+function createProgressEmitter(isLoading) {
+  const listeners = new Set();
+  let lastEvent = null;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  return {
+    emit(event) {
+      lastEvent = event;
+      for (const listener of [...listeners]) {
+        listener(event);
+      }
+    },
+    subscribe,
+    async *events() {
+      if (!isLoading()) {
+        // Nothing is loading, so the last event is the final state.
+        if (lastEvent) {
+          yield lastEvent;
+        }
+        return;
+      }
+
+      const queue = [];
+      let wake = null;
+      const unsubscribe = subscribe((event) => {
+        queue.push(event);
+        if (wake) {
+          wake();
+        }
+      });
+      try {
+        while (true) {
+          while (queue.length > 0) {
+            const event = queue.shift();
+            yield event;
+            if (event.phase === "ready" || event.phase === "error") {
+              return;
+            }
+          }
+          await new Promise((resolve) => {
+            wake = resolve;
+          });
+          wake = null;
+        }
+      } finally {
+        unsubscribe();
+      }
+    },
+    last() {
+      return lastEvent;
+    },
+  };
+}
+
+export { createProgressTracker, createProgressEmitter };
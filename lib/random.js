@@ -0,0 +1,20 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so that results built from the same seed are reproducible.
+ *
+ * @function
+ * @param {number} seed - The seed.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export { createRandom };
@@ -0,0 +1,105 @@
+/**
+ * Creates a function that scores (query, text) pairs with a cross-encoder loaded as a transformers.js text-classification
+ * pipeline, e.g. `Xenova/ms-marco-MiniLM-L-6-v2`.
+ *
+ * The pipeline itself only classifies single texts, so its tokenizer and model are called directly with the query as the
+ * first text and every candidate as the second one. A model with a single output (a relevance logit) is mapped to 0–1 with
+ * a sigmoid; a model with several labels gets the probability of its last label.
+ *
+ * @function
+ * @param {{tokenizer: function, model: function}} classifier - The text-classification pipeline.
+ * @returns {function(string, Array<string>): Promise<Array<number>>} A function that returns the score of every text for the query.
+ */
+
+function createCrossEncoderScorer(classifier) {
+  return async (query, texts) => {
+    const inputs = classifier.tokenizer(new Array(texts.length).fill(query), {
+      text_pair: texts,
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await classifier.model(inputs);
+    const labels = logits.dims[logits.dims.length - 1];
+    const scores = [];
+    for (let i = 0; i < texts.length; i++) {
+      const row = Array.from(logits.data.slice(i * labels, (i + 1) * labels));
+      if (labels === 1) {
+        scores.push(1 / (1 + Math.exp(-row[0])));
+      } else {
+        const highest = Math.max(...row);
+        const exponentials = row.map((logit) => Math.exp(logit - highest));
+        const sum = exponentials.reduce((total, value) => total + value, 0);
+        scores.push(exponentials[labels - 1] / sum);
+      }
+    }
+    return scores;
+  };
+}
+
+/**
+ * Normalizes the `rerank` option of a search.
+ *
+ * @function
+ * @param {boolean|{topN: number}} option - `true` for the defaults, or the options.
+ * @throws {Error} If `topN` is not a positive integer.
+ * @returns {{topN: number}} The options.
+ */
+
+function normalizeRerank(option) {
+  const { topN = 20 } = option === true ? {} : option;
+  if (!Number.isInteger(topN) || topN <= 0) {
+    throw new Error("rerank.topN must be a positive integer");
+  }
+  return { topN };
+}
+
+/**
+ * Returns the text a result is reranked on: the best passage of a document, or the matched text of a sentence or record.
+ *
+ * @function
+ * @param {{sentenceTwo: string, passage?: {text: string}}} result - The result.
+ * @returns {string} The text.
+ */
+
+function rerankText(result) {
+  return result.passage ? result.passage.text : result.sentenceTwo;
+}
+
+/**
+ * Rescores the first `topN` results of a search with a reranker, such as a cross-encoder, and sorts them again.
+ *
+ * A cross-encoder reads the query and the candidate together, which orders the best candidates better than comparing
+ * their embeddings, but is too slow to run on every candidate. Reranked results keep their previous score as
+ * `firstStageScore`, and get the reranker score as both `rerankScore` and `alike`. The other results follow, unchanged.
+ *
+ * @async
+ * @function
+ * @param {string} sentence - The query.
+ * @param {Array<{sentenceTwo: string, alike: number}>} results - The results of the first stage, in descending order of similarity.
+ * @param {function(string, Array<string>): (Array<number>|Promise<Array<number>>)} scorer - Returns the score of every text for the query.
+ * @param {number} topN - The number of results to rerank.
+ * @throws {Error} If the scorer doesn't return one score per text.
+ * @returns {Promise<Array<Object>>} The results, the reranked ones first in descending order of `rerankScore`.
+ */
+
+async function rerankResults(sentence, results, scorer, topN) {
+  const head = results.slice(0, topN);
+  if (head.length === 0) {
+    return results;
+  }
+  const scores = await scorer(sentence, head.map(rerankText));
+  if (!scores || scores.length !== head.length) {
+    throw new Error("The reranker must return one score per text");
+  }
+  const reranked = head
+    .map((result, i) => ({
+      ...result,
+      firstStageScore: result.alike,
+      rerankScore: Number(scores[i]),
+      alike: Number(scores[i]),
+    }))
+    .sort((a, b) => b.alike - a.alike);
+  return [...reranked, ...results.slice(topN)];
+}
+
+export { createCrossEncoderScorer, normalizeRerank, rerankResults };
@@ -0,0 +1,497 @@
+/**
+ * A small HTTP server around a finder, so services written in other languages can use semantic search.
+ *
+ * The corpus lives in memory, in a {@link VagueIndex}. Every request and response body is JSON and is described by
+ * a JSON schema in {@link SCHEMAS}; request bodies are validated against it.
+ */
+
+import http from "node:http";
+import { vagueFinder } from "../app.js";
+import { VagueIndex } from "./vague-index.js";
+import { METRICS } from "./metrics.js";
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: { error: { type: "string" } },
+  required: ["error"],
+};
+
+const ID_SCHEMA = { type: ["string", "number"] };
+
+const METRIC_SCHEMA = { type: "string", enum: METRICS };
+
+const RESULT_SCHEMA = {
+  type: "object",
+  properties: {
+    sentenceOne: { type: "string" },
+    array: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: ID_SCHEMA,
+          sentenceTwo: { type: "string" },
+          payload: {},
+          alike: { type: "number" },
+        },
+        required: ["id", "sentenceTwo", "payload", "alike"],
+      },
+    },
+  },
+  required: ["sentenceOne", "array"],
+};
+
+/**
+ * The JSON schemas of the request and response bodies of every endpoint, keyed by `"METHOD /path"`.
+ * Every error response has the `error` schema.
+ *
+ * @type {Object<string, {request?: Object, response: Object}>}
+ */
+
+const SCHEMAS = {
+  error: ERROR_SCHEMA,
+  "GET /health": {
+    response: {
+      type: "object",
+      properties: {
+        status: { enum: ["loading", "ready", "failed"] },
+        error: { type: ["string", "null"] },
+        progress: { type: ["object", "null"] },
+        items: { type: "integer" },
+      },
+      required: ["status", "error", "progress", "items"],
+    },
+  },
+  "POST /embed": {
+    request: {
+      type: "object",
+      properties: {
+        sentences: {
+          type: "array",
+          items: { type: "string" },
+          minItems: 1,
+        },
+      },
+      required: ["sentences"],
+      additionalProperties: false,
+    },
+    response: {
+      type: "object",
+      properties: {
+        dimension: { type: "integer" },
+        embeddings: {
+          type: "array",
+          items: { type: "array", items: { type: "number" } },
+        },
+      },
+      required: ["dimension", "embeddings"],
+    },
+  },
+  "POST /compare": {
+    request: {
+      type: "object",
+      properties: {
+        sentenceOne: { type: "string" },
+        sentenceTwo: { type: "string" },
+        metric: METRIC_SCHEMA,
+      },
+      required: ["sentenceOne", "sentenceTwo"],
+      additionalProperties: false,
+    },
+    response: {
+      type: "object",
+      properties: {
+        sentenceOne: { type: "string" },
+        sentenceTwo: { type: "string" },
+        alike: { type: "number" },
+      },
+      required: ["sentenceOne", "sentenceTwo", "alike"],
+    },
+  },
+  "POST /search": {
+    request: {
+      type: "object",
+      properties: {
+        query: { type: "string" },
+        topK: { type: "integer", minimum: 1 },
+        minScore: { type: "number" },
+        metric: METRIC_SCHEMA,
+      },
+      required: ["query"],
+      additionalProperties: false,
+    },
+    response: RESULT_SCHEMA,
+  },
+  "PUT /items": {
+    request: {
+      type: "object",
+      properties: {
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              id: ID_SCHEMA,
+              text: { type: "string", minLength: 1 },
+              payload: {},
+            },
+            required: ["id", "text"],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ["items"],
+      additionalProperties: false,
+    },
+    response: {
+      type: "object",
+      properties: {
+        added: { type: "integer" },
+        updated: { type: "integer" },
+        items: { type: "integer" },
+      },
+      required: ["added", "updated", "items"],
+    },
+  },
+  "DELETE /items": {
+    request: {
+      type: "object",
+      properties: {
+        ids: { type: "array", items: ID_SCHEMA },
+      },
+      required: ["ids"],
+      additionalProperties: false,
+    },
+    response: {
+      type: "object",
+      properties: {
+        removed: { type: "integer" },
+        items: { type: "integer" },
+      },
+      required: ["removed", "items"],
+    },
+  },
+  "GET /schemas": {
+    response: { type: "object" },
+  },
+};
+
+/**
+ * Returns the JSON schema type of a value.
+ *
+ * @function
+ * @param {*} value - The value.
+ * @returns {string} The type: "null", "array", "integer", "number", "string", "boolean" or "object".
+ */
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Validates a value against the subset of JSON schema used by {@link SCHEMAS}: `type`, `enum`, `properties`,
+ * `required`, `additionalProperties: false`, `items`, `minItems`, `minLength` and `minimum`.
+ *
+ * @function
+ * @param {Object} schema - The schema.
+ * @param {*} value - The value to validate.
+ * @param {string} [path="body"] - The path of the value, used in the error message.
+ * @returns {string|null} The reason why the value is invalid, or null if it's valid.
+ */
+
+function validate(schema, value, path = "body") {
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+    if (
+      !types.includes(type) &&
+      !(type === "integer" && types.includes("number"))
+    ) {
+      return `${path} must be of type ${types.join(" or ")}`;
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(", ")}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `${path} must be at least ${schema.minimum}`;
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return `${path} must have at least ${schema.minLength} characters`;
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${path} must have at least ${schema.minItems} items`;
+    }
+    if (schema.items !== undefined) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validate(schema.items, value[i], `${path}[${i}]`);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  } else if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) {
+        return `${path}.${key} is required`;
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        const error = validate(propertySchema, propertyValue, `${path}.${key}`);
+        if (error) {
+          return error;
+        }
+      } else if (schema.additionalProperties === false) {
+        return `${path}.${key} is not allowed`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Class representing an error that is sent to the client with an HTTP status code.
+ */
+class HttpError extends Error {
+  /**
+   * Create an HttpError.
+   * @param {number} status - The HTTP status code.
+   * @param {string} message - The message sent in the `error` property of the response.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * Asynchronously reads and parses the JSON body of a request.
+ *
+ * @async
+ * @function
+ * @param {http.IncomingMessage} request - The request.
+ * @param {number} maxBodySize - The maximum size of the body, in bytes.
+ * @throws {HttpError} 413 if the body is too large, 400 if it's not valid JSON.
+ * @returns {Promise<*>} The parsed body.
+ */
+
+async function readJsonBody(request, maxBodySize) {
+  if (Number(request.headers["content-length"]) > maxBodySize) {
+    throw new HttpError(413, `The body is larger than ${maxBodySize} bytes`);
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      throw new HttpError(413, `The body is larger than ${maxBodySize} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    throw new HttpError(400, `The body is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Creates an HTTP search server around a finder. The model starts loading right away; `GET /health` reports when it's ready.
+ *
+ * Endpoints:
+ *   - `GET /health`: the model load status, the last progress payload of `getProgress()` and the size of the corpus.
+ *   - `POST /embed`: the embeddings of `sentences`.
+ *   - `POST /compare`: how alike `sentenceOne` and `sentenceTwo` are.
+ *   - `POST /search`: the items of the corpus most similar to `query`, limited by `topK` and `minScore`.
+ *   - `PUT /items`: adds the `items` of the corpus, or updates the ones whose `id` already exists.
+ *   - `DELETE /items`: removes the items whose id is in `ids`.
+ *   - `GET /schemas`: {@link SCHEMAS}.
+ *
+ * Requests that need the model get a 503 until it's loaded. The work of a request is aborted when its client disconnects.
+ *
+ * @function
+ * @param {Object} [options] - The server options.
+ * @param {Object} [options.finder=vagueFinder] - The finder, e.g. one created by `createVagueFinder`.
+ * @param {Object} [options.modelOptions] - The options passed to the `loadModel` of the finder, e.g. `{ embedder }` in tests.
+ * @param {number} [options.maxBodySize=1048576] - The maximum size of a request body, in bytes. Larger requests get a 413.
+ * @returns {{server: http.Server, index: VagueIndex, listen: function(number=, string=): Promise<string>, close: function(): Promise<void>}}
+ *   The Node server, the index holding the corpus, `listen(port = 0, host = "127.0.0.1")` which resolves to the URL of the server,
+ *   and `close()`.
+ *
+ * @example
+ * const { listen } = createSearchServer({ modelOptions: { model: "./models/gte-small" } });
+ * const url = await listen(8080);
+ * // curl -X PUT $url/items -d '{"items": [{"id": 1, "text": "How do I reset my password?"}]}'
+ */
+
+function createSearchServer(options = {}) {
+  const {
+    finder = vagueFinder,
+    modelOptions = {},
+    maxBodySize = DEFAULT_MAX_BODY_SIZE,
+  } = options;
+  const index = new VagueIndex(finder);
+  let status = "loading";
+  let loadError = null;
+
+  finder.loadModel(modelOptions).then(
+    () => {
+      status = "ready";
+    },
+    (error) => {
+      status = "failed";
+      loadError = error.message;
+    },
+  );
+
+  const assertReady = () => {
+    if (status !== "ready") {
+      throw new HttpError(
+        503,
+        status === "failed"
+          ? `The model failed to load: ${loadError}`
+          : "The model is still loading",
+      );
+    }
+  };
+
+  const handlers = {
+    "GET /health": async () => ({
+      status,
+      error: loadError,
+      progress: finder.getProgress() ?? null,
+      items: index.size,
+    }),
+    "GET /schemas": async () => SCHEMAS,
+    "POST /embed": async ({ sentences }, signal) => {
+      assertReady();
+      const cached = await finder.getCached(sentences, { signal });
+      const embeddings = cached.map(({ embedding }) => Array.from(embedding));
+      return { dimension: embeddings[0].length, embeddings };
+    },
+    "POST /compare": async ({ sentenceOne, sentenceTwo, metric }, signal) => {
+      assertReady();
+      return finder.compareTwoSentences(sentenceOne, sentenceTwo, {
+        metric,
+        signal,
+      });
+    },
+    "POST /search": async ({ query, topK, minScore, metric }, signal) => {
+      assertReady();
+      return index.search(query, { topK, minScore, metric, signal });
+    },
+    "PUT /items": async ({ items }, signal) => {
+      assertReady();
+      const ids = new Set();
+      for (const { id } of items) {
+        if (ids.has(id)) {
+          throw new HttpError(400, `The id ${id} is used twice`);
+        }
+        ids.add(id);
+      }
+      const added = items.filter(({ id }) => !index.has(id));
+      const updated = items.filter(({ id }) => index.has(id));
+      await index.addMany(added, { signal });
+      for (const { id, ...changes } of updated) {
+        await index.update(id, changes);
+      }
+      return {
+        added: added.length,
+        updated: updated.length,
+        items: index.size,
+      };
+    },
+    "DELETE /items": async ({ ids }) => {
+      const removed = ids.filter((id) => index.remove(id)).length;
+      return { removed, items: index.size };
+    },
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const send = (statusCode, body) => {
+      const json = JSON.stringify(body);
+      response.writeHead(statusCode, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": Buffer.byteLength(json),
+      });
+      response.end(json);
+    };
+
+    // Stop the work of a request whose client went away.
+    const controller = new AbortController();
+    response.once("close", () => {
+      if (!response.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    try {
+      const { pathname } = new URL(request.url, "http://localhost");
+      const route = `${request.method} ${pathname}`;
+      const handler = handlers[route];
+      if (!handler) {
+        const methods = Object.keys(handlers)
+          .filter((key) => key.endsWith(` ${pathname}`))
+          .map((key) => key.split(" ")[0]);
+        if (methods.length > 0) {
+          response.setHeader("Allow", methods.join(", "));
+          throw new HttpError(405, `${request.method} is not allowed`);
+        }
+        throw new HttpError(404, `There is no endpoint ${pathname}`);
+      }
+
+      const requestSchema = SCHEMAS[route].request;
+      let body = null;
+      if (requestSchema) {
+        body = await readJsonBody(request, maxBodySize);
+        const error = validate(requestSchema, body);
+        if (error) {
+          throw new HttpError(400, error);
+        }
+      }
+      send(200, await handler(body, controller.signal));
+    } catch (error) {
+      if (error.status === 413) {
+        // Stop receiving the rest of the body.
+        response.setHeader("Connection", "close");
+        response.once("finish", () => request.destroy());
+      }
+      send(error.status ?? 500, { error: error.message });
+    }
+  });
+
+  const listen = (port = 0, host = "127.0.0.1") =>
+    new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.off("error", reject);
+        const address = server.address();
+        resolve(`http://${host}:${address.port}`);
+      });
+    });
+
+  const close = () =>
+    new Promise((resolve, reject) => {
+      server.close((error) => (error ? reject(error) : resolve()));
+      server.closeAllConnections();
+    });
+
+  return { server, index, listen, close };
+}
+
+export { createSearchServer, SCHEMAS, validate };
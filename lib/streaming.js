@@ -0,0 +1,115 @@
+/**
+ * Reading the candidates of a search from async iterables and streams, so they never have to be in memory all at once.
+ */
+
+/**
+ * Checks whether a value is a source of candidates to stream, rather than an array.
+ *
+ * @function
+ * @param {*} value - The value.
+ * @returns {boolean} `true` for async iterables (including Node readable streams), web `ReadableStream`s and
+ *   iterables that aren't arrays or strings (e.g. generators).
+ */
+
+function isStreamSource(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return false;
+  }
+  return (
+    typeof value[Symbol.asyncIterator] === "function" ||
+    typeof value[Symbol.iterator] === "function" ||
+    typeof value.getReader === "function"
+  );
+}
+
+/**
+ * Iterates over the chunks of a source.
+ *
+ * @async
+ * @generator
+ * @function
+ * @param {AsyncIterable<*>|Iterable<*>|ReadableStream} source - The source.
+ * @yields {*} The chunks.
+ */
+
+async function* iterateChunks(source) {
+  if (
+    typeof source[Symbol.asyncIterator] === "function" ||
+    typeof source[Symbol.iterator] === "function"
+  ) {
+    yield* source;
+    return;
+  }
+  const reader = source.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Iterates over the candidates of a source.
+ *
+ * Byte chunks, the chunks of a Node stream that isn't in object mode and the string chunks of a web `ReadableStream`
+ * (e.g. the output of a `TextDecoderStream`) are text: they are split into lines and every non-empty line is a sentence.
+ * Any other chunk (a string of an iterable, a cached item, a record) is a candidate as is, so sentences that contain line
+ * breaks can be streamed one by one from a generator or a Node stream in object mode.
+ *
+ * @async
+ * @generator
+ * @function
+ * @param {AsyncIterable<*>|Iterable<*>|ReadableStream} source - The source.
+ * @yields {string|Object} The candidates.
+ *
+ * @example
+ * for await (const line of readItems(fs.createReadStream("sentences.txt"))) {
+ *   console.log(line);
+ * }
+ */
+
+async function* readItems(source) {
+  const isTextStream = source.readableObjectMode === false;
+  const isWebStream = typeof source.getReader === "function";
+  let decoder = null;
+  let rest = "";
+
+  for await (const chunk of iterateChunks(source)) {
+    const isText =
+      isTextStream ||
+      chunk instanceof Uint8Array ||
+      (isWebStream && typeof chunk === "string");
+    if (!isText) {
+      yield chunk;
+      continue;
+    }
+    decoder ??= new TextDecoder();
+    const text =
+      rest +
+      (typeof chunk === "string"
+        ? chunk
+        : decoder.decode(chunk, { stream: true }));
+    const lines = text.split(/\r?\n/);
+    rest = lines.pop();
+    for (const line of lines) {
+      if (line.trim() !== "") {
+        yield line;
+      }
+    }
+  }
+
+  if (decoder) {
+    rest += decoder.decode();
+  }
+  if (rest.trim() !== "") {
+    yield rest;
+  }
+}
+
+export { isStreamSource, readItems };
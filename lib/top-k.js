@@ -0,0 +1,66 @@
+import { BinaryHeap } from "./binary-heap.js";
+
+/**
+ * Class representing the selection of the k results with the highest `alike` score.
+ *
+ * The results are kept in a min-heap of size k, so adding a result is O(log k) and the memory never exceeds k results,
+ * however many are added. When two results have the same score, the one added last ranks first.
+ */
+class TopK {
+  _heap = null;
+  _k = 0;
+  _added = 0;
+
+  /**
+   * Create a TopK.
+   * @param {number} k - The number of results to keep.
+   */
+  constructor(k) {
+    this._k = k;
+    // The worst kept result is at the top of the heap, so it's the one that gets replaced.
+    this._heap = new BinaryHeap((a, b) =>
+      a.result.alike !== b.result.alike
+        ? a.result.alike - b.result.alike
+        : a.order - b.order,
+    );
+  }
+
+  /**
+   * The number of kept results.
+   * @type {number}
+   */
+  get size() {
+    return this._heap.size;
+  }
+
+  /**
+   * Add a result, if it's among the k best so far.
+   * @param {{alike: number}} result - The result.
+   */
+  add(result) {
+    const entry = { result, order: this._added++ };
+    if (this._heap.size < this._k) {
+      this._heap.push(entry);
+    } else if (
+      this._k > 0 &&
+      this._heap.size > 0 &&
+      this._heap.peek().result.alike <= result.alike
+    ) {
+      this._heap.pop();
+      this._heap.push(entry);
+    }
+  }
+
+  /**
+   * Get the kept results.
+   * @return {Array<Object>} The results, in descending order of `alike`.
+   */
+  toArray() {
+    return this._heap
+      .toArray()
+      .sort((a, b) => b.result.alike - a.result.alike || b.order - a.order)
+      .map(({ result }) => result);
+  }
+}
+
+export { TopK };
@@ -0,0 +1,128 @@
+/**
+ * Sending the arguments of a call to the worker.
+ *
+ * Messages are copied with the structured clone algorithm, which keeps plain data only: class instances arrive as
+ * plain objects without their methods, and functions, streams and iterators can't be copied at all. The indexes are
+ * packed into plain data here and rebuilt on the other side; what can't be sent is rejected before the call is made.
+ */
+
+import { HnswIndex } from "./hnsw.js";
+import { QuantizedIndex } from "./quantization.js";
+
+const PACKED = "$findvagueIndex";
+
+/**
+ * Checks that a value is a plain object, the only objects whose properties are packed too.
+ *
+ * @function
+ * @param {*} value - The value.
+ * @returns {boolean} Whether `value` is an object literal.
+ */
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Packs a value so that it can be sent to the worker.
+ *
+ * @function
+ * @param {*} value - The value.
+ * @param {string} path - Where the value is, for the error messages.
+ * @throws {Error} If the value is a function, a stream or an iterator.
+ * @returns {*} The value, with its indexes packed.
+ */
+
+function packValue(value, path) {
+  if (value instanceof HnswIndex) {
+    // The shared embeddings of the index and of the cached array are copied once.
+    return { [PACKED]: "hnsw", graph: value.toJSON(), vectors: value._vectors };
+  }
+  if (value instanceof QuantizedIndex) {
+    return { [PACKED]: "quantized", state: { ...value } };
+  }
+  if (typeof value === "function") {
+    throw new Error(`${path} is a function, which can't be sent to a worker`);
+  }
+  if (
+    value !== null &&
+    typeof value === "object" &&
+    (typeof value[Symbol.asyncIterator] === "function" ||
+      typeof value.getReader === "function" ||
+      typeof value.next === "function")
+  ) {
+    throw new Error(
+      `${path} is a stream or an iterator, which can't be sent to a worker: read it into an array first`,
+    );
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, property]) => [
+        key,
+        packValue(property, `${path}.${key}`),
+      ]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Rebuilds a value packed by {@link packValue}.
+ *
+ * @function
+ * @param {*} value - The packed value.
+ * @returns {*} The value, with its indexes rebuilt.
+ */
+
+function unpackValue(value) {
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  if (value[PACKED] === "hnsw") {
+    return HnswIndex.fromJSON(value.graph, value.vectors);
+  }
+  if (value[PACKED] === "quantized") {
+    return Object.assign(new QuantizedIndex(value.state), value.state);
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, property]) => [
+      key,
+      unpackValue(property),
+    ]),
+  );
+}
+
+/**
+ * Packs the arguments of a call to the worker. `HnswIndex` and `QuantizedIndex` instances, as arguments or in the
+ * properties of plain object arguments (options, datasets), are packed into plain data.
+ *
+ * @function
+ * @param {string} method - The name of the called method, for the error messages.
+ * @param {Array<*>} args - The arguments.
+ * @throws {Error} If an argument is, or holds, a function, a stream or an iterator.
+ * @returns {Array<*>} The arguments to send.
+ */
+
+function packArgs(method, args) {
+  return args.map((arg, position) =>
+    packValue(arg, `Argument ${position + 1} of ${method}`),
+  );
+}
+
+/**
+ * Rebuilds the arguments packed by {@link packArgs}.
+ *
+ * @function
+ * @param {Array<*>} args - The received arguments.
+ * @returns {Array<*>} The arguments, with their indexes rebuilt.
+ */
+
+function unpackArgs(args) {
+  return args.map(unpackValue);
+}
+
+export { packArgs, unpackArgs };
@@ -0,0 +1,232 @@
+/**
+ * Class representing a mutable, in-memory search index.
+ *
+ * Every item has a stable id, a text and an arbitrary payload. Embeddings are only computed for texts that are
+ * new to the index, so adding, updating and removing items doesn't require re-embedding the rest of the corpus.
+ *
+ * @example
+ * const index = new VagueIndex(vagueFinder);
+ * await index.addMany([
+ *   { id: 1, text: "How do I reset my password?", payload: { url: "/faq/password" } },
+ *   { id: 2, text: "Where can I see my invoices?", payload: { url: "/faq/invoices" } },
+ * ]);
+ * const { array } = await index.search("forgot password", { topK: 1 });
+ */
+class VagueIndex {
+  _finder = null;
+  _items = new Map();
+
+  /**
+   * Create a VagueIndex.
+   * @param {Object} finder - The finder used to compute the embeddings, e.g. `vagueFinder` or one created by `createVagueFinder`. Its model must be loaded before items are added.
+   */
+  constructor(finder) {
+    if (!finder || typeof finder.getCached !== "function") {
+      throw new Error("VagueIndex needs a finder, e.g. vagueFinder");
+    }
+    this._finder = finder;
+  }
+
+  /**
+   * The number of items in the index.
+   * @type {number}
+   */
+  get size() {
+    return this._items.size;
+  }
+
+  /**
+   * Check whether an item is in the index.
+   * @param {*} id - The id of the item.
+   * @return {boolean} `true` if the index has an item with this id.
+   */
+  has(id) {
+    return this._items.has(id);
+  }
+
+  /**
+   * Get an item of the index.
+   * @param {*} id - The id of the item.
+   * @return {{id: *, text: string, payload: *}|undefined} The item, or `undefined` if the index has no item with this id.
+   */
+  get(id) {
+    const item = this._items.get(id);
+    return item
+      ? { id: item.id, text: item.text, payload: item.payload }
+      : undefined;
+  }
+
+  /**
+   * Add an item to the index.
+   * @param {*} id - The stable id of the item.
+   * @param {string} text - The text that is searched.
+   * @param {*} [payload] - Any data to return with the item in search results.
+   * @return {Promise<void>}
+   * @throws {Error} If the index already has an item with this id.
+   */
+  async add(id, text, payload = null) {
+    await this.addMany([{ id, text, payload }]);
+  }
+
+  /**
+   * Add several items to the index. The new texts are embedded together, in batches.
+   * @param {Array<{id: *, text: string, payload: *}>} items - The items to add.
+   * @param {Object} [options] - The batching options passed to `getCached`.
+   * @return {Promise<void>}
+   * @throws {Error} If the index already has an item with one of the ids, or if an id is used twice.
+   */
+  async addMany(items, options = {}) {
+    const ids = new Set();
+    for (const { id, text } of items) {
+      if (this._items.has(id) || ids.has(id)) {
+        throw new Error(`An item with the id ${id} already exists`);
+      }
+      this._assertText(text);
+      ids.add(id);
+    }
+
+    const embeddings = await this._embed(
+      items.map(({ text }) => text),
+      options,
+    );
+    for (const { id, text, payload = null } of items) {
+      this._items.set(id, {
+        id,
+        text,
+        payload,
+        embedding: embeddings.get(text),
+      });
+    }
+  }
+
+  /**
+   * Update the text and/or payload of an item. The text is only embedded again if it changed.
+   * @param {*} id - The id of the item.
+   * @param {{text: string, payload: *}} changes - The new text and/or payload. Missing properties are left unchanged.
+   * @return {Promise<void>}
+   * @throws {Error} If the index has no item with this id.
+   */
+  async update(id, changes) {
+    const item = this._items.get(id);
+    if (!item) {
+      throw new Error(`There is no item with the id ${id}`);
+    }
+
+    const updated = { ...item };
+    if ("payload" in changes) {
+      updated.payload = changes.payload;
+    }
+    if ("text" in changes && changes.text !== item.text) {
+      this._assertText(changes.text);
+      const embeddings = await this._embed([changes.text]);
+      updated.text = changes.text;
+      updated.embedding = embeddings.get(changes.text);
+    }
+
+    // The item may have been removed while its text was being embedded.
+    if (this._items.has(id)) {
+      this._items.set(id, updated);
+    }
+  }
+
+  /**
+   * Remove an item from the index.
+   * @param {*} id - The id of the item.
+   * @return {boolean} `true` if an item was removed.
+   */
+  remove(id) {
+    return this._items.delete(id);
+  }
+
+  /**
+   * Search the index.
+   * @param {string} query - The sentence to search for.
+   * @param {Object} [options] - The search options.
+   * @param {number} [options.topK=Infinity] - The maximum number of results.
+   * @param {number} [options.minScore=-Infinity] - The minimum similarity score of a result.
+   * @param {"cosine"|"dot"|"euclidean"|"manhattan"} [options.metric="cosine"] - The similarity metric.
+   * @param {string|Object} [options.calibration] - Adds a calibrated `confidence` to every result, computed over the whole index before `topK` and `minScore` apply.
+   * @param {AbortSignal} [options.signal] - Aborts the search.
+   * @param {number} [options.timeout] - Aborts the search after this many milliseconds.
+   * @return {Promise<{sentenceOne: string, array: Array<{id: *, sentenceTwo: string, payload: *, alike: number, confidence?: number}>}>} The query and the matching items, in descending order of similarity.
+   */
+  async search(query, options = {}) {
+    const {
+      topK = Infinity,
+      minScore = -Infinity,
+      metric,
+      calibration,
+      signal,
+      timeout,
+    } = options;
+    if (topK <= 0) {
+      throw new Error("topK is either 0 or less than 0");
+    }
+
+    const items = [...this._items.values()];
+    const { array } = await this._finder.cachedCompareSentenceToArray(
+      query,
+      items.map(({ text, embedding }) => ({ sentenceTwo: text, embedding })),
+      { metric, calibration, signal, timeout },
+    );
+
+    const results = [];
+    for (let i = 0; i < items.length; i++) {
+      if (array[i].alike >= minScore) {
+        const { id, text, payload } = items[i];
+        const { alike, confidence } = array[i];
+        results.push({
+          id,
+          sentenceTwo: text,
+          payload,
+          alike,
+          ...(confidence !== undefined && { confidence }),
+        });
+      }
+    }
+    results.sort((a, b) => b.alike - a.alike);
+
+    return {
+      sentenceOne: query,
+      array: results.slice(0, topK),
+    };
+  }
+
+  /**
+   * Get the embeddings of texts, reusing the ones already in the index.
+   * @param {Array<string>} texts - The texts to embed.
+   * @param {Object} [options] - The batching options passed to `getCached`.
+   * @return {Promise<Map<string, Array<number>>>} The embedding of every text.
+   * @private
+   */
+  async _embed(texts, options = {}) {
+    const embeddings = new Map();
+    for (const item of this._items.values()) {
+      embeddings.set(item.text, item.embedding);
+    }
+
+    const missing = [...new Set(texts)].filter((text) => !embeddings.has(text));
+    if (missing.length > 0) {
+      const cached = await this._finder.getCached(missing, options);
+      for (const { sentenceTwo, embedding } of cached) {
+        embeddings.set(sentenceTwo, embedding);
+      }
+    }
+
+    return embeddings;
+  }
+
+  /**
+   * Check that the text of an item is a string.
+   * @param {*} text - The text of the item.
+   * @throws {Error} If the text is not a non-empty string.
+   * @private
+   */
+  _assertText(text) {
+    if (typeof text !== "string" || text.length === 0) {
+      throw new Error("The text of an item must be a non-empty string");
+    }
+  }
+}
+
+export { VagueIndex };
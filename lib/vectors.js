@@ -0,0 +1,89 @@
+/**
+ * Calculates the dot product of two vectors of the same length.
+ *
+ * @function
+ * @param {Array<number>|Float32Array} a - The first vector.
+ * @param {Array<number>|Float32Array} b - The second vector.
+ * @returns {number} The dot product.
+ */
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Calculates the euclidean norm of a vector.
+ *
+ * @function
+ * @param {Array<number>|Float32Array} vector - The vector.
+ * @returns {number} The norm.
+ */
+
+function norm(vector) {
+  return Math.sqrt(dotProduct(vector, vector));
+}
+
+/**
+ * Scales a vector to unit length, so that the dot product of two normalized vectors is their cosine similarity.
+ *
+ * @function
+ * @param {Array<number>|Float32Array} vector - The vector.
+ * @returns {Float32Array} The normalized copy of the vector. A zero vector stays zero.
+ */
+
+function normalizeVector(vector) {
+  const length = norm(vector);
+  const normalized = new Float32Array(vector.length);
+  if (length > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      normalized[i] = vector[i] / length;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes vectors and packs them one after the other into a single typed array.
+ *
+ * Comparing rows of one contiguous array is several times faster than comparing separate arrays,
+ * which matters for all-pairs comparisons.
+ *
+ * @function
+ * @param {Array<Array<number>|Float32Array>} vectors - The vectors, all of the same length.
+ * @returns {{data: Float32Array, dimension: number, count: number}} The packed, normalized vectors.
+ */
+
+function packNormalized(vectors) {
+  const dimension = vectors.length > 0 ? vectors[0].length : 0;
+  const data = new Float32Array(vectors.length * dimension);
+  vectors.forEach((vector, i) => {
+    data.set(normalizeVector(vector), i * dimension);
+  });
+  return { data, dimension, count: vectors.length };
+}
+
+/**
+ * Calculates the dot product of two rows of packed vectors.
+ *
+ * @function
+ * @param {{data: Float32Array, dimension: number}} packed - The packed vectors. See {@link packNormalized}.
+ * @param {number} a - The index of the first row.
+ * @param {number} b - The index of the second row.
+ * @returns {number} The dot product, i.e. the cosine similarity when the rows are normalized.
+ */
+
+function rowDotProduct({ data, dimension }, a, b) {
+  const offsetA = a * dimension;
+  const offsetB = b * dimension;
+  let sum = 0;
+  for (let i = 0; i < dimension; i++) {
+    sum += data[offsetA + i] * data[offsetB + i];
+  }
+  return sum;
+}
+
+export { dotProduct, norm, normalizeVector, packNormalized, rowDotProduct };
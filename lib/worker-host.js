@@ -0,0 +1,120 @@
+/**
+ * The worker side of the worker mode. See `worker.js` for the main thread side and the message protocol.
+ *
+ * This script runs as a Node `worker_threads` worker or as a module Web Worker. It hosts a finder, so the model and
+ * every inference run off the main thread, and answers the calls it receives.
+ */
+
+import { createVagueFinder } from "../app.js";
+import { unpackArgs } from "./transfer.js";
+
+/**
+ * Gets the messaging functions of the current worker environment.
+ *
+ * @async
+ * @function
+ * @returns {Promise<{post: function(Object): void, listen: function(function(Object): void): void}>} The functions to send messages to, and receive messages from, the main thread.
+ */
+
+async function getPort() {
+  if (typeof self !== "undefined" && typeof self.postMessage === "function") {
+    return {
+      post: (message) => self.postMessage(message),
+      listen: (handler) => {
+        self.onmessage = (event) => handler(event.data);
+      },
+    };
+  }
+  const { parentPort } = await import("node:worker_threads");
+  return {
+    post: (message) => parentPort.postMessage(message),
+    listen: (handler) => parentPort.on("message", handler),
+  };
+}
+
+/**
+ * Converts an error into a message that can be sent to the main thread.
+ *
+ * @function
+ * @param {*} error - The error.
+ * @returns {{name: string, message: string, stack: string}} The serialized error.
+ */
+
+function serializeError(error) {
+  return {
+    name: error?.name ?? "Error",
+    message: error?.message ?? String(error),
+    stack: error?.stack ?? "",
+  };
+}
+
+const { post, listen } = await getPort();
+let finder = null;
+const controllers = new Map();
+
+listen(async (message) => {
+  if (message.type === "init") {
+    try {
+      const config = { ...message.config };
+      if (config.embedderModule) {
+        // Functions can't be sent to a worker, so a custom embedder is imported from a module instead.
+        const module = await import(config.embedderModule);
+        config.embedder = module.default;
+        if (
+          config.embedderId === undefined &&
+          module.embedderId !== undefined
+        ) {
+          config.embedderId = module.embedderId;
+        }
+        delete config.embedderModule;
+      }
+      finder = createVagueFinder({
+        ...config,
+        onProgress: (data) => post({ type: "progress", data }),
+      });
+      finder.subscribeProgress((event) =>
+        post({ type: "progressEvent", event }),
+      );
+      post({ type: "ready", methods: Object.keys(finder) });
+    } catch (error) {
+      post({ type: "initError", error: serializeError(error) });
+    }
+    return;
+  }
+
+  if (message.type === "abort") {
+    controllers.get(message.id)?.abort();
+    return;
+  }
+
+  if (message.type === "call") {
+    const { id, method, withBatchProgress, withSignal } = message;
+    try {
+      const args = unpackArgs(message.args);
+      const options = args[args.length - 1];
+      if (withBatchProgress) {
+        options.onProgress = (data) =>
+          post({ type: "batchProgress", id, data });
+      }
+      if (withSignal) {
+        const controller = new AbortController();
+        controllers.set(id, controller);
+        options.signal = controller.signal;
+      }
+      let result = await finder[method](...args);
+      if (method === "getModelOptions") {
+        // Functions (a custom embedder, callbacks) can't be sent back to the main thread.
+        result = Object.fromEntries(
+          Object.entries(result).filter(
+            ([, value]) => typeof value !== "function",
+          ),
+        );
+      }
+      post({ type: "result", id, result });
+    } catch (error) {
+      post({ type: "error", id, error: serializeError(error) });
+    } finally {
+      controllers.delete(id);
+    }
+  }
+});
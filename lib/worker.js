@@ -0,0 +1,266 @@
+/**
+ * The main thread side of the worker mode.
+ *
+ * The finder runs in a worker (Node `worker_threads`, or a module Web Worker in browsers) so that loading the model
+ * and computing embeddings never block the calling thread. Messages between both sides:
+ *
+ * Main thread to worker:
+ *   - `{type: "init", config}`: create the finder with `config`.
+ *   - `{type: "call", id, method, args, withBatchProgress, withSignal}`: call a finder method. `id` correlates the answer.
+ *   - `{type: "abort", id}`: abort a call that was made `withSignal`.
+ *
+ * Worker to main thread:
+ *   - `{type: "ready", methods}` / `{type: "initError", error}`: the finder was created, with the names of its methods, or not.
+ *   - `{type: "result", id, result}` / `{type: "error", id, error}`: the answer to a call.
+ *   - `{type: "progress", data}`: a model loading progress payload.
+ *   - `{type: "progressEvent", event}`: a structured model loading progress event.
+ *   - `{type: "batchProgress", id, data}`: the batch progress of a call whose options had an `onProgress` callback.
+ */
+
+import { createProgressEmitter } from "./progress.js";
+import { AbortError, throwIfAborted, toAbortError } from "./abort.js";
+import { packArgs } from "./transfer.js";
+
+const WORKER_URL = new URL("./worker-host.js", import.meta.url);
+
+/**
+ * Starts the worker in the current environment.
+ *
+ * @async
+ * @function
+ * @returns {Promise<{post: function(Object): void, listen: function(function(Object): void, function(Error): void): void, terminate: function(): Promise<void>}>} The functions to talk to the worker.
+ */
+
+async function startWorker() {
+  if (typeof Worker !== "undefined") {
+    const worker = new Worker(WORKER_URL, { type: "module" });
+    return {
+      post: (message) => worker.postMessage(message),
+      listen: (onMessage, onError) => {
+        worker.onmessage = (event) => onMessage(event.data);
+        worker.onerror = (event) =>
+          onError(new Error(event.message ?? "The worker failed"));
+      },
+      terminate: async () => worker.terminate(),
+    };
+  }
+
+  const { Worker: NodeWorker } = await import("node:worker_threads");
+  const worker = new NodeWorker(WORKER_URL);
+  return {
+    post: (message) => worker.postMessage(message),
+    listen: (onMessage, onError) => {
+      worker.on("message", onMessage);
+      worker.on("error", onError);
+      worker.on("exit", (code) =>
+        onError(new Error(`The worker stopped with exit code ${code}`)),
+      );
+    },
+    terminate: async () => {
+      await worker.terminate();
+    },
+  };
+}
+
+/**
+ * Converts an error received from the worker back into an `Error`.
+ *
+ * @function
+ * @param {{name: string, message: string, stack: string}} serialized - The serialized error.
+ * @returns {Error} The error.
+ */
+
+function deserializeError({ name, message, stack }) {
+  const error =
+    name === "AbortError" || name === "TimeoutError"
+      ? new AbortError(message)
+      : new Error(message);
+  error.name = name;
+  error.stack = stack;
+  return error;
+}
+
+/**
+ * Asynchronously creates a finder that runs in a worker.
+ *
+ * The returned proxy has the same methods as {@link vagueFinder}, but every one of them returns a Promise, including the ones
+ * that are synchronous on a regular finder (`saveCached`, `loadCached`, `getModelOptions`). The progress methods run on the
+ * main thread with what the worker reports: `getProgress`, `getLoadStatus` and `getLoadProgress` stay synchronous, and
+ * `subscribeProgress` and `progressEvents` work as on a regular finder.
+ *
+ * The arguments of a call are copied to the worker. Functions can't be sent: use `embedderModule` (a module URL whose
+ * default export is the embedder) instead of `embedder`. `onProgress` callbacks in the options of a call are kept on the
+ * main thread and called with the progress messages of that call, and aborting the `signal` of a call aborts it in the
+ * worker. `HnswIndex` and `QuantizedIndex` instances are rebuilt in the worker, and their copy is used there. Streams,
+ * async iterables and iterators can't be sent either: a call given one is rejected, read it into an array first.
+ *
+ * @async
+ * @function
+ * @param {Object} [config] - The default model options of the finder. See {@link createVagueFinder}.
+ * @param {string} [config.embedderModule] - The URL of a module whose default export is a custom embedder, and whose
+ *   `embedderId` export, if any, is its default `embedderId`.
+ * @param {function(Object): void} [config.onProgress] - Called on the main thread with every model loading progress payload.
+ * @throws {Error} If the worker can't be started or the finder can't be created.
+ * @returns {Promise<Object>} The proxy, with the finder methods plus `terminate()`, which stops the worker and rejects the pending calls.
+ *
+ * @example
+ * const finder = await createWorkerFinder({ model: "./models/gte-small" });
+ * await finder.loadModel();
+ * const result = await finder.getTop("This is a sentence.", sentences, 5);
+ * await finder.terminate();
+ */
+
+async function createWorkerFinder(config = {}) {
+  const { onProgress = null, ...workerConfig } = config;
+  const worker = await startWorker();
+  const pending = new Map();
+  let nextId = 0;
+  let progress = null;
+  let status = "idle";
+  let ready = null;
+  const progressEmitter = createProgressEmitter(() => status === "loading");
+
+  const rejectAll = (error) => {
+    for (const { reject } of pending.values()) {
+      reject(error);
+    }
+    pending.clear();
+    if (ready) {
+      ready.reject(error);
+      ready = null;
+    }
+  };
+
+  worker.listen((message) => {
+    if (message.type === "ready") {
+      ready.resolve(message.methods);
+      ready = null;
+    } else if (message.type === "initError") {
+      ready.reject(deserializeError(message.error));
+      ready = null;
+    } else if (message.type === "progress") {
+      progress = message.data;
+      if (onProgress) {
+        onProgress(message.data);
+      }
+    } else if (message.type === "progressEvent") {
+      // The events of loadReranker don't change the status of the model.
+      const { phase, target } = message.event;
+      if (target !== "reranker" && phase === "ready") {
+        status = "ready";
+      } else if (target !== "reranker" && phase === "error") {
+        status = "failed";
+      }
+      progressEmitter.emit(message.event);
+    } else if (message.type === "batchProgress") {
+      pending.get(message.id)?.onProgress(message.data);
+    } else if (message.type === "result" || message.type === "error") {
+      const call = pending.get(message.id);
+      if (!call) {
+        return;
+      }
+      pending.delete(message.id);
+      if (message.type === "result") {
+        call.resolve(message.result);
+      } else {
+        call.reject(deserializeError(message.error));
+      }
+    }
+  }, rejectAll);
+
+  const methods = await new Promise((resolve, reject) => {
+    ready = { resolve, reject };
+    worker.post({ type: "init", config: workerConfig });
+  });
+
+  const call = (method, args) =>
+    new Promise((resolve, reject) => {
+      const id = nextId++;
+      const last = args[args.length - 1];
+      let callProgress = null;
+      let signal = null;
+      if (
+        last !== null &&
+        typeof last === "object" &&
+        Object.getPrototypeOf(last) === Object.prototype
+      ) {
+        // Callbacks and signals can't be sent to the worker: keep them here, the worker reports the progress
+        // of this call and is told when it's aborted.
+        const { onProgress: callback, signal: callSignal, ...options } = last;
+        callProgress = typeof callback === "function" ? callback : null;
+        signal = callSignal ?? null;
+        args = [...args.slice(0, -1), options];
+      }
+      try {
+        throwIfAborted(signal);
+        args = packArgs(method, args);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const onAbort = () => {
+        pending.delete(id);
+        worker.post({ type: "abort", id });
+        reject(toAbortError(signal.reason));
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        callback(value);
+      };
+      pending.set(id, {
+        resolve: settle(resolve),
+        reject: settle(reject),
+        onProgress: callProgress,
+      });
+      try {
+        worker.post({
+          type: "call",
+          id,
+          method,
+          args,
+          withBatchProgress: callProgress !== null,
+          withSignal: signal !== null,
+        });
+      } catch (error) {
+        // A value that can't be cloned, deeper than packArgs looks.
+        pending.get(id)?.reject(error);
+        pending.delete(id);
+      }
+    });
+
+  const proxy = {};
+  for (const method of methods) {
+    proxy[method] = (...args) => call(method, args);
+  }
+  proxy.loadModel = (...args) => {
+    const previousStatus = status;
+    status = "loading";
+    return call("loadModel", args).catch((error) => {
+      // Invalid options are rejected before any progress event.
+      if (status === "loading") {
+        status = previousStatus;
+      }
+      throw error;
+    });
+  };
+  proxy.getProgress = () => progress;
+  proxy.getLoadStatus = () => status;
+  proxy.getLoadProgress = () => progressEmitter.last();
+  proxy.subscribeProgress = (listener) => {
+    if (typeof listener !== "function") {
+      throw new Error("listener must be a function");
+    }
+    return progressEmitter.subscribe(listener);
+  };
+  proxy.progressEvents = () => progressEmitter.events();
+  proxy.terminate = async () => {
+    rejectAll(new Error("The worker was terminated"));
+    await worker.terminate();
+  };
+
+  return proxy;
+}
+
+export { createWorkerFinder };
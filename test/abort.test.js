@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AbortError,
+  createVagueFinder,
+  isAbortError,
+  latestQuery,
+  TimeoutError,
+} from "../app.js";
+import { toAbortError, withAbort } from "../lib/abort.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const wait = (milliseconds) =>
+  new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+describe("abort errors", () => {
+  it("converts the reasons of signals into AbortErrors", () => {
+    const reason = new Error("stop");
+    const error = toAbortError(reason);
+    assert.ok(error instanceof AbortError);
+    assert.equal(error.cause, reason);
+    assert.equal(toAbortError(error), error);
+    assert.ok(isAbortError(new TimeoutError(10)));
+    assert.ok(isAbortError(new DOMException("Aborted", "AbortError")));
+    assert.equal(isAbortError(new Error("nope")), false);
+  });
+});
+
+describe("withAbort", () => {
+  it("rejects with a TimeoutError without waiting for the operation", async () => {
+    const started = Date.now();
+    await assert.rejects(
+      withAbort({ timeout: 20 }, () => wait(1000)),
+      (error) => error instanceof TimeoutError && error.timeout === 20,
+    );
+    assert.ok(Date.now() - started < 500);
+  });
+
+  it("passes the combined signal to the operation", async () => {
+    const controller = new AbortController();
+    let signal = null;
+    const running = withAbort({ signal: controller.signal }, (options) => {
+      signal = options.signal;
+      return wait(1000);
+    });
+    controller.abort();
+    await assert.rejects(running, { name: "AbortError" });
+    assert.equal(signal.aborted, true);
+  });
+
+  it("rejects invalid timeouts", async () => {
+    await assert.rejects(
+      withAbort({ timeout: -1 }, async () => {}),
+      /timeout must be a positive number/,
+    );
+  });
+});
+
+describe("latestQuery", () => {
+  it("aborts the previous call when a new one starts", async () => {
+    const signals = [];
+    const search = latestQuery(async (signal, query) => {
+      signals.push(signal);
+      await wait(10);
+      return query;
+    });
+    const first = search("c");
+    const second = search("ca");
+    await assert.rejects(first, /A newer query was started/);
+    assert.equal(await second, "ca");
+    assert.equal(signals[0].aborted, true);
+    assert.equal(signals[1].aborted, false);
+  });
+
+  it("drops the results of functions that ignore the signal", async () => {
+    const search = latestQuery(async (signal, milliseconds) => {
+      await wait(milliseconds);
+      return milliseconds;
+    });
+    const slow = search(30);
+    const fast = search(1);
+    assert.equal(await fast, 1);
+    await assert.rejects(slow, { name: "AbortError" });
+  });
+
+  it("aborts the current call with abort()", async () => {
+    const search = latestQuery(() => wait(10).then(() => "done"));
+    const running = search();
+    search.abort();
+    await assert.rejects(running, { name: "AbortError" });
+    assert.equal(await search(), "done");
+  });
+});
+
+describe("timeouts of the finder", () => {
+  it("rejects a search that takes longer than its timeout", async () => {
+    const stub = createStubEmbedder(64);
+    const finder = createVagueFinder();
+    await finder.loadModel({
+      embedder: async (text) => {
+        await wait(50);
+        return stub(text);
+      },
+    });
+    await assert.rejects(
+      finder.getTop("cat", ["the cat sat", "dogs bark"], 1, { timeout: 10 }),
+      TimeoutError,
+    );
+    await assert.rejects(
+      finder.getTop("cat", ["the cat sat"], 1, { timeout: 0 }),
+      /timeout must be a positive number/,
+    );
+  });
+});
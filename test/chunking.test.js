@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { aggregateScores, splitIntoPassages } from "../lib/chunking.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const ARTICLE =
+  "Stock markets fell today. Traders were worried. Oil prices rose! " +
+  "Meanwhile the cat sat on the mat. Was it happy?";
+
+describe("splitIntoPassages", () => {
+  it("groups overlapping sentences with their offsets", () => {
+    const passages = splitIntoPassages(ARTICLE, { size: 2, overlap: 1 });
+    assert.deepEqual(
+      passages.map(({ text }) => text),
+      [
+        "Stock markets fell today. Traders were worried.",
+        "Traders were worried. Oil prices rose!",
+        "Oil prices rose! Meanwhile the cat sat on the mat.",
+        "Meanwhile the cat sat on the mat. Was it happy?",
+      ],
+    );
+    for (const { text, start, end } of passages) {
+      assert.equal(ARTICLE.slice(start, end), text);
+    }
+  });
+
+  it("splits by tokens and characters", () => {
+    assert.deepEqual(
+      splitIntoPassages("one two  three four five", {
+        by: "token",
+        size: 3,
+        overlap: 1,
+      }),
+      [
+        { text: "one two  three", start: 0, end: 14 },
+        { text: "three four five", start: 9, end: 24 },
+      ],
+    );
+    assert.deepEqual(
+      splitIntoPassages("abcdefg", {
+        by: "character",
+        size: 4,
+        overlap: 2,
+      }).map(({ text }) => text),
+      ["abcd", "cdef", "efg"],
+    );
+  });
+
+  it("returns no passage for an empty text", () => {
+    assert.deepEqual(splitIntoPassages("   "), []);
+  });
+
+  it("rejects unknown units and overlaps as large as the passages", () => {
+    assert.throws(
+      () => splitIntoPassages(ARTICLE, { by: "word" }),
+      /Unknown chunking unit/,
+    );
+    assert.throws(
+      () => splitIntoPassages(ARTICLE, { size: 2, overlap: 2 }),
+      /overlap/,
+    );
+  });
+});
+
+describe("aggregateScores", () => {
+  it("takes the best, the mean or the mean of the k best passages", () => {
+    const scores = [0.2, 0.8, 0.5, 0.1];
+    assert.equal(aggregateScores(scores), 0.8);
+    assert.equal(aggregateScores(scores, "mean"), 0.4);
+    assert.equal(
+      aggregateScores(scores, { method: "topKMean", k: 2 }),
+      (0.8 + 0.5) / 2,
+    );
+    assert.throws(() => aggregateScores(scores, "median"), /Unknown/);
+  });
+});
+
+describe("searching documents", () => {
+  it("returns the documents with their best passage", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const documents = [ARTICLE, "Dogs bark at night. They wake everyone up."];
+    const { array } = await finder.getTop("the cat on the mat", documents, 2, {
+      chunking: { size: 1, overlap: 0 },
+    });
+    assert.equal(array[0].refIndex, 0);
+    assert.equal(array[0].sentenceTwo, ARTICLE);
+    assert.equal(array[0].passage.text, "Meanwhile the cat sat on the mat.");
+    assert.equal(
+      ARTICLE.slice(array[0].passage.start, array[0].passage.end),
+      array[0].passage.text,
+    );
+    assert.equal(array[0].alike, array[0].passage.alike);
+  });
+});
@@ -0,0 +1,113 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { runCli } from "../lib/cli.js";
+
+const EMBEDDER = fileURLToPath(
+  new URL("./helpers/embedder-module.js", import.meta.url),
+);
+
+async function run(argv, input = "") {
+  let stdout = "";
+  let stderr = "";
+  const code = await runCli([...argv, "--embedder", EMBEDDER], {
+    stdin: Readable.from([input]),
+    stdout: { write: (text) => (stdout += text) },
+    stderr: { write: (text) => (stderr += text) },
+  });
+  return { code, stdout, stderr };
+}
+
+describe("findvague", () => {
+  let directory;
+  let sentences;
+  let records;
+
+  before(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "findvague-"));
+    sentences = path.join(directory, "faq.txt");
+    await fs.promises.writeFile(
+      sentences,
+      "the cat sat on the mat\ndogs bark at night\nstock markets fell today\n",
+    );
+    records = path.join(directory, "products.jsonl");
+    await fs.promises.writeFile(
+      records,
+      '{"title": "cat mat"}\n{"title": "dog bed"}\n',
+    );
+  });
+
+  after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+  it("saves embeddings to a store and searches it", async () => {
+    const store = path.join(directory, "faq.fvec");
+    const embedded = await run(["embed", sentences, "-o", store]);
+    assert.equal(embedded.code, 0, embedded.stderr);
+    assert.match(embedded.stderr, /Saved 3 embeddings/);
+
+    const searched = await run([
+      "search",
+      "a cat on a mat",
+      store,
+      "--top-k",
+      "1",
+      "--format",
+      "json",
+    ]);
+    assert.equal(searched.code, 0, searched.stderr);
+    const { array } = JSON.parse(searched.stdout);
+    assert.deepEqual(
+      array.map(({ sentenceTwo }) => sentenceTwo),
+      ["the cat sat on the mat"],
+    );
+  });
+
+  it("refuses to save records to a store", async () => {
+    const store = path.join(directory, "products.fvec");
+    const { code, stderr } = await run([
+      "embed",
+      records,
+      "--keys",
+      "title",
+      "-o",
+      store,
+    ]);
+    assert.equal(code, 1);
+    assert.match(stderr, /--keys can't be used with --output/);
+    assert.doesNotMatch(stderr, /TypeError/);
+    assert.equal(fs.existsSync(store), false);
+  });
+
+  it("only filters search results with --threshold", async () => {
+    const unfiltered = await run([
+      "search",
+      "a cat on a mat",
+      sentences,
+      "--format",
+      "json",
+    ]);
+    assert.equal(JSON.parse(unfiltered.stdout).array.length, 3);
+
+    const filtered = await run([
+      "search",
+      "a cat on a mat",
+      sentences,
+      "--threshold",
+      "0.3",
+      "--format",
+      "json",
+    ]);
+    const { array } = JSON.parse(filtered.stdout);
+    assert.ok(array.length > 0 && array.length < 3);
+    assert.ok(array.every(({ alike }) => alike >= 0.3));
+  });
+
+  it("documents the defaults of --threshold", async () => {
+    const { stdout } = await run(["--help"]);
+    assert.match(stdout, /search or evaluate results \(default: none\)/);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { clusterVectors } from "../lib/cluster.js";
+import { createRandom } from "../lib/random.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+// Three topics of 10 vectors each: every vector is its topic's axis plus a little noise.
+const random = createRandom(3);
+const TOPICS = [0, 5, 10];
+const VECTORS = TOPICS.flatMap((axis) =>
+  Array.from({ length: 10 }, () =>
+    Array.from(
+      { length: 16 },
+      (_, i) => (i === axis ? 1 : 0) + (random() - 0.5) * 0.2,
+    ),
+  ),
+);
+const TRUTH = [0, 10, 20].map((first) =>
+  Array.from({ length: 10 }, (_, i) => first + i),
+);
+
+function partition(clusters) {
+  return clusters.map(({ members }) => members).sort((a, b) => a[0] - b[0]);
+}
+
+describe("clusterVectors", () => {
+  it("finds the topics with k-means", () => {
+    const { labels, clusters } = clusterVectors(VECTORS, { k: 3, seed: 1 });
+    assert.deepEqual(partition(clusters), TRUTH);
+    clusters.forEach(({ members, representative, cohesion }, label) => {
+      assert.ok(members.includes(representative));
+      assert.ok(cohesion > 0.9 && cohesion <= 1 + 1e-6);
+      for (const member of members) {
+        assert.equal(labels[member], label);
+      }
+    });
+  });
+
+  it("finds the topics with agglomerative clustering, by k or by threshold", () => {
+    assert.deepEqual(
+      partition(
+        clusterVectors(VECTORS, { method: "agglomerative", k: 3 }).clusters,
+      ),
+      TRUTH,
+    );
+    assert.deepEqual(
+      partition(
+        clusterVectors(VECTORS, { method: "agglomerative", threshold: 0.5 })
+          .clusters,
+      ),
+      TRUTH,
+    );
+  });
+
+  it("returns the same clusters for the same seed", () => {
+    for (const seed of [1, 2, 3]) {
+      assert.deepEqual(
+        clusterVectors(VECTORS, { k: 4, seed }),
+        clusterVectors(VECTORS, { k: 4, seed }),
+      );
+    }
+  });
+
+  it("rejects missing or invalid options", () => {
+    assert.throws(
+      () => clusterVectors(VECTORS),
+      /needs the number of clusters/,
+    );
+    assert.throws(() => clusterVectors(VECTORS, { k: 0 }), /positive integer/);
+    assert.throws(
+      () => clusterVectors(VECTORS, { method: "agglomerative" }),
+      /either k or a threshold/,
+    );
+    assert.throws(
+      () => clusterVectors(VECTORS, { method: "dbscan", k: 2 }),
+      /Unknown clustering method/,
+    );
+  });
+});
+
+describe("cluster", () => {
+  const sentences = [
+    "the cat sat on the mat",
+    "a cat on a mat",
+    "the cat and the mat",
+    "stock markets fell today",
+    "markets fell again today",
+  ];
+
+  it("is stable across runs", async () => {
+    const runs = [];
+    for (let run = 0; run < 2; run++) {
+      const finder = createVagueFinder();
+      await finder.loadModel({ embedder: createStubEmbedder(64) });
+      runs.push(await finder.cluster(sentences, { k: 2, seed: 7 }));
+    }
+    assert.deepEqual(runs[0], runs[1]);
+  });
+
+  it("returns the sentence that represents every cluster", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const { labels, clusters } = await finder.cluster(sentences, {
+      method: "agglomerative",
+      k: 2,
+    });
+    assert.deepEqual(labels, [0, 0, 0, 1, 1]);
+    const { representative } = clusters[1];
+    assert.equal(representative.sentenceTwo, sentences[representative.index]);
+    assert.ok(clusters[1].members.includes(representative.index));
+  });
+});
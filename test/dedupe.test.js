@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { groupNearDuplicates } from "../lib/dedupe.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+describe("groupNearDuplicates", () => {
+  it("links near-duplicates transitively and picks the medoid", () => {
+    const { groups, unique } = groupNearDuplicates(
+      [
+        [1, 0, 0],
+        [1, 1, 0],
+        [0, 1, 0],
+        [0, 0, 1],
+      ],
+      { threshold: 0.7 },
+    );
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].members, [0, 1, 2]);
+    assert.equal(groups[0].representative, 1);
+    assert.deepEqual(
+      groups[0].pairs.map(({ a, b }) => [a, b]),
+      [
+        [0, 1],
+        [1, 2],
+      ],
+    );
+    assert.deepEqual(unique, [3]);
+  });
+
+  it("rejects unknown representatives", () => {
+    assert.throws(
+      () => groupNearDuplicates([[1]], { representative: "last" }),
+      /Unknown representative/,
+    );
+  });
+});
+
+describe("dedupe", () => {
+  const sentences = [
+    "the cat sat on the mat",
+    "dogs bark at night",
+    "the cat sat on the mat",
+    "THE CAT SAT ON THE MAT!",
+  ];
+
+  it("groups exact duplicates", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const { groups, unique } = await finder.dedupe(sentences, {
+      threshold: 0.99,
+      representative: "first",
+    });
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].representative, {
+      sentenceTwo: "the cat sat on the mat",
+      index: 0,
+    });
+    assert.deepEqual(
+      groups[0].members.map(({ index }) => index),
+      [0, 2, 3],
+    );
+    for (const { alike } of groups[0].members) {
+      assert.ok(Math.abs(alike - 1) < 1e-9);
+    }
+    assert.deepEqual(unique, [{ sentenceTwo: "dogs bark at night", index: 1 }]);
+  });
+
+  it("picks the longest text and accepts a cached array", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const cached = await finder.getCached(sentences);
+    const { groups } = await finder.dedupe(cached, {
+      threshold: 0.99,
+      representative: "longest",
+    });
+    assert.equal(groups[0].representative.index, 3);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { diversifyResults, normalizeDiversity } from "../lib/diversity.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+describe("diversifyResults", () => {
+  it("moves near-duplicates below different results", () => {
+    const results = [
+      { sentenceTwo: "a", alike: 0.9, embedding: [1, 0] },
+      { sentenceTwo: "a again", alike: 0.89, embedding: [1, 0] },
+      { sentenceTwo: "b", alike: 0.8, embedding: [0, 1] },
+    ];
+    const diversified = diversifyResults(results, normalizeDiversity(0.5));
+    assert.deepEqual(
+      diversified.map(({ sentenceTwo }) => sentenceTwo),
+      ["a", "b", "a again"],
+    );
+    assert.equal("embedding" in diversified[0], false);
+    assert.equal(diversified[1].alike, 0.8);
+  });
+
+  it("keeps the order of relevance with lambda 1", () => {
+    const results = [
+      { sentenceTwo: "a", alike: 0.9, embedding: [1, 0] },
+      { sentenceTwo: "a again", alike: 0.89, embedding: [1, 0] },
+      { sentenceTwo: "b", alike: 0.8, embedding: [0, 1] },
+    ];
+    assert.deepEqual(
+      diversifyResults(results, normalizeDiversity(1)).map(
+        ({ sentenceTwo }) => sentenceTwo,
+      ),
+      ["a", "a again", "b"],
+    );
+  });
+
+  it("weighs RRF scores like cosine similarities", () => {
+    // RRF scores are tiny: without rescaling, the redundancy would decide alone and "c" would come second.
+    const results = [
+      { sentenceTwo: "a", alike: 0.033, embedding: [1, 0, 0] },
+      { sentenceTwo: "b", alike: 0.0325, embedding: [0.2, 0.98, 0] },
+      { sentenceTwo: "c", alike: 0.01, embedding: [0, 0, 1] },
+    ];
+    assert.deepEqual(
+      diversifyResults(results, normalizeDiversity(0.7)).map(
+        ({ sentenceTwo }) => sentenceTwo,
+      ),
+      ["a", "b", "c"],
+    );
+  });
+
+  it("rejects invalid options", () => {
+    assert.throws(() => normalizeDiversity(2), /lambda/);
+    assert.throws(() => normalizeDiversity({ candidates: 0 }), /candidates/);
+  });
+});
+
+describe("getTop with diversity", () => {
+  it("doesn't return a duplicate before a different result", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const sentences = [
+      "reset your password",
+      "reset your password now",
+      "reset the router",
+    ];
+    const plain = await finder.getTop("reset password", sentences, 2);
+    assert.deepEqual(
+      plain.array.map(({ sentenceTwo }) => sentenceTwo),
+      ["reset your password", "reset your password now"],
+    );
+    const { array } = await finder.getTop("reset password", sentences, 2, {
+      diversity: 0.3,
+    });
+    assert.deepEqual(
+      array.map(({ sentenceTwo }) => sentenceTwo),
+      ["reset your password", "reset the router"],
+    );
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const ONE = "reset my password";
+const TWO = "change the account password";
+
+describe("embedding cache", () => {
+  it("doesn't reuse the embeddings of another embedder with the same name", async () => {
+    const first = createStubEmbedder(8, 31);
+    const second = createStubEmbedder(8, 17);
+    assert.equal(first.name, second.name);
+
+    const expected = createVagueFinder();
+    await expected.loadModel({ embedder: second });
+    const { alike: secondAlike } = await expected.compareTwoSentences(ONE, TWO);
+
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: first });
+    const { alike: firstAlike } = await finder.compareTwoSentences(ONE, TWO);
+    assert.notEqual(firstAlike, secondAlike);
+
+    await finder.loadModel({ embedder: second });
+    const { alike } = await finder.compareTwoSentences(ONE, TWO);
+    assert.equal(alike, secondAlike);
+    assert.equal(finder.getCacheStats().hits, 0);
+  });
+
+  it("reuses the embeddings of the same embedder", async () => {
+    const embedder = createStubEmbedder(8);
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder });
+    await finder.compareTwoSentences(ONE, TWO);
+    await finder.loadModel({ embedder, batchSize: 4 });
+    await finder.compareTwoSentences(ONE, TWO);
+    assert.equal(finder.getCacheStats().hits, 2);
+  });
+
+  it("reuses the embeddings of another function with the same embedderId", async () => {
+    const stub = createStubEmbedder(8);
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: stub, embedderId: "stub@1" });
+    await finder.getCached([ONE, TWO]);
+    await finder.loadModel({
+      embedder: (text) => stub(text),
+      embedderId: "stub@1",
+    });
+    await finder.getCached([ONE, TWO]);
+    assert.equal(finder.getCacheStats().hits, 2);
+  });
+
+  it("restores exported embeddings", async () => {
+    const embedder = createStubEmbedder(8);
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder });
+    await finder.getCached([ONE, TWO]);
+    const exported = JSON.parse(JSON.stringify(finder.exportCache()));
+
+    const restored = createVagueFinder();
+    await restored.loadModel({ embedder });
+    restored.importCache(exported);
+    await restored.getCached([ONE, TWO]);
+    assert.equal(restored.getCacheStats().hits, 2);
+    assert.equal(restored.getCacheStats().misses, 0);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { decodeEmbeddingStore } from "../lib/embedding-store.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const SENTENCES = ["the cat sat on the mat", "dogs bark at night"];
+const embedder = createStubEmbedder(8);
+
+async function loadedFinder(options = {}) {
+  const finder = createVagueFinder();
+  await finder.loadModel({ embedder, ...options });
+  return finder;
+}
+
+/**
+ * Encodes a store the way version 1 did, without the quantized, preprocess and prefix settings.
+ */
+function encodeVersion1(header, vectors) {
+  const json = new TextEncoder().encode(
+    JSON.stringify({ version: 1, ...header, count: vectors.length }),
+  );
+  const offset = Math.ceil((8 + json.length) / 4) * 4;
+  const bytes = new Uint8Array(offset + vectors.flat().length * 4);
+  const view = new DataView(bytes.buffer);
+  bytes.set(new TextEncoder().encode("FVEC"), 0);
+  view.setUint32(4, json.length, true);
+  bytes.set(json, 8);
+  vectors.flat().forEach((value, i) => {
+    view.setFloat32(offset + i * 4, value, true);
+  });
+  return bytes;
+}
+
+describe("saveCached and loadCached", () => {
+  it("round-trips cached sentences", async () => {
+    const finder = await loadedFinder();
+    const cached = await finder.getCached(SENTENCES);
+    const store = finder.loadCached(finder.saveCached(cached));
+    assert.equal(store.version, 2);
+    assert.equal(store.dimension, 8);
+    assert.deepEqual(
+      store.items.map(({ sentenceTwo, embedding }) => [
+        sentenceTwo,
+        Array.from(embedding),
+      ]),
+      cached.map(({ sentenceTwo, embedding }) => [sentenceTwo, embedding]),
+    );
+  });
+
+  it("records the custom embedder and every setting", async () => {
+    const finder = await loadedFinder({
+      preprocess: [
+        "lowercase",
+        function stem(text) {
+          return text;
+        },
+      ],
+      queryPrefix: "query: ",
+      documentPrefix: "passage: ",
+    });
+    const store = decodeEmbeddingStore(
+      finder.saveCached(await finder.getCached(SENTENCES)),
+    );
+    assert.equal(store.model, "embedder:stubEmbedder");
+    assert.equal(store.quantized, null);
+    assert.equal(store.pooling, "mean");
+    assert.equal(store.normalize, true);
+    assert.deepEqual(store.preprocess, ["lowercase", "function:stem"]);
+    assert.equal(store.queryPrefix, "query: ");
+    assert.equal(store.documentPrefix, "passage: ");
+  });
+
+  it("rejects a store of another embedder or other settings", async () => {
+    const saved = await loadedFinder();
+    const bytes = saved.saveCached(await saved.getCached(SENTENCES));
+
+    const other = await loadedFinder({
+      embedder: function otherEmbedder(text) {
+        return embedder(text);
+      },
+    });
+    assert.throws(
+      () => other.loadCached(bytes),
+      /model is "embedder:stubEmbedder"/,
+    );
+
+    const prefixed = await loadedFinder({ documentPrefix: "passage: " });
+    assert.throws(() => prefixed.loadCached(bytes), /documentPrefix/);
+
+    const preprocessed = await loadedFinder({ preprocess: true });
+    assert.throws(() => preprocessed.loadCached(bytes), /preprocess/);
+
+    const store = preprocessed.loadCached(bytes, { onMismatch: "ignore" });
+    assert.equal(store.items.length, SENTENCES.length);
+  });
+
+  it("identifies a custom embedder by its embedderId", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const saved = await loadedFinder({ embedderId: "stub@1" });
+    const bytes = saved.saveCached(await saved.getCached(SENTENCES));
+    assert.equal(decodeEmbeddingStore(bytes).model, "embedder-id:stub@1");
+
+    // Another function, e.g. after a restart, with the same id.
+    const restarted = await loadedFinder({
+      embedder: (text) => embedder(text),
+      embedderId: "stub@1",
+    });
+    assert.equal(restarted.loadCached(bytes).items.length, SENTENCES.length);
+    assert.equal(warn.mock.callCount(), 0);
+
+    const upgraded = await loadedFinder({ embedderId: "stub@2" });
+    assert.throws(
+      () => upgraded.loadCached(bytes),
+      /model is "embedder-id:stub@1"/,
+    );
+    await assert.rejects(
+      loadedFinder({ embedderId: "" }),
+      /embedderId must be a non-empty string/,
+    );
+  });
+
+  it("warns when a custom embedder can only be matched by its name", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const finder = await loadedFinder();
+    const bytes = finder.saveCached(await finder.getCached(SENTENCES));
+    finder.loadCached(bytes);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /pass embedderId/);
+    finder.loadCached(bytes, { onMismatch: "ignore" });
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it("only checks the settings a version 1 store recorded", async () => {
+    const finder = await loadedFinder({ documentPrefix: "passage: " });
+    const bytes = encodeVersion1(
+      {
+        model: "embedder:stubEmbedder",
+        dimension: 2,
+        pooling: "mean",
+        normalize: true,
+        sentences: ["a", "b"],
+      },
+      [
+        [1, 0],
+        [0, 1],
+      ],
+    );
+    const store = finder.loadCached(bytes);
+    assert.equal(store.version, 1);
+    assert.equal(store.documentPrefix, undefined);
+    assert.deepEqual(Array.from(store.items[1].embedding), [0, 1]);
+
+    const unnormalized = await loadedFinder({ normalize: false });
+    assert.throws(() => unnormalized.loadCached(bytes), /normalize/);
+  });
+
+  it("refuses to save cached records", async () => {
+    const finder = await loadedFinder();
+    const cached = await finder.getCached([{ title: "cat" }], {
+      keys: ["title"],
+    });
+    assert.throws(
+      () => finder.saveCached(cached),
+      /only holds cached sentences/,
+    );
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { compareEvaluations, createVagueFinder } from "../app.js";
+import { scoreQuery, suggestThreshold } from "../lib/evaluation.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const DATASET = {
+  corpus: [
+    "the cat sat on the mat",
+    "dogs bark at night",
+    "stock markets fell today",
+    "bake the bread slowly",
+  ],
+  queries: [
+    // Found first: the query is the relevant item.
+    { query: "the cat sat on the mat", relevant: [0] },
+    // The first relevant item is found first, the second one ranks lower.
+    {
+      query: "dogs bark at night",
+      relevant: ["dogs bark at night", "bake the bread slowly"],
+    },
+    // The relevant item doesn't share any word with the query.
+    { query: "bread slowly", relevant: [2] },
+  ],
+};
+
+describe("scoreQuery", () => {
+  it("computes the recall, precision, reciprocal rank and nDCG", () => {
+    const results = ["x", "a", "y", "b"].map((sentenceTwo) => ({
+      sentenceTwo,
+    }));
+    const scores = scoreQuery(
+      results,
+      ["a", "b", "c"],
+      (result, item) => result.sentenceTwo === item,
+      4,
+    );
+    close(scores.recall, 2 / 3);
+    close(scores.precision, 2 / 4);
+    close(scores.reciprocalRank, 1 / 2);
+    close(
+      scores.ndcg,
+      (1 / Math.log2(3) + 1 / Math.log2(5)) / (1 + 1 / Math.log2(3) + 1 / 2),
+    );
+    assert.equal(scores.firstRelevantRank, 2);
+    assert.deepEqual(scores.relevance, [false, true, false, true]);
+    assert.deepEqual(scores.missing, ["c"]);
+  });
+
+  it("counts the duplicates of a relevant item once", () => {
+    const scores = scoreQuery(
+      [{ sentenceTwo: "a" }, { sentenceTwo: "a" }],
+      ["a"],
+      (result, item) => result.sentenceTwo === item,
+      2,
+    );
+    assert.deepEqual(scores.relevance, [true, false]);
+    assert.equal(scores.precision, 0.5);
+  });
+});
+
+describe("suggestThreshold", () => {
+  it("picks the score with the best F1", () => {
+    const threshold = suggestThreshold(
+      [
+        { alike: 0.9, relevant: true },
+        { alike: 0.8, relevant: true },
+        { alike: 0.7, relevant: false },
+        { alike: 0.6, relevant: false },
+      ],
+      4,
+    );
+    assert.equal(threshold.threshold, 0.8);
+    assert.equal(threshold.precision, 1);
+    assert.equal(threshold.recall, 0.5);
+    assert.equal(suggestThreshold([{ alike: 0.9, relevant: false }], 1), null);
+  });
+});
+
+describe("evaluate", () => {
+  it("reports the expected recall and MRR on a small labelled set", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const report = await finder.evaluate(DATASET, { k: 1 });
+
+    assert.equal(report.k, 1);
+    assert.equal(report.queries, 3);
+    close(report.recall, (1 + 0.5 + 0) / 3);
+    close(report.mrr, (1 + 1 + 0) / 3);
+    close(report.precision, (1 + 1 + 0) / 3);
+    assert.deepEqual(
+      report.perQuery.map(({ recall }) => recall),
+      [1, 0.5, 0],
+    );
+    assert.deepEqual(
+      report.failures.map(({ index, missing }) => [index, missing]),
+      [
+        [1, ["bake the bread slowly"]],
+        [2, [2]],
+      ],
+    );
+    assert.equal(report.failures[1].firstRelevantRank, null);
+    assert.equal(report.failures[1].results[0].relevant, false);
+    // The two relevant results score 1, the irrelevant one 0.71.
+    assert.equal(report.suggestedThreshold.precision, 1);
+    assert.equal(report.suggestedThreshold.recall, 0.5);
+  });
+
+  it("compares two configurations", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const narrow = await finder.evaluate(DATASET, { k: 1 });
+    const wide = await finder.evaluate(DATASET, { k: 4 });
+    assert.equal(wide.recall, 1);
+
+    const { metrics, fixed, broken } = compareEvaluations(narrow, wide);
+    close(metrics.recall.delta, 1 - narrow.recall);
+    assert.deepEqual(fixed, ["dogs bark at night", "bread slowly"]);
+    assert.deepEqual(broken, []);
+    assert.throws(
+      () => compareEvaluations(narrow, { ...wide, perQuery: [] }),
+      /same queries/,
+    );
+  });
+});
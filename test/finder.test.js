@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const SENTENCES = [
+  "the cat sat on the mat",
+  "dogs bark at night",
+  "a cat and a mat",
+  "stock markets fell today",
+];
+
+async function loadedFinder(options = {}) {
+  const finder = createVagueFinder();
+  await finder.loadModel({ embedder: createStubEmbedder(64), ...options });
+  return finder;
+}
+
+describe("loadModel", () => {
+  it("refuses to search before a model is loaded", async () => {
+    const finder = createVagueFinder();
+    assert.equal(finder.getLoadStatus(), "idle");
+    await assert.rejects(
+      finder.getTop("cat", SENTENCES, 1),
+      /Model has not been loaded/,
+    );
+  });
+
+  it("uses a custom embedder without downloading a model", async () => {
+    const finder = await loadedFinder({ batchSize: 2 });
+    assert.equal(finder.getLoadStatus(), "ready");
+    const options = finder.getModelOptions();
+    assert.equal(options.batchSize, 2);
+    assert.equal(typeof options.embedder, "function");
+  });
+
+  it("doesn't keep the abort options", async () => {
+    const finder = await loadedFinder({ timeout: 1000 });
+    assert.equal("timeout" in finder.getModelOptions(), false);
+    assert.equal("signal" in finder.getModelOptions(), false);
+  });
+
+  it("rejects invalid options", async () => {
+    const finder = createVagueFinder();
+    await assert.rejects(
+      finder.loadModel({ embedder: "stub" }),
+      /embedder must be a function/,
+    );
+    await assert.rejects(
+      finder.loadModel({ embedder: createStubEmbedder(), batchSize: 0 }),
+      /batchSize/,
+    );
+  });
+});
+
+describe("searching", () => {
+  it("scores identical sentences as alike", async () => {
+    const finder = await loadedFinder();
+    const { alike } = await finder.compareTwoSentences(
+      "the cat sat",
+      "the cat sat",
+    );
+    assert.ok(Math.abs(alike - 1) < 1e-9);
+  });
+
+  it("returns the top results in order of similarity", async () => {
+    const finder = await loadedFinder();
+    const { sentenceOne, array } = await finder.getTop(
+      "a cat on a mat",
+      SENTENCES,
+      2,
+    );
+    assert.equal(sentenceOne, "a cat on a mat");
+    assert.equal(array.length, 2);
+    assert.deepEqual(array.map(({ sentenceTwo }) => sentenceTwo).sort(), [
+      "a cat and a mat",
+      "the cat sat on the mat",
+    ]);
+    assert.ok(array[0].alike >= array[1].alike);
+    await assert.rejects(
+      finder.getTop("cat", SENTENCES, 0),
+      /numberOfResults is either 0 or less than 0/,
+    );
+  });
+
+  it("gives cached sentences the same scores as plain ones", async () => {
+    const finder = await loadedFinder();
+    const cached = await finder.getCached(SENTENCES);
+    assert.deepEqual(
+      cached.map(({ sentenceTwo }) => sentenceTwo),
+      SENTENCES,
+    );
+    const plain = await finder.arrayInOrder("cat on a mat", SENTENCES);
+    const fromCache = await finder.cachedArrayInOrder("cat on a mat", cached);
+    assert.deepEqual(fromCache.array, plain.array);
+  });
+
+  it("reuses the embeddings of repeated sentences", async () => {
+    let calls = 0;
+    const stub = createStubEmbedder(64);
+    const finder = await loadedFinder({
+      embedder: (text) => {
+        calls++;
+        return stub(text);
+      },
+    });
+    await finder.getCached(SENTENCES);
+    await finder.getCached(SENTENCES);
+    assert.equal(calls, SENTENCES.length);
+    assert.equal(finder.getCacheStats().hits, SENTENCES.length);
+  });
+
+  it("aborts a search when its signal is aborted", async () => {
+    const finder = await loadedFinder();
+    await assert.rejects(
+      finder.getTop("cat", SENTENCES, 1, { signal: AbortSignal.abort() }),
+      { name: "AbortError" },
+    );
+  });
+});
@@ -0,0 +1,4 @@
+import { createStubEmbedder } from "./stub-embedder.js";
+
+// Loaded by the CLI tests with `--embedder`, and by the worker tests as `embedderModule`.
+export default createStubEmbedder(64);
@@ -0,0 +1,25 @@
+/**
+ * Creates a deterministic embedder for the tests, so no model is downloaded: every word of the text adds 1 to the
+ * dimension its hash falls in. Texts that share words are alike, and texts without common words are not.
+ *
+ * @function
+ * @param {number} [dimensions=16] - The size of the embeddings.
+ * @param {number} [seed=31] - The multiplier of the hash. Embedders with different seeds disagree on most texts.
+ * @returns {function(string): Array<number>} The embedder.
+ */
+
+function createStubEmbedder(dimensions = 16, seed = 31) {
+  return function stubEmbedder(text) {
+    const embedding = new Array(dimensions).fill(0);
+    for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+      let hash = 0;
+      for (const character of word) {
+        hash = (hash * seed + character.charCodeAt(0)) % dimensions;
+      }
+      embedding[hash] += 1;
+    }
+    return embedding;
+  };
+}
+
+export { createStubEmbedder };
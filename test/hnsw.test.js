@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder, HnswIndex, measureRecall } from "../app.js";
+import { createRandom } from "../lib/random.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+function randomVectors(count, dimensions, random) {
+  return Array.from({ length: count }, () =>
+    Array.from({ length: dimensions }, () => random() - 0.5),
+  );
+}
+
+describe("HnswIndex", () => {
+  const random = createRandom(7);
+  const vectors = randomVectors(1000, 16, random);
+  const queries = randomVectors(30, 16, random);
+  const index = HnswIndex.fromCached(
+    vectors.map((embedding) => ({ embedding })),
+  );
+
+  it("finds most of the exact nearest neighbours", () => {
+    assert.equal(index.size, vectors.length);
+    const { recall, k } = measureRecall(index, queries, 10);
+    assert.equal(k, 10);
+    assert.ok(recall >= 0.9, `recall@10 is ${recall}`);
+  });
+
+  it("finds more of them with a larger efSearch", () => {
+    const { recall } = measureRecall(index, queries, 10);
+    const wider = measureRecall(index, queries, 10, { efSearch: 200 });
+    assert.ok(wider.recall >= recall);
+    assert.ok(wider.recall >= 0.95, `recall@10 is ${wider.recall}`);
+  });
+
+  it("searches the same way after a serialization round trip", () => {
+    const restored = HnswIndex.fromJSON(
+      JSON.parse(JSON.stringify(index)),
+      vectors,
+    );
+    for (const query of queries.slice(0, 5)) {
+      assert.deepEqual(restored.search(query, 5), index.search(query, 5));
+    }
+    assert.throws(
+      () => HnswIndex.fromJSON(index.toJSON(), vectors.slice(1)),
+      Error,
+    );
+  });
+
+  it("is used by cachedArrayInOrder through approximateIndex", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const sentences = [
+      "the cat sat on the mat",
+      "dogs bark at night",
+      "stock markets fell today",
+      "a cat and a mat",
+    ];
+    const cached = await finder.getCached(sentences);
+    const approximateIndex = HnswIndex.fromCached(cached);
+    const exact = await finder.cachedArrayInOrder("cat on a mat", cached);
+    const approximate = await finder.cachedArrayInOrder(
+      "cat on a mat",
+      cached,
+      { approximateIndex, topK: 2 },
+    );
+    assert.deepEqual(
+      approximate.array.map(({ sentenceTwo }) => sentenceTwo),
+      exact.array.slice(0, 2).map(({ sentenceTwo }) => sentenceTwo),
+    );
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { applyHybridScores, bm25Scores, tokenize } from "../lib/hybrid.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+describe("bm25Scores", () => {
+  it("tokenizes letters and digits of any script", () => {
+    assert.deepEqual(tokenize("Café, ERR-42 и кот!"), [
+      "café",
+      "err",
+      "42",
+      "и",
+      "кот",
+    ]);
+  });
+
+  it("scores the documents with the rarest query terms highest", () => {
+    const scores = bm25Scores("refund error", [
+      "error while loading",
+      "refund policy",
+      "error and refund",
+      "nothing in common",
+    ]);
+    assert.equal(scores[3], 0);
+    assert.ok(scores[2] > scores[1]);
+    assert.ok(scores[1] > 0 && scores[0] > 0);
+  });
+});
+
+describe("applyHybridScores", () => {
+  const results = [
+    { sentenceTwo: "refund policy", alike: 0.9 },
+    { sentenceTwo: "error code 42", alike: 0.5 },
+    { sentenceTwo: "shipping times", alike: 0.7 },
+  ];
+
+  it("weights the semantic score and the normalized BM25 score", () => {
+    const hybrid = applyHybridScores("error 42", results, {
+      lexicalWeight: 0.5,
+    });
+    assert.deepEqual(
+      hybrid.map(({ lexicalScore }) => lexicalScore),
+      [0, 1, 0],
+    );
+    assert.deepEqual(
+      hybrid.map(({ semanticScore }) => semanticScore),
+      [0.9, 0.5, 0.7],
+    );
+    assert.deepEqual(
+      hybrid.map(({ alike }) => alike),
+      [0.45, 0.75, 0.35],
+    );
+  });
+
+  it("fuses the ranks with reciprocal-rank fusion", () => {
+    const hybrid = applyHybridScores("error 42", results, {
+      method: "rrf",
+      rrfK: 10,
+    });
+    // Semantic ranks 1, 3, 2; lexical ranks 2, 1, 3 (ties keep their order).
+    assert.deepEqual(
+      hybrid.map(({ alike }) => alike),
+      [1 / 11 + 1 / 12, 1 / 13 + 1 / 11, 1 / 12 + 1 / 13],
+    );
+  });
+
+  it("rejects unknown methods and weights outside [0, 1]", () => {
+    assert.throws(
+      () => applyHybridScores("q", results, { method: "sum" }),
+      /Unknown hybrid method/,
+    );
+    assert.throws(
+      () => applyHybridScores("q", results, { lexicalWeight: 2 }),
+      /lexicalWeight/,
+    );
+  });
+});
+
+describe("getTop with hybrid", () => {
+  it("ranks the lexical matches that the embeddings miss", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const sentences = ["the cat sat on the mat", "stock markets fell today"];
+    // "cat" and "stock" fall in the same dimension of the stub embeddings.
+    const semantic = await finder.getTop("cat", sentences, 2);
+    assert.equal(semantic.array[0].sentenceTwo, "stock markets fell today");
+
+    const { array } = await finder.getTop("cat", sentences, 2, {
+      hybrid: { lexicalWeight: 0.5 },
+    });
+    assert.equal(array[0].sentenceTwo, "the cat sat on the mat");
+    assert.equal(array[0].semanticScore, semantic.array[1].alike);
+    assert.equal(array[0].lexicalScore, 1);
+    assert.equal(array[1].lexicalScore, 0);
+  });
+});
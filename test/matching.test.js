@@ -0,0 +1,128 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { assignPairs } from "../lib/matching.js";
+import { createRandom } from "../lib/random.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+// The highest total score of a one-to-one pairing, found by trying every pairing.
+function bruteForceMaximum(scores, rows, columns) {
+  const used = new Set();
+  const best = (row, pairsLeft) => {
+    if (pairsLeft === 0) {
+      return 0;
+    }
+    if (rows - row < pairsLeft) {
+      return -Infinity;
+    }
+    // The row is either left unpaired, or paired with a free column.
+    let total = best(row + 1, pairsLeft);
+    for (let column = 0; column < columns; column++) {
+      if (!used.has(column)) {
+        used.add(column);
+        total = Math.max(
+          total,
+          scores[row * columns + column] + best(row + 1, pairsLeft - 1),
+        );
+        used.delete(column);
+      }
+    }
+    return total;
+  };
+  return best(0, Math.min(rows, columns));
+}
+
+describe("assignPairs", () => {
+  it("matches a brute-force maximum on small matrices", () => {
+    const random = createRandom(5);
+    for (const [rows, columns] of [
+      [1, 1],
+      [2, 2],
+      [3, 3],
+      [4, 4],
+      [3, 5],
+      [5, 3],
+      [2, 6],
+      [6, 2],
+      [5, 5],
+    ]) {
+      for (let trial = 0; trial < 20; trial++) {
+        const scores = Array.from(
+          { length: rows * columns },
+          () => random() * 2 - 1,
+        );
+        const pairs = assignPairs(scores, rows, columns);
+        assert.equal(pairs.length, Math.min(rows, columns));
+        assert.equal(new Set(pairs.map(({ row }) => row)).size, pairs.length);
+        assert.equal(
+          new Set(pairs.map(({ column }) => column)).size,
+          pairs.length,
+        );
+        assert.deepEqual(
+          pairs.map(({ row }) => row),
+          [...pairs.map(({ row }) => row)].sort((a, b) => a - b),
+        );
+        const total = pairs.reduce(
+          (sum, { row, column }) => sum + scores[row * columns + column],
+          0,
+        );
+        const maximum = bruteForceMaximum(scores, rows, columns);
+        assert.ok(
+          Math.abs(total - maximum) < 1e-9,
+          `${rows}x${columns}: ${total} instead of ${maximum}`,
+        );
+      }
+    }
+  });
+
+  it("gives up a greedy best pair for a better total", () => {
+    assert.deepEqual(assignPairs([0.9, 0.8, 0.85, 0.1], 2, 2), [
+      { row: 0, column: 1 },
+      { row: 1, column: 0 },
+    ]);
+  });
+});
+
+describe("compareArrays", () => {
+  it("pairs the sentences one to one in the assignment mode", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const { pairs, unmatchedQueries, unmatchedCandidates } =
+      await finder.compareArrays(
+        ["red shoes size 42", "blue jacket", "green hat"],
+        ["blue jacket large", "red shoes size 42"],
+        { mode: "assignment", minScore: 0.5 },
+      );
+    assert.deepEqual(
+      pairs.map(({ queryIndex, candidateIndex }) => [
+        queryIndex,
+        candidateIndex,
+      ]),
+      [
+        [0, 1],
+        [1, 0],
+      ],
+    );
+    assert.deepEqual(unmatchedQueries, [2]);
+    assert.deepEqual(unmatchedCandidates, []);
+  });
+
+  it("returns the similarity matrix in the matrix mode", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const { rows, columns, matrix } = await finder.compareArrays(
+      ["a cat", "a dog"],
+      ["a cat", "a dog", "a bird"],
+      { mode: "matrix" },
+    );
+    assert.equal(rows, 2);
+    assert.equal(columns, 3);
+    assert.equal(matrix.length, 6);
+    assert.ok(matrix[0] > matrix[1]);
+    assert.ok(matrix[4] > matrix[3]);
+    await assert.rejects(
+      finder.compareArrays(["a"], ["b"], { mode: "pairs" }),
+      /Unknown mode/,
+    );
+  });
+});
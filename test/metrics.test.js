@@ -0,0 +1,124 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder, fitCalibration } from "../app.js";
+import { calculateSimilarity, calibrateScores } from "../lib/metrics.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const close = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe("calculateSimilarity", () => {
+  it("computes every metric", () => {
+    const a = [3, 0];
+    const b = [0, 4];
+    close(calculateSimilarity(a, [6, 0]), 1);
+    close(calculateSimilarity(a, b), 0);
+    close(calculateSimilarity(a, [1, 2], "dot"), 3);
+    close(calculateSimilarity(a, b, "euclidean"), 1 / 6);
+    close(calculateSimilarity(a, b, "manhattan"), 1 / 8);
+    assert.throws(() => calculateSimilarity(a, b, "jaccard"), /metric/);
+  });
+
+  it("is used by the searches of the finder", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const sentences = ["the cat sat", "the cat sat on the mat"];
+    const { array } = await finder.arrayInOrder("the cat sat", sentences, {
+      metric: "euclidean",
+    });
+    close(array[0].alike, 1);
+    assert.equal(array[0].sentenceTwo, "the cat sat");
+    assert.ok(array[1].alike < 1);
+  });
+});
+
+describe("calibrateScores", () => {
+  const results = [{ alike: 0.9 }, { alike: 0.8 }, { alike: 0.7 }];
+
+  it("maps the scores relative to the result set with minmax", () => {
+    const calibrated = calibrateScores(results, "minmax");
+    assert.deepEqual(
+      calibrated.map(({ alike }) => alike),
+      [0.9, 0.8, 0.7],
+    );
+    close(calibrated[0].confidence, 1);
+    close(calibrated[1].confidence, 0.5);
+    close(calibrated[2].confidence, 0);
+    assert.equal(calibrateScores([{ alike: 0.3 }], "minmax")[0].confidence, 1);
+  });
+
+  it("maps a fixed range linearly and clamps it, in percent if asked", () => {
+    const calibrated = calibrateScores(results, {
+      method: "linear",
+      min: 0.75,
+      max: 0.85,
+      percent: true,
+    });
+    assert.deepEqual(
+      calibrated.map(({ confidence }) => Math.round(confidence)),
+      [100, 50, 0],
+    );
+  });
+
+  it("applies a logistic curve", () => {
+    const [{ confidence }] = calibrateScores([{ alike: 0.5 }], {
+      method: "logistic",
+      slope: 10,
+      intercept: -5,
+    });
+    close(confidence, 0.5);
+  });
+
+  it("leaves the results unchanged without calibration, and rejects invalid ones", () => {
+    assert.equal(calibrateScores(results), results);
+    assert.throws(
+      () => calibrateScores(results, { method: "linear", min: 1, max: 0 }),
+      /min lower than its max/,
+    );
+    assert.throws(
+      () => calibrateScores(results, { method: "logistic" }),
+      /slope and an intercept/,
+    );
+    assert.throws(() => calibrateScores(results, "sigmoid"), /Unknown/);
+  });
+});
+
+describe("fitCalibration", () => {
+  it("separates the matches from the non-matches", () => {
+    const scores = [0.93, 0.91, 0.88, 0.79, 0.76, 0.72];
+    const labels = [true, true, true, false, false, false];
+    const calibration = fitCalibration(scores, labels);
+    assert.equal(calibration.method, "logistic");
+    assert.ok(calibration.slope > 0);
+    const confidences = calibrateScores(
+      scores.map((alike) => ({ alike })),
+      calibration,
+    ).map(({ confidence }) => confidence);
+    confidences.forEach((confidence, i) =>
+      assert.equal(confidence > 0.5, labels[i]),
+    );
+  });
+
+  it("rejects labels that don't fit the scores", () => {
+    assert.throws(() => fitCalibration([0.9], [true, false]), /one label/);
+    assert.throws(
+      () => fitCalibration([0.9, 0.8], [1, 1]),
+      /both matches and non-matches/,
+    );
+  });
+});
+
+describe("calibration option", () => {
+  it("adds a confidence to the results of getTop", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const { array } = await finder.getTop(
+      "the cat sat",
+      ["the cat sat", "dogs bark at night", "the cat sat on the mat"],
+      3,
+      { calibration: "minmax" },
+    );
+    close(array[0].confidence, 1);
+    close(array[2].confidence, 0);
+  });
+});
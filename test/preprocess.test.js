@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { createPreprocessor } from "../lib/preprocess.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+async function recordingFinder(options = {}) {
+  const texts = [];
+  const stub = createStubEmbedder(64);
+  const finder = createVagueFinder();
+  await finder.loadModel({
+    embedder: (text) => {
+      texts.push(text);
+      return stub(text);
+    },
+    queryPrefix: "query: ",
+    documentPrefix: "passage: ",
+    ...options,
+  });
+  return { finder, texts };
+}
+
+describe("createPreprocessor", () => {
+  it("applies the steps in order", () => {
+    const preprocess = createPreprocessor([
+      "stripHtml",
+      "lowercase",
+      { step: "expandAbbreviations", dictionary: { pwd: "password" } },
+      "collapseWhitespace",
+    ]);
+    assert.equal(preprocess("<p>Reset my  PWD</p>"), "reset my password");
+  });
+
+  it("leaves the texts unchanged without steps", () => {
+    assert.equal(createPreprocessor(null)(" A  b "), " A  b ");
+  });
+
+  it("rejects unknown steps", () => {
+    assert.throws(() => createPreprocessor(["stem"]), /Unknown preprocessing/);
+  });
+});
+
+describe("query and document prefixes", () => {
+  it("prefixes the query and the candidates of getTop differently", async () => {
+    const { finder, texts } = await recordingFinder({ preprocess: true });
+    await finder.getTop("Reset <b>PWD</b>", ["Change your password"], 1);
+    assert.deepEqual(texts.sort(), [
+      "passage: change your password",
+      "query: reset pwd",
+    ]);
+  });
+
+  it("embeds the queries of compareArrays as queries", async () => {
+    const { finder, texts } = await recordingFinder();
+    await finder.compareArrays(["red shoes"], ["crimson sneakers"]);
+    assert.deepEqual(texts.sort(), [
+      "passage: crimson sneakers",
+      "query: red shoes",
+    ]);
+  });
+
+  it("embeds the same sentence again when its role changes", async () => {
+    const { finder, texts } = await recordingFinder();
+    const { matrix } = await finder.compareArrays(
+      ["red shoes"],
+      ["red shoes"],
+      { mode: "matrix" },
+    );
+    assert.equal(texts.length, 2);
+    assert.ok(matrix[0] < 1);
+  });
+});
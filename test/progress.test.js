@@ -0,0 +1,100 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import {
+  createProgressEmitter,
+  createProgressTracker,
+} from "../lib/progress.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+describe("createProgressTracker", () => {
+  it("combines the payloads of every file into one progress", () => {
+    const tracker = createProgressTracker();
+    assert.equal(tracker.update({ status: "ready", task: "x" }), null);
+    assert.equal(
+      tracker.update({ status: "initiate", file: "config.json" }).phase,
+      "initiate",
+    );
+    tracker.update({ status: "initiate", file: "model.onnx" });
+    tracker.update({ status: "done", file: "config.json" });
+    const event = tracker.update({
+      status: "progress",
+      file: "model.onnx",
+      loaded: 25,
+      total: 100,
+      progress: 25,
+    });
+    assert.equal(event.phase, "download");
+    assert.equal(event.target, "model");
+    assert.equal(event.file, "model.onnx");
+    assert.deepEqual(
+      event.files.map(({ file, status }) => [file, status]),
+      [
+        ["config.json", "done"],
+        ["model.onnx", "download"],
+      ],
+    );
+    assert.equal(event.loaded, 25);
+    assert.equal(event.progress, 25);
+
+    const ready = tracker.ready();
+    assert.equal(ready.phase, "ready");
+    assert.equal(ready.progress, 100);
+    assert.equal(tracker.fail("no model").error, "no model");
+  });
+});
+
+describe("createProgressEmitter", () => {
+  it("iterates over the events until the load ends", async () => {
+    let loading = true;
+    const emitter = createProgressEmitter(() => loading);
+    const iterated = (async () => {
+      const phases = [];
+      for await (const { phase } of emitter.events()) {
+        phases.push(phase);
+      }
+      return phases;
+    })();
+    await new Promise((resolve) => setImmediate(resolve));
+    emitter.emit({ phase: "initiate" });
+    emitter.emit({ phase: "download" });
+    emitter.emit({ phase: "ready" });
+    loading = false;
+    assert.deepEqual(await iterated, ["initiate", "download", "ready"]);
+
+    const after = [];
+    for await (const { phase } of emitter.events()) {
+      after.push(phase);
+    }
+    assert.deepEqual(after, ["ready"]);
+  });
+});
+
+describe("load status", () => {
+  it("reports the loading of a custom embedder", async () => {
+    const finder = createVagueFinder();
+    const events = [];
+    const unsubscribe = finder.subscribeProgress((event) => events.push(event));
+    assert.equal(finder.getLoadStatus(), "idle");
+    assert.equal(finder.getLoadProgress(), null);
+
+    await finder.loadModel({ embedder: createStubEmbedder() });
+    assert.equal(finder.getLoadStatus(), "ready");
+    assert.deepEqual(
+      events.map(({ phase, target }) => [phase, target]),
+      [["ready", "model"]],
+    );
+    assert.equal(finder.getLoadProgress(), events[0]);
+
+    unsubscribe();
+    await finder.loadModel({ embedder: createStubEmbedder() });
+    assert.equal(events.length, 1);
+  });
+
+  it("rejects listeners that aren't functions", () => {
+    assert.throws(
+      () => createVagueFinder().subscribeProgress(null),
+      /listener must be a function/,
+    );
+  });
+});
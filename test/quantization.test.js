@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createVagueFinder,
+  measureQuantizedRecall,
+  QuantizedIndex,
+} from "../app.js";
+import { createRandom } from "../lib/random.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+function randomVectors(count, dimensions, random) {
+  return Array.from({ length: count }, () =>
+    Array.from({ length: dimensions }, () => random() - 0.5),
+  );
+}
+
+describe("QuantizedIndex", () => {
+  const random = createRandom(11);
+  const vectors = randomVectors(500, 32, random);
+  const queries = randomVectors(30, 32, random);
+  const cached = vectors.map((embedding) => ({ embedding }));
+
+  it("keeps nearly the exact ranking with int8", () => {
+    const index = QuantizedIndex.fromCached(cached);
+    assert.equal(index.size, vectors.length);
+    const { recall, recallLost, memory } = measureQuantizedRecall(
+      index,
+      vectors,
+      queries,
+      10,
+    );
+    assert.ok(recall >= 0.95, `recall@10 is ${recall}`);
+    assert.equal(recallLost, 1 - recall);
+    // One byte per dimension and the norm, instead of 8 bytes per dimension.
+    assert.equal(memory.bytes, 500 * (32 + 4));
+    assert.equal(memory.arrayBytes, 500 * 32 * 8);
+  });
+
+  it("recovers the recall of binary codes by rescoring", () => {
+    const binary = QuantizedIndex.fromCached(cached, { type: "binary" });
+    assert.equal(binary.memoryUsage().ratio, 64);
+    const coarse = measureQuantizedRecall(binary, vectors, queries, 10);
+
+    const rescored = QuantizedIndex.fromCached(cached, {
+      type: "binary",
+      fullPrecision: true,
+    });
+    const { recall } = measureQuantizedRecall(rescored, vectors, queries, 10, {
+      rescore: 100,
+    });
+    assert.ok(recall > coarse.recall);
+    assert.ok(recall >= 0.85, `recall@10 is ${recall}`);
+
+    const [best] = rescored.search(vectors[3], 1, { rescore: 100 });
+    assert.equal(best.id, 3);
+    assert.ok(Math.abs(best.alike - 1) < 1e-6);
+  });
+
+  it("rejects invalid types, dimensions and searches", () => {
+    assert.throws(() => new QuantizedIndex({ type: "int4" }), /Unknown/);
+    const index = new QuantizedIndex();
+    index.add([1, 2, 3]);
+    assert.throws(() => index.add([1, 2]), /3/);
+    assert.throws(
+      () => index.search([1, 2, 3], 1, { rescore: 5 }),
+      /fullPrecision/,
+    );
+    assert.throws(
+      () => measureQuantizedRecall(index, vectors, queries),
+      /1 items/,
+    );
+  });
+
+  it("is searched by cachedArrayInOrder", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const sentences = [
+      "the cat sat on the mat",
+      "dogs bark at night",
+      "stock markets fell today",
+      "a cat and a mat",
+    ];
+    const cachedSentences = await finder.getCached(sentences);
+    const index = QuantizedIndex.fromCached(cachedSentences);
+    const exact = await finder.cachedArrayInOrder(
+      "cat on a mat",
+      cachedSentences,
+    );
+    const { array } = await finder.cachedArrayInOrder("cat on a mat", index, {
+      topK: 2,
+    });
+    assert.deepEqual(
+      array.map(({ sentenceTwo }) => sentenceTwo),
+      exact.array.slice(0, 2).map(({ sentenceTwo }) => sentenceTwo),
+    );
+    await assert.rejects(
+      finder.getTop("cat on a mat", index, 2),
+      /searched with cachedArrayInOrder/,
+    );
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { getKeyTexts, normalizeKeys } from "../lib/key-paths.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const BOOKS = [
+  { title: "Stock markets", author: { name: "Ann Lee" } },
+  { title: "The cat sat on the mat", author: { name: "Bob Stone" } },
+  { author: { name: "Carl Cat" } },
+  { title: "", year: 1999 },
+];
+
+async function loadedFinder() {
+  const finder = createVagueFinder();
+  await finder.loadModel({ embedder: createStubEmbedder(64) });
+  return finder;
+}
+
+describe("key paths", () => {
+  it("splits dotted paths and defaults the weights to 1", () => {
+    assert.deepEqual(
+      normalizeKeys(["title", ["author", "name"], { name: "a.b", weight: 2 }]),
+      [
+        { key: "title", path: ["title"], weight: 1 },
+        { key: "author.name", path: ["author", "name"], weight: 1 },
+        { key: "a.b", path: ["a", "b"], weight: 2 },
+      ],
+    );
+  });
+
+  it("rejects empty keys and invalid weights", () => {
+    assert.throws(() => normalizeKeys([]), /non-empty array/);
+    assert.throws(
+      () => normalizeKeys([{ name: "title", weight: 0 }]),
+      /positive number/,
+    );
+  });
+
+  it("skips missing and empty values, and searches numbers", () => {
+    const keys = normalizeKeys(["title", "author.name", "year"]);
+    assert.deepEqual(getKeyTexts(BOOKS[2], keys), [
+      { key: "author.name", weight: 1, sentenceTwo: "Carl Cat" },
+    ]);
+    assert.deepEqual(getKeyTexts(BOOKS[3], keys), [
+      { key: "year", weight: 1, sentenceTwo: "1999" },
+    ]);
+  });
+});
+
+describe("searching records", () => {
+  it("returns the records with the key that matched best", async () => {
+    const finder = await loadedFinder();
+    const { array } = await finder.getTop("the cat on the mat", BOOKS, 2, {
+      keys: ["title", "author.name"],
+    });
+    assert.equal(array[0].refIndex, 1);
+    assert.equal(array[0].item, BOOKS[1]);
+    assert.equal(array[0].key, "title");
+    assert.equal(array[0].sentenceTwo, "The cat sat on the mat");
+    assert.equal(array[1].refIndex, 2);
+    assert.equal(array[1].key, "author.name");
+  });
+
+  it("scales the scores by the weights of the keys", async () => {
+    const finder = await loadedFinder();
+    const records = [{ title: "dogs bark", body: "the cat sat" }];
+    const even = await finder.getTop("the cat sat", records, 1, {
+      keys: ["title", "body"],
+    });
+    const weighted = await finder.getTop("the cat sat", records, 1, {
+      keys: ["title", { name: "body", weight: 0.5 }],
+    });
+    assert.ok(Math.abs(even.array[0].alike - 1) < 1e-9);
+    assert.ok(Math.abs(weighted.array[0].alike - 0.5) < 1e-9);
+  });
+
+  it("searches records cached with keys without embedding them again", async () => {
+    const embedded = [];
+    const stub = createStubEmbedder(64);
+    const finder = createVagueFinder();
+    await finder.loadModel({
+      embedder: (text) => {
+        embedded.push(text);
+        return stub(text);
+      },
+    });
+    const cached = await finder.getCached(BOOKS, {
+      keys: ["title", "author.name"],
+    });
+    const count = embedded.length;
+    const { array } = await finder.getTop("bob stone books", cached, 1);
+    assert.equal(array[0].refIndex, 1);
+    assert.equal(array[0].key, "author.name");
+    assert.deepEqual(embedded.slice(count), ["bob stone books"]);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import {
+  createCrossEncoderScorer,
+  normalizeRerank,
+  rerankResults,
+} from "../lib/rerank.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const SENTENCES = [
+  "the cat sat on the mat",
+  "a cat and a mat",
+  "the cat",
+  "stock markets fell today",
+];
+
+// Scores the shortest texts highest, the opposite of what the stub embeddings favour for these sentences.
+const byShortness = (query, texts) => texts.map((text) => 1 / text.length);
+
+describe("rerankResults", () => {
+  const results = [
+    { sentenceTwo: "long candidate text", alike: 0.9 },
+    { sentenceTwo: "short", alike: 0.8 },
+    { sentenceTwo: "not reranked", alike: 0.7 },
+  ];
+
+  it("reorders the first topN results by the reranker score", async () => {
+    const reranked = await rerankResults("q", results, byShortness, 2);
+    assert.deepEqual(
+      reranked.map(({ sentenceTwo }) => sentenceTwo),
+      ["short", "long candidate text", "not reranked"],
+    );
+    assert.equal(reranked[0].firstStageScore, 0.8);
+    assert.equal(reranked[0].rerankScore, 1 / 5);
+    assert.equal(reranked[0].alike, 1 / 5);
+    assert.equal(reranked[2], results[2]);
+  });
+
+  it("rejects rerankers that don't score every text", async () => {
+    await assert.rejects(
+      rerankResults("q", results, () => [1], 2),
+      /one score per text/,
+    );
+    assert.throws(() => normalizeRerank({ topN: 0 }), /positive integer/);
+    assert.deepEqual(normalizeRerank(true), { topN: 20 });
+  });
+});
+
+describe("createCrossEncoderScorer", () => {
+  const classifier = (labels, data) => ({
+    tokenizer: (queries, { text_pair }) => ({ queries, text_pair }),
+    model: async ({ text_pair }) => ({
+      logits: { dims: [text_pair.length, labels], data },
+    }),
+  });
+
+  it("maps a single relevance logit with a sigmoid", async () => {
+    const scorer = createCrossEncoderScorer(classifier(1, [0, Math.log(3)]));
+    const scores = await scorer("q", ["a", "b"]);
+    assert.ok(Math.abs(scores[0] - 0.5) < 1e-9);
+    assert.ok(Math.abs(scores[1] - 0.75) < 1e-9);
+  });
+
+  it("takes the probability of the last label of several", async () => {
+    const scorer = createCrossEncoderScorer(classifier(2, [0, Math.log(3)]));
+    const [score] = await scorer("q", ["a"]);
+    assert.ok(Math.abs(score - 0.75) < 1e-9);
+  });
+});
+
+describe("rerank option", () => {
+  it("needs a loaded reranker", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    await assert.rejects(
+      finder.getTop("the cat on the mat", SENTENCES, 2, { rerank: true }),
+      /Reranker has not been loaded/,
+    );
+  });
+
+  it("reranks the first-stage candidates of getTop", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    await finder.loadReranker({ reranker: byShortness });
+    const plain = await finder.getTop("the cat on the mat", SENTENCES, 1);
+    assert.equal(plain.array[0].sentenceTwo, "the cat sat on the mat");
+
+    const { array } = await finder.getTop("the cat on the mat", SENTENCES, 1, {
+      rerank: { topN: 3 },
+    });
+    assert.equal(array.length, 1);
+    assert.equal(array[0].sentenceTwo, "the cat");
+    assert.equal(array[0].rerankScore, 1 / "the cat".length);
+    assert.equal(typeof array[0].firstStageScore, "number");
+  });
+});
@@ -0,0 +1,136 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder } from "../app.js";
+import { createSearchServer } from "../lib/server.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+async function request(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: { "content-type": "application/json" },
+    body: typeof body === "string" ? body : body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitUntilReady(url) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await request(`${url}/health`, "GET");
+    if (body.status !== "loading") {
+      return body;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("The model didn't load");
+}
+
+describe("createSearchServer", () => {
+  let server;
+  let url;
+
+  before(async () => {
+    server = createSearchServer({
+      finder: createVagueFinder(),
+      modelOptions: { embedder: createStubEmbedder(64) },
+      maxBodySize: 2000,
+    });
+    url = await server.listen(0, "127.0.0.1");
+    await waitUntilReady(url);
+  });
+
+  after(() => server.close());
+
+  it("reports its health", async () => {
+    const { status, body } = await request(`${url}/health`, "GET");
+    assert.equal(status, 200);
+    assert.equal(body.status, "ready");
+    assert.equal(body.items, 0);
+  });
+
+  it("embeds and compares sentences", async () => {
+    const embedded = await request(`${url}/embed`, "POST", {
+      sentences: ["the cat sat"],
+    });
+    assert.equal(embedded.status, 200);
+    assert.equal(embedded.body.dimension, 64);
+    assert.equal(embedded.body.embeddings.length, 1);
+
+    const compared = await request(`${url}/compare`, "POST", {
+      sentenceOne: "the cat sat",
+      sentenceTwo: "the cat sat",
+    });
+    assert.equal(compared.status, 200);
+    assert.ok(Math.abs(compared.body.alike - 1) < 1e-9);
+  });
+
+  it("searches the items it holds", async () => {
+    const added = await request(`${url}/items`, "PUT", {
+      items: [
+        { id: 1, text: "the cat sat on the mat", payload: { shelf: "a" } },
+        { id: 2, text: "stock markets fell today" },
+      ],
+    });
+    assert.deepEqual(added.body, { added: 2, updated: 0, items: 2 });
+
+    const found = await request(`${url}/search`, "POST", {
+      query: "a cat on a mat",
+      topK: 1,
+    });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.array.length, 1);
+    assert.equal(found.body.array[0].id, 1);
+    assert.deepEqual(found.body.array[0].payload, { shelf: "a" });
+
+    const removed = await request(`${url}/items`, "DELETE", { ids: [1] });
+    assert.deepEqual(removed.body, { removed: 1, items: 1 });
+    const rest = await request(`${url}/search`, "POST", {
+      query: "a cat on a mat",
+    });
+    assert.deepEqual(
+      rest.body.array.map(({ id }) => id),
+      [2],
+    );
+  });
+
+  it("rejects invalid requests", async () => {
+    const invalid = await request(`${url}/search`, "POST", { query: 5 });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /body\.query/);
+
+    const malformed = await request(`${url}/search`, "POST", "{bad");
+    assert.equal(malformed.status, 400);
+
+    const large = await request(`${url}/embed`, "POST", {
+      sentences: ["x".repeat(3000)],
+    });
+    assert.equal(large.status, 413);
+
+    assert.equal((await request(`${url}/search`, "GET")).status, 405);
+    assert.equal((await request(`${url}/nope`, "GET")).status, 404);
+  });
+});
+
+describe("createSearchServer without a model", () => {
+  it("answers 503 when the model failed to load", async () => {
+    const finder = {
+      ...createVagueFinder(),
+      loadModel: async () => {
+        throw new Error("Unable to load Model due to a missing folder");
+      },
+    };
+    const server = createSearchServer({ finder });
+    const url = await server.listen(0, "127.0.0.1");
+    try {
+      const health = await waitUntilReady(url);
+      assert.equal(health.status, "failed");
+      const { status, body } = await request(`${url}/compare`, "POST", {
+        sentenceOne: "a",
+        sentenceTwo: "b",
+      });
+      assert.equal(status, 503);
+      assert.match(body.error, /failed to load/);
+    } finally {
+      await server.close();
+    }
+  });
+});
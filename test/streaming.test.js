@@ -0,0 +1,76 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { createVagueFinder } from "../app.js";
+import { readItems } from "../lib/streaming.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+async function collect(source) {
+  const items = [];
+  for await (const item of readItems(source)) {
+    items.push(item);
+  }
+  return items;
+}
+
+function webStream(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(chunk));
+      controller.close();
+    },
+  });
+}
+
+describe("readItems", () => {
+  it("splits a web stream of strings into lines", async () => {
+    const items = await collect(
+      webStream(["the cat sat\nthe d", "og ran\r\n\n", "a bird flew"]),
+    );
+    assert.deepEqual(items, ["the cat sat", "the dog ran", "a bird flew"]);
+  });
+
+  it("splits the output of a TextDecoderStream into lines", async () => {
+    const bytes = new TextEncoder().encode("café au lait\nthé vert\n");
+    const source = webStream([bytes.subarray(0, 4), bytes.subarray(4)]);
+    const items = await collect(source.pipeThrough(new TextDecoderStream()));
+    assert.deepEqual(items, ["café au lait", "thé vert"]);
+  });
+
+  it("splits a Node text stream into lines", async () => {
+    const items = await collect(
+      Readable.from(["one\ntw", "o\n"], { objectMode: false }),
+    );
+    assert.deepEqual(items, ["one", "two"]);
+  });
+
+  it("keeps the strings of a generator as they are", async () => {
+    async function* sentences() {
+      yield "first line\nsecond line";
+      yield "another sentence";
+    }
+    assert.deepEqual(await collect(sentences()), [
+      "first line\nsecond line",
+      "another sentence",
+    ]);
+  });
+
+  it("keeps the objects of a web stream as they are", async () => {
+    const records = [{ title: "cat" }, { title: "dog" }];
+    assert.deepEqual(await collect(webStream(records)), records);
+  });
+});
+
+describe("getTop on a stream", () => {
+  it("searches every line of a web stream of strings", async () => {
+    const finder = createVagueFinder();
+    await finder.loadModel({ embedder: createStubEmbedder(64) });
+    const { array, scanned } = await finder.getTop(
+      "a cat on a mat",
+      webStream(["stock markets fell today\nthe cat sat ", "on the mat\n"]),
+      1,
+    );
+    assert.equal(scanned, 2);
+    assert.equal(array[0].sentenceTwo, "the cat sat on the mat");
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder, VagueIndex } from "../app.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+async function countingIndex() {
+  const embedded = [];
+  const stub = createStubEmbedder(64);
+  const finder = createVagueFinder();
+  await finder.loadModel({
+    embedder: (text) => {
+      embedded.push(text);
+      return stub(text);
+    },
+  });
+  return { index: new VagueIndex(finder), embedded };
+}
+
+describe("VagueIndex", () => {
+  it("searches its items and returns their ids and payloads", async () => {
+    const { index } = await countingIndex();
+    await index.addMany([
+      { id: 1, text: "the cat sat on the mat", payload: { shelf: "a" } },
+      { id: 2, text: "stock markets fell today" },
+    ]);
+    await index.add(3, "dogs bark at night");
+    assert.equal(index.size, 3);
+
+    const { sentenceOne, array } = await index.search("a cat on a mat", {
+      topK: 1,
+    });
+    assert.equal(sentenceOne, "a cat on a mat");
+    assert.equal(array.length, 1);
+    assert.equal(array[0].id, 1);
+    assert.equal(array[0].sentenceTwo, "the cat sat on the mat");
+    assert.deepEqual(array[0].payload, { shelf: "a" });
+  });
+
+  it("only embeds the texts that are new to the index", async () => {
+    const { index, embedded } = await countingIndex();
+    await index.addMany([
+      { id: 1, text: "the cat sat on the mat" },
+      { id: 2, text: "the cat sat on the mat" },
+    ]);
+    assert.equal(embedded.length, 1);
+
+    await index.update(1, { payload: "kept" });
+    await index.update(2, { text: "the cat sat on the mat" });
+    assert.equal(embedded.length, 1);
+    assert.equal(index.get(1).payload, "kept");
+
+    await index.update(2, { text: "dogs bark at night" });
+    assert.deepEqual(embedded, [
+      "the cat sat on the mat",
+      "dogs bark at night",
+    ]);
+    const { array } = await index.search("dogs at night", { topK: 1 });
+    assert.equal(array[0].id, 2);
+  });
+
+  it("forgets the items that are removed", async () => {
+    const { index } = await countingIndex();
+    await index.addMany([
+      { id: "a", text: "the cat sat on the mat" },
+      { id: "b", text: "a cat and a mat" },
+    ]);
+    assert.equal(index.remove("a"), true);
+    assert.equal(index.remove("a"), false);
+    assert.equal(index.has("a"), false);
+    const { array } = await index.search("a cat on a mat");
+    assert.deepEqual(
+      array.map(({ id }) => id),
+      ["b"],
+    );
+  });
+
+  it("filters the results by minScore", async () => {
+    const { index } = await countingIndex();
+    await index.addMany([
+      { id: 1, text: "the cat sat on the mat" },
+      { id: 2, text: "stock markets fell today" },
+    ]);
+    const { array } = await index.search("the cat sat on the mat", {
+      minScore: 0.5,
+    });
+    assert.deepEqual(
+      array.map(({ id }) => id),
+      [1],
+    );
+  });
+
+  it("rejects duplicate ids, empty texts and unknown items", async () => {
+    const { index } = await countingIndex();
+    await index.add(1, "the cat sat on the mat");
+    await assert.rejects(index.add(1, "dogs bark"), /already exists/);
+    await assert.rejects(
+      index.addMany([
+        { id: 2, text: "dogs bark" },
+        { id: 2, text: "cats purr" },
+      ]),
+      /already exists/,
+    );
+    await assert.rejects(index.add(3, ""), /non-empty string/);
+    await assert.rejects(index.update(4, { text: "x" }), /no item/);
+    await assert.rejects(index.search("cat", { topK: 0 }), /topK/);
+    assert.equal(index.size, 1);
+  });
+});
@@ -0,0 +1,113 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createVagueFinder, HnswIndex, QuantizedIndex } from "../app.js";
+import { createWorkerFinder } from "../lib/worker.js";
+import { createStubEmbedder } from "./helpers/stub-embedder.js";
+
+const sentences = [
+  "the cat sat on the mat",
+  "dogs bark at night",
+  "stock markets fell today",
+  "a cat and a mat",
+];
+
+describe("createWorkerFinder", () => {
+  let finder;
+  const events = [];
+
+  before(async () => {
+    finder = await createWorkerFinder({
+      embedderModule: new URL("./helpers/embedder-module.js", import.meta.url)
+        .href,
+    });
+    finder.subscribeProgress((event) => events.push(event));
+    await finder.loadModel();
+  });
+
+  after(() => finder.terminate());
+
+  it("forwards the model loading progress", () => {
+    assert.equal(finder.getLoadStatus(), "ready");
+    assert.equal(events.at(-1).phase, "ready");
+  });
+
+  it("answers the calls like a regular finder", async () => {
+    const local = createVagueFinder();
+    await local.loadModel({ embedder: createStubEmbedder(64) });
+    assert.deepEqual(
+      await finder.getTop("a cat on a mat", sentences, 2),
+      await local.getTop("a cat on a mat", sentences, 2),
+    );
+  });
+
+  it("calls the onProgress callback of a call on the main thread", async () => {
+    const progress = [];
+    // Sentences that no other test embeds, so none of them is cached yet.
+    const fresh = sentences.map((sentence) => `${sentence} again`);
+    const cached = await finder.getCached(fresh, {
+      batchSize: 1,
+      onProgress: ({ embedded }) => progress.push(embedded),
+    });
+    assert.equal(cached.length, fresh.length);
+    assert.deepEqual(progress, [1, 2, 3, 4]);
+  });
+
+  it("rejects the calls that are aborted", async () => {
+    await assert.rejects(
+      finder.getCached(sentences, { signal: AbortSignal.abort() }),
+      { name: "AbortError" },
+    );
+
+    const controller = new AbortController();
+    const pending = finder.getCached(
+      Array.from({ length: 200 }, (_, i) => `sentence number ${i}`),
+      { batchSize: 1, signal: controller.signal, onProgress: () => {} },
+    );
+    controller.abort();
+    await assert.rejects(pending, { name: "AbortError" });
+  });
+
+  it("propagates the errors of the worker", async () => {
+    await assert.rejects(finder.getTop("a cat", sentences, 0), {
+      message: /numberOfResults/,
+    });
+  });
+
+  it("rebuilds the indexes in the worker", async () => {
+    const cached = await finder.getCached(sentences);
+    const exact = await finder.cachedArrayInOrder("cat on a mat", cached);
+    const best = exact.array.slice(0, 2).map(({ sentenceTwo }) => sentenceTwo);
+
+    const approximate = await finder.cachedArrayInOrder(
+      "cat on a mat",
+      cached,
+      {
+        approximateIndex: HnswIndex.fromCached(cached),
+        topK: 2,
+      },
+    );
+    assert.deepEqual(
+      approximate.array.map(({ sentenceTwo }) => sentenceTwo),
+      best,
+    );
+
+    const quantized = await finder.cachedArrayInOrder(
+      "cat on a mat",
+      QuantizedIndex.fromCached(cached, { fullPrecision: true }),
+      { topK: 2, rescore: 4 },
+    );
+    assert.deepEqual(
+      quantized.array.map(({ sentenceTwo }) => sentenceTwo),
+      best,
+    );
+  });
+
+  it("rejects streams before sending them", async () => {
+    async function* lines() {
+      yield "the cat sat on the mat";
+    }
+    await assert.rejects(finder.getTop("a cat", lines(), 1), {
+      message: /Argument 2 of getTop is a stream/,
+    });
+  });
+});